@@ -1,286 +1,285 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Plane, ArrowRight, Eye, RefreshCw } from 'lucide-react';
-
-const CoordinateVisualizer = () => {
-  const [alpha, setAlpha] = useState(15);
-  const [viewMode, setViewMode] = useState('stability'); // 'body' or 'stability'
-  const canvasRef = useRef(null);
-
-  // Constants
-  const width = 600;
-  const height = 400;
-  const centerX = width / 2;
-  const centerY = height / 2;
-  const scale = 150; // pixels per unit
-  const vectorLength = 1.2;
-
-  // Degrees to Radians
-  const toRad = (deg) => (deg * Math.PI) / 180;
-
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    
-    // Clear canvas
-    ctx.clearRect(0, 0, width, height);
-    
-    // Background grid
-    drawGrid(ctx);
-
-    // Context setup based on view mode
-    ctx.save();
-    ctx.translate(centerX, centerY);
-    
-    // Draw axes and aircraft
-    drawSystem(ctx, alpha, viewMode);
-    
-    ctx.restore();
-  }, [alpha, viewMode]);
-
-  const drawGrid = (ctx) => {
-    ctx.strokeStyle = '#f0f0f0';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    for (let x = 0; x <= width; x += 50) {
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, height);
-    }
-    for (let y = 0; y <= height; y += 50) {
-      ctx.moveTo(0, y);
-      ctx.lineTo(width, y);
-    }
-    ctx.stroke();
-  };
-
-  const drawArrow = (ctx, fromX, fromY, toX, toY, color, label, isDashed = false) => {
-    const headLen = 10;
-    const angle = Math.atan2(toY - fromY, toX - fromX);
-    
-    ctx.strokeStyle = color;
-    ctx.fillStyle = color;
-    ctx.lineWidth = 2;
-    if (isDashed) ctx.setLineDash([5, 3]);
-    else ctx.setLineDash([]);
-    
-    ctx.beginPath();
-    ctx.moveTo(fromX, fromY);
-    ctx.lineTo(toX, toY);
-    ctx.stroke();
-    
-    // Arrow head
-    ctx.beginPath();
-    ctx.moveTo(toX, toY);
-    ctx.lineTo(toX - headLen * Math.cos(angle - Math.PI / 6), toY - headLen * Math.sin(angle - Math.PI / 6));
-    ctx.lineTo(toX - headLen * Math.cos(angle + Math.PI / 6), toY - headLen * Math.sin(angle + Math.PI / 6));
-    ctx.closePath();
-    ctx.fill();
-
-    // Label
-    ctx.font = '14px "Noto Sans JP", sans-serif';
-    ctx.fillText(label, toX + 10, toY + 10);
-  };
-
-  const drawSystem = (ctx, alphaDeg, mode) => {
-    const alphaRad = toRad(alphaDeg);
-    
-    // Rotation logic
-    // In 'body' mode: Body axes are fixed (horizontal/vertical), Stability axes rotate
-    // In 'stability' mode: Stability axes are fixed, Body axes rotate
-    
-    let bodyAngle = 0;
-    let stabAngle = 0;
-
-    if (mode === 'body') {
-      bodyAngle = 0;
-      stabAngle = alphaRad; // Stability axis rotates DOWN (positive Z) relative to body if alpha > 0
-    } else {
-      stabAngle = 0;
-      bodyAngle = -alphaRad; // Body axis rotates UP (negative Z) relative to stability if alpha > 0
-    }
+import { Plane, Eye, RefreshCw, Navigation, Wind } from 'lucide-react';
+
+// Degrees to Radians
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// --- Rotation helpers ---
+// Frame rotations: R(a) re-expresses a vector in axes turned by a about x / y / z.
+// Flight-dynamics axes: x forward, y right, z down.
+const rotX = (a) => {
+  const c = Math.cos(a), s = Math.sin(a);
+  return [[1, 0, 0], [0, c, s], [0, -s, c]];
+};
+const rotY = (a) => {
+  const c = Math.cos(a), s = Math.sin(a);
+  return [[c, 0, -s], [0, 1, 0], [s, 0, c]];
+};
+const rotZ = (a) => {
+  const c = Math.cos(a), s = Math.sin(a);
+  return [[c, s, 0], [-s, c, 0], [0, 0, 1]];
+};
 
-    // --- Draw Body Axes (Blue) ---
-    ctx.save();
-    ctx.rotate(bodyAngle);
-    
-    // x_b axis
-    drawArrow(ctx, 0, 0, scale * vectorLength, 0, '#2563eb', 'xb (機体軸)');
-    // z_b axis (Down is positive in flight dynamics)
-    drawArrow(ctx, 0, 0, 0, scale * vectorLength, '#2563eb', 'zb');
-
-    // Draw Aircraft Silhouette
-    ctx.fillStyle = 'rgba(37, 99, 235, 0.1)';
-    ctx.strokeStyle = '#2563eb';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(scale * 0.8, 0); // Nose
-    ctx.lineTo(-scale * 0.4, -scale * 0.1); // Tail top
-    ctx.lineTo(-scale * 0.4, scale * 0.1); // Tail bottom
-    ctx.closePath();
-    ctx.fill();
-    ctx.stroke();
-    
-    // Wing
-    ctx.beginPath();
-    ctx.moveTo(0, 0);
-    ctx.lineTo(-scale * 0.2, scale * 0.4);
-    ctx.stroke();
+const matMul = (A, B) =>
+  A.map((row) => [0, 1, 2].map((j) => row[0] * B[0][j] + row[1] * B[1][j] + row[2] * B[2][j]));
+const matVec = (A, v) => A.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+const transpose = (A) => [0, 1, 2].map((i) => [A[0][i], A[1][i], A[2][i]]);
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+// Tait–Bryan sequences: axes in the order the rotations are applied (NED → body)
+const SEQUENCES = {
+  '321': { label: '3-2-1 (ψ → θ → φ)', axes: ['z', 'y', 'x'] },
+  '312': { label: '3-1-2 (ψ → φ → θ)', axes: ['z', 'x', 'y'] },
+  '231': { label: '2-3-1 (θ → ψ → φ)', axes: ['y', 'z', 'x'] },
+  '213': { label: '2-1-3 (θ → φ → ψ)', axes: ['y', 'x', 'z'] },
+  '132': { label: '1-3-2 (φ → ψ → θ)', axes: ['x', 'z', 'y'] },
+  '123': { label: '1-2-3 (φ → θ → ψ)', axes: ['x', 'y', 'z'] },
+};
 
-    ctx.restore();
+// Yaw, pitch and roll always act about z, y and x; the sequence only sets the order.
+const axisRotation = (axis, euler) => {
+  if (axis === 'z') return rotZ(toRad(euler.yaw));
+  if (axis === 'y') return rotY(toRad(euler.pitch));
+  return rotX(toRad(euler.roll));
+};
 
-    // --- Draw Stability Axes (Red) ---
-    ctx.save();
-    ctx.rotate(stabAngle);
-    
-    // x_s axis (Velocity Vector direction)
-    drawArrow(ctx, 0, 0, scale * vectorLength, 0, '#dc2626', 'xs (安定軸/速度V)', false);
-    // z_s axis
-    drawArrow(ctx, 0, 0, 0, scale * vectorLength, '#dc2626', 'zs');
+// C_bn: NED → body. The first rotation applied is the rightmost factor.
+const eulerToDcm = (euler, sequence) =>
+  SEQUENCES[sequence].axes.reduce((C, axis) => matMul(axisRotation(axis, euler), C), IDENTITY);
+
+// Shepperd's method: divide by the largest of 4q0², 4q1², 4q2², 4q3² for stability.
+const dcmToQuaternion = (C) => {
+  const tr = C[0][0] + C[1][1] + C[2][2];
+  const candidates = [tr, C[0][0], C[1][1], C[2][2]];
+  const k = candidates.indexOf(Math.max(...candidates));
+  let q;
+  if (k === 0) {
+    const q0 = 0.5 * Math.sqrt(1 + tr);
+    q = [q0, (C[1][2] - C[2][1]) / (4 * q0), (C[2][0] - C[0][2]) / (4 * q0), (C[0][1] - C[1][0]) / (4 * q0)];
+  } else if (k === 1) {
+    const q1 = 0.5 * Math.sqrt(1 + 2 * C[0][0] - tr);
+    q = [(C[1][2] - C[2][1]) / (4 * q1), q1, (C[0][1] + C[1][0]) / (4 * q1), (C[2][0] + C[0][2]) / (4 * q1)];
+  } else if (k === 2) {
+    const q2 = 0.5 * Math.sqrt(1 + 2 * C[1][1] - tr);
+    q = [(C[2][0] - C[0][2]) / (4 * q2), (C[0][1] + C[1][0]) / (4 * q2), q2, (C[1][2] + C[2][1]) / (4 * q2)];
+  } else {
+    const q3 = 0.5 * Math.sqrt(1 + 2 * C[2][2] - tr);
+    q = [(C[0][1] - C[1][0]) / (4 * q3), (C[2][0] + C[0][2]) / (4 * q3), (C[1][2] + C[2][1]) / (4 * q3), q3];
+  }
+  // q and -q are the same attitude; keep the scalar part non-negative
+  return q[0] < 0 ? q.map((x) => -x) : q;
+};
 
-    ctx.restore();
+// Inverse of dcmToQuaternion (scalar-first, NED → body)
+const quaternionToDcm = ([q0, q1, q2, q3]) => [
+  [q0 * q0 + q1 * q1 - q2 * q2 - q3 * q3, 2 * (q1 * q2 + q0 * q3), 2 * (q1 * q3 - q0 * q2)],
+  [2 * (q1 * q2 - q0 * q3), q0 * q0 - q1 * q1 + q2 * q2 - q3 * q3, 2 * (q2 * q3 + q0 * q1)],
+  [2 * (q1 * q3 + q0 * q2), 2 * (q2 * q3 - q0 * q1), q0 * q0 - q1 * q1 - q2 * q2 + q3 * q3],
+];
+
+// Spherical linear interpolation along the shorter arc (q and -q are the same attitude)
+const slerp = (qa, qb, t) => {
+  let dot = qa.reduce((sum, x, i) => sum + x * qb[i], 0);
+  const b = dot < 0 ? qb.map((x) => -x) : qb;
+  dot = Math.abs(dot);
+  if (dot > 0.9995) {
+    const q = qa.map((x, i) => x + t * (b[i] - x));
+    const n = Math.hypot(...q);
+    return q.map((x) => x / n);
+  }
+  const theta = Math.acos(dot);
+  const wa = Math.sin((1 - t) * theta) / Math.sin(theta);
+  const wb = Math.sin(t * theta) / Math.sin(theta);
+  return qa.map((x, i) => wa * x + wb * b[i]);
+};
 
-    // --- Draw Angle Arc ---
-    // Draw arc between xb and xs
-    ctx.save();
-    // We want the arc to start from xb and go to xs
-    // In canvas coordinates, if mode=body: xb=0, xs=alpha
-    // if mode=stability: xb=-alpha, xs=0
-    
-    const startAngle = bodyAngle;
-    const endAngle = stabAngle;
-    
-    ctx.beginPath();
-    ctx.arc(0, 0, scale * 0.5, startAngle, endAngle, false);
-    ctx.strokeStyle = '#7c3aed'; // Purple
-    ctx.lineWidth = 2;
-    ctx.stroke();
-    
-    // Label alpha
-    const midAngle = (startAngle + endAngle) / 2;
-    ctx.fillStyle = '#7c3aed';
-    ctx.fillText(`α = ${alphaDeg}°`, scale * 0.6 * Math.cos(midAngle), scale * 0.6 * Math.sin(midAngle));
-    ctx.restore();
-  };
+// Rotation angle of a DCM from its trace: cos θ = (tr R − 1) / 2
+const rotationAngle = (R) =>
+  Math.acos(Math.max(-1, Math.min(1, (R[0][0] + R[1][1] + R[2][2] - 1) / 2)));
+
+// Matrix logarithm of a frame rotation as a rotation vector ω (rotX(a) ↦ [a, 0, 0])
+const rotationLog = (R) => {
+  const theta = rotationAngle(R);
+  if (theta < 1e-9) return [0, 0, 0];
+  if (Math.PI - theta < 1e-6) {
+    // R ≈ 2nnᵀ − I: take the axis from the diagonal, signs from the largest component's row
+    const d = [0, 1, 2].map((i) => Math.sqrt(Math.max(0, (R[i][i] + 1) / 2)));
+    const k = d.indexOf(Math.max(...d));
+    return [0, 1, 2].map((i) => (i === k ? d[i] : R[k][i] / (2 * d[k])) * theta);
+  }
+  const f = theta / (2 * Math.sin(theta));
+  return [f * (R[1][2] - R[2][1]), f * (R[2][0] - R[0][2]), f * (R[0][1] - R[1][0])];
+};
 
-  // Matrix calculation for display
-  const cosA = Math.cos(toRad(alpha)).toFixed(3);
-  const sinA = Math.sin(toRad(alpha)).toFixed(3);
-  const nSinA = (-Math.sin(toRad(alpha))).toFixed(3);
+// Rodrigues' formula for the frame rotation: R = I − sin θ K + (1 − cos θ) K²
+const rotationExp = (w) => {
+  const theta = Math.hypot(...w);
+  if (theta < 1e-12) return IDENTITY;
+  const [x, y, z] = w.map((c) => c / theta);
+  const K = [[0, -z, y], [z, 0, -x], [-y, x, 0]];
+  const K2 = matMul(K, K);
+  const s = Math.sin(theta), c = 1 - Math.cos(theta);
+  return [0, 1, 2].map((i) => [0, 1, 2].map((j) => (i === j ? 1 : 0) - s * K[i][j] + c * K2[i][j]));
+};
 
-  return (
-    <div className="flex flex-col items-center p-6 bg-slate-50 rounded-xl shadow-lg max-w-3xl mx-auto">
-      <h2 className="text-2xl font-bold text-slate-800 mb-2 flex items-center gap-2">
-        <Plane className="w-6 h-6" />
-        機体軸と安定軸の回転変換
-      </h2>
-      <p className="text-slate-600 mb-6 text-sm text-center">
-        航空力学では <strong>Z軸は下向きが正</strong> であることに注意してご覧なさい。
-      </p>
+// Three ways from attitude A to B, each returning C_bn at t ∈ [0, 1]
+const INTERPOLATORS = {
+  euler: {
+    label: 'Euler 角の線形補間',
+    at: (a, b, sequence, t) => eulerToDcm({
+      yaw: a.yaw + t * (b.yaw - a.yaw),
+      pitch: a.pitch + t * (b.pitch - a.pitch),
+      roll: a.roll + t * (b.roll - a.roll),
+    }, sequence),
+  },
+  slerp: {
+    label: 'クォータニオン SLERP',
+    at: (a, b, sequence, t) => quaternionToDcm(
+      slerp(dcmToQuaternion(eulerToDcm(a, sequence)), dcmToQuaternion(eulerToDcm(b, sequence)), t)
+    ),
+  },
+  geodesic: {
+    label: '行列対数 (測地線)',
+    // C(t) = exp(t · log(C_B C_Aᵀ)) · C_A
+    at: (a, b, sequence, t) => {
+      const Ca = eulerToDcm(a, sequence);
+      const w = rotationLog(matMul(eulerToDcm(b, sequence), transpose(Ca)));
+      return matMul(rotationExp(w.map((c) => c * t)), Ca);
+    },
+  },
+};
 
-      {/* Controls */}
-      <div className="flex gap-6 mb-4 w-full justify-center items-center bg-white p-4 rounded-lg shadow-sm">
-        <div className="flex flex-col gap-1 w-1/3">
-          <label className="text-sm font-semibold text-slate-700 flex justify-between">
-            <span>迎角 (α): {alpha}°</span>
-          </label>
-          <input
-            type="range"
-            min="-30"
-            max="30"
-            step="1"
-            value={alpha}
-            onChange={(e) => setAlpha(parseInt(e.target.value))}
-            className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
-          />
-        </div>
+// Gimbal lock: a Tait–Bryan sequence degenerates when its middle angle reaches ±90°.
+// Roll and yaw sliders run to ±180°, so closeness is measured by |cos|, not |angle|.
+const GIMBAL_WARNING_DEG = 80;
+const AXIS_ANGLE = { z: 'yaw', y: 'pitch', x: 'roll' };
+const ANGLE_SYMBOLS = { yaw: 'ψ', pitch: 'θ', roll: 'φ' };
+const middleAngle = (euler, sequence) => euler[AXIS_ANGLE[SEQUENCES[sequence].axes[1]]];
+
+// All frames of an attitude as DCMs from NED.
+// Stability axes: body turned by -α about y_b. Wind axes: stability turned by β about z_s.
+// A precomputed `dcm` (e.g. from an interpolator) overrides the Euler angles.
+const attitudeFrames = ({ alpha, beta, euler, sequence, dcm }) => {
+  const bn = dcm || eulerToDcm(euler, sequence);
+  const sb = rotY(-toRad(alpha));
+  const ws = rotZ(toRad(beta));
+  const sn = matMul(sb, bn);
+  const wn = matMul(ws, sn);
+  return { ned: IDENTITY, body: bn, stability: sn, wind: wn, sb, ws, wb: matMul(ws, sb) };
+};
 
-        <div className="flex gap-2">
-          <button
-            onClick={() => setViewMode('stability')}
-            className={`px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2 ${
-              viewMode === 'stability'
-                ? 'bg-red-100 text-red-700 border border-red-200'
-                : 'bg-white text-slate-600 border border-slate-200 hover:bg-slate-50'
-            }`}
-          >
-            <Eye className="w-4 h-4" />
-            安定軸(風)固定
-          </button>
-          <button
-            onClick={() => setViewMode('body')}
-            className={`px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2 ${
-              viewMode === 'body'
-                ? 'bg-blue-100 text-blue-700 border border-blue-200'
-                : 'bg-white text-slate-600 border border-slate-200 hover:bg-slate-50'
-            }`}
-          >
-            <RefreshCw className="w-4 h-4" />
-            機体軸固定
-          </button>
-        </div>
-      </div>
+// Aircraft silhouette in body axes (z down, so the fin has negative z)
+const SILHOUETTE = [
+  [[0.8, 0, 0], [-0.4, 0, -0.08], [-0.4, 0, 0.08]], // Fuselage
+  [[0.15, 0, 0], [-0.2, 0.65, 0], [-0.3, 0.65, 0], [-0.15, 0, 0], [-0.3, -0.65, 0], [-0.2, -0.65, 0]], // Wing
+  [[-0.3, 0, 0], [-0.42, 0.25, 0], [-0.48, 0.25, 0], [-0.45, 0, 0], [-0.48, -0.25, 0], [-0.42, -0.25, 0]], // Tail plane
+  [[-0.28, 0, 0], [-0.45, 0, -0.3], [-0.5, 0, -0.3], [-0.45, 0, 0]], // Fin
+];
+
+const FRAME_STYLES = {
+  ned: { color: '#94a3b8', labels: ['N', 'E', 'D'], dashed: true },
+  body: { color: '#2563eb', labels: ['xb (機体軸)', 'yb', 'zb'] },
+  stability: { color: '#dc2626', labels: ['xs (安定軸)', null, 'zs'] },
+  wind: { color: '#16a34a', labels: ['xw (風軸/速度V)', 'yw', null] },
+};
 
-      {/* Canvas */}
-      <div className="relative bg-white border border-slate-200 rounded-lg shadow-inner overflow-hidden mb-6">
-        <canvas
-          ref={canvasRef}
-          width={width}
-          height={height}
-          className="block"
-        />
-        <div className="absolute top-2 right-2 text-xs text-slate-400 bg-white/80 p-1 rounded">
-          Z軸 (下方向)
-        </div>
-      </div>
+// Vector tool inputs. `toVector` maps the entered values to components in the input frame;
+// lift/drag is always entered in wind axes (drag along -xw, lift along -zw).
+const VECTOR_KINDS = {
+  velocity: {
+    label: '速度',
+    unit: 'm/s',
+    frame: 'wind',
+    fields: ['x', 'y', 'z'],
+    defaults: ['50', '0', '0'],
+    toVector: (v) => v,
+  },
+  force: {
+    label: '力',
+    unit: 'N',
+    frame: 'body',
+    fields: ['x', 'y', 'z'],
+    defaults: ['0', '0', '-1000'],
+    toVector: (v) => v,
+  },
+  aero: {
+    label: '揚力・抗力',
+    unit: 'N',
+    frame: 'wind',
+    fixedFrame: true,
+    fields: ['揚力 L', '抗力 D', '横力 Y'],
+    defaults: ['1000', '100', '0'],
+    toVector: ([L, D, Y]) => [-D, Y, -L],
+  },
+};
 
-      {/* Math Explanation */}
-      <div className="w-full bg-slate-900 text-slate-50 p-6 rounded-lg font-mono text-sm leading-relaxed overflow-x-auto">
-        <div className="mb-2 text-indigo-300 font-bold border-b border-slate-700 pb-1">
-          Rotation Matrix T_sb(α)
-        </div>
-        <div className="flex flex-col md:flex-row gap-8 items-center justify-center py-4">
-          <div className="text-center">
-            <div className="mb-2 text-slate-400">変換式</div>
-            {`v_s = T_sb(α) · v_b`}
-          </div>
-          
-          <div className="flex items-center gap-2">
-            <span className="text-2xl">[</span>
-            <div className="grid grid-cols-3 gap-x-4 gap-y-2 text-center">
-              <span className="text-red-400">{cosA}</span>
-              <span className="text-slate-500">0</span>
-              <span className="text-blue-400">{sinA}</span>
-              
-              <span className="text-slate-500">0</span>
-              <span className="text-slate-200">1</span>
-              <span className="text-slate-500">0</span>
-              
-              <span className="text-blue-400">{nSinA}</span>
-              <span className="text-slate-500">0</span>
-              <span className="text-red-400">{cosA}</span>
-            </div>
-            <span className="text-2xl">]</span>
-          </div>
-        </div>
-        <div className="text-slate-400 text-xs mt-2 border-t border-slate-800 pt-2">
-          * cos(α) ≈ {cosA}, sin(α) ≈ {sinA}
-          <br/>
-          安定軸座標 (xs) = xb·cosα + zb·sinα
-          <br/>
-          安定軸座標 (zs) = -xb·sinα + zb·cosα
-        </div>
+const VECTOR_FRAMES = [
+  { key: 'body', label: '機体軸', components: ['xb', 'yb', 'zb'] },
+  { key: 'stability', label: '安定軸', components: ['xs', 'ys', 'zs'] },
+  { key: 'wind', label: '風軸', components: ['xw', 'yw', 'zw'] },
+  { key: 'ned', label: 'NED', components: ['N', 'E', 'D'] },
+];
+
+// Aerodynamic coefficients: stability-axis (CL, CD) ↔ body-axis (CX, CZ) at angle of attack α
+const COEFFICIENT_PAIRS = { lift: ['CL', 'CD'], body: ['CX', 'CZ'] };
+const liftDragToBody = ([CL, CD], a) =>
+  [CL * Math.sin(a) - CD * Math.cos(a), -CL * Math.cos(a) - CD * Math.sin(a)];
+const bodyToLiftDrag = ([CX, CZ], a) =>
+  [CX * Math.sin(a) - CZ * Math.cos(a), -CX * Math.cos(a) - CZ * Math.sin(a)];
+
+const MatrixView = ({ title, matrix }) => (
+  <div className="flex flex-col items-center">
+    <div className="mb-2 text-slate-400">{title}</div>
+    <div className="flex items-center gap-2">
+      <span className="text-2xl">[</span>
+      <div className="grid grid-cols-3 gap-x-4 gap-y-2 text-right">
+        {matrix.flat().map((value, i) => (
+          <span key={i} className={Math.abs(value) < 5e-4 ? 'text-slate-500' : 'text-slate-200'}>
+            {value.toFixed(3)}
+          </span>
+        ))}
       </div>
+      <span className="text-2xl">]</span>
     </div>
-  );
-};
-
-export default CoordinateVisualizer;import React, { useState, useEffect, useRef } from 'react';
-import { Plane, ArrowRight, Eye, RefreshCw } from 'lucide-react';
+  </div>
+);
+
+const Slider = ({ label, value, min, max, onChange, unit = '°' }) => (
+  <div className="flex flex-col gap-1">
+    <label className="text-sm font-semibold text-slate-700 flex justify-between">
+      <span>{label}: {value}{unit}</span>
+    </label>
+    <input
+      type="range"
+      min={min}
+      max={max}
+      step="1"
+      value={value}
+      onChange={(e) => onChange(parseInt(e.target.value))}
+      className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+    />
+  </div>
+);
 
 const CoordinateVisualizer = () => {
   const [alpha, setAlpha] = useState(15);
-  const [viewMode, setViewMode] = useState('stability'); // 'body' or 'stability'
+  const [beta, setBeta] = useState(0);
+  const [euler, setEuler] = useState({ yaw: 30, pitch: 10, roll: 0 });
+  const [sequence, setSequence] = useState('321');
+  const [viewMode, setViewMode] = useState('stability'); // 'ned', 'body', 'stability' or 'wind'
+  const [camera, setCamera] = useState({ az: toRad(-35), el: toRad(20) });
+  const [animMode, setAnimMode] = useState('explore'); // 'explore' or 'interpolate'
+  const [attA, setAttA] = useState({ yaw: -80, pitch: 80, roll: 80 });
+  const [attB, setAttB] = useState({ yaw: 80, pitch: 80, roll: -80 });
+  const [t, setT] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [vecKind, setVecKind] = useState('velocity');
+  const [vecFrame, setVecFrame] = useState('wind');
+  const [vecValues, setVecValues] = useState(VECTOR_KINDS.velocity.defaults); // raw input text
+  const [coefficients, setCoefficients] = useState({ pair: 'lift', values: ['0.5', '0.05'] });
   const canvasRef = useRef(null);
+  const dragRef = useRef(null);
 
   // Constants
   const width = 600;
@@ -289,30 +288,62 @@ const CoordinateVisualizer = () => {
   const centerY = height / 2;
   const scale = 150; // pixels per unit
   const vectorLength = 1.2;
+  const cameraDistance = 6; // perspective distance in units
 
-  // Degrees to Radians
-  const toRad = (deg) => (deg * Math.PI) / 180;
+  const attitude = { alpha, beta, euler, sequence };
+  const frames = attitudeFrames(attitude);
+
+  // Vector tool: entered vector → NED → every other frame
+  const vecInputFrame = VECTOR_KINDS[vecKind].fixedFrame ? VECTOR_KINDS[vecKind].frame : vecFrame;
+  const vecNed = matVec(
+    transpose(frames[vecInputFrame]),
+    VECTOR_KINDS[vecKind].toVector(vecValues.map((x) => parseFloat(x) || 0))
+  );
 
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
-    
+
     // Clear canvas
     ctx.clearRect(0, 0, width, height);
-    
+
     // Background grid
     drawGrid(ctx);
 
+    if (animMode === 'interpolate') {
+      drawInterpolation(ctx, camera);
+      return;
+    }
+
     // Context setup based on view mode
     ctx.save();
     ctx.translate(centerX, centerY);
-    
+
     // Draw axes and aircraft
-    drawSystem(ctx, alpha, viewMode);
-    
+    drawSystem(ctx, attitude, viewMode, camera);
+    drawVector(ctx, matVec(frames[viewMode], vecNed), viewMode, camera);
+
     ctx.restore();
-  }, [alpha, viewMode]);
+  }, [alpha, beta, euler, sequence, viewMode, camera, animMode, attA, attB, t, vecKind, vecFrame, vecValues]);
+
+  // Ping-pong animation of the interpolation parameter (one way in 3 s)
+  useEffect(() => {
+    if (!playing) return;
+    let frame;
+    let last = null;
+    let phase = t; // 0 → 1 runs A → B, 1 → 2 runs back
+    const tick = (now) => {
+      if (last !== null) {
+        phase = (phase + (now - last) / 3000) % 2;
+        setT(phase < 1 ? phase : 2 - phase);
+      }
+      last = now;
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing]);
 
   const drawGrid = (ctx) => {
     ctx.strokeStyle = '#f0f0f0';
@@ -332,18 +363,18 @@ const CoordinateVisualizer = () => {
   const drawArrow = (ctx, fromX, fromY, toX, toY, color, label, isDashed = false) => {
     const headLen = 10;
     const angle = Math.atan2(toY - fromY, toX - fromX);
-    
+
     ctx.strokeStyle = color;
     ctx.fillStyle = color;
     ctx.lineWidth = 2;
     if (isDashed) ctx.setLineDash([5, 3]);
     else ctx.setLineDash([]);
-    
+
     ctx.beginPath();
     ctx.moveTo(fromX, fromY);
     ctx.lineTo(toX, toY);
     ctx.stroke();
-    
+
     // Arrow head
     ctx.beginPath();
     ctx.moveTo(toX, toY);
@@ -353,193 +384,467 @@ const CoordinateVisualizer = () => {
     ctx.fill();
 
     // Label
-    ctx.font = '14px "Noto Sans JP", sans-serif';
-    ctx.fillText(label, toX + 10, toY + 10);
+    if (label) {
+      ctx.font = '14px "Noto Sans JP", sans-serif';
+      ctx.fillText(label, toX + 10, toY + 10);
+    }
   };
 
-  const drawSystem = (ctx, alphaDeg, mode) => {
-    const alphaRad = toRad(alphaDeg);
-    
-    // Rotation logic
-    // In 'body' mode: Body axes are fixed (horizontal/vertical), Stability axes rotate
-    // In 'stability' mode: Stability axes are fixed, Body axes rotate
-    
-    let bodyAngle = 0;
-    let stabAngle = 0;
-
-    if (mode === 'body') {
-      bodyAngle = 0;
-      stabAngle = alphaRad; // Stability axis rotates DOWN (positive Z) relative to body if alpha > 0
-    } else {
-      stabAngle = 0;
-      bodyAngle = -alphaRad; // Body axis rotates UP (negative Z) relative to stability if alpha > 0
-    }
+  // Perspective projection of a point in the reference frame (x fwd, y right, z down).
+  // At az = el = 0 this is the classic side view from the left: x to the right, z down and
+  // y toward the viewer, so (right, toward, -up) stays a right-handed image of (x, y, z).
+  const project = (p, cam, s = scale) => {
+    const ca = Math.cos(cam.az), sa = Math.sin(cam.az);
+    const ce = Math.cos(cam.el), se = Math.sin(cam.el);
+    const right = p[0] * ca + p[1] * sa;
+    const away = p[0] * sa - p[1] * ca;
+    const up = -p[2] * ce + away * se;
+    const depth = away * ce + p[2] * se;
+    const k = cameraDistance / (cameraDistance + depth);
+    return [s * right * k, -s * up * k];
+  };
 
-    // --- Draw Body Axes (Blue) ---
-    ctx.save();
-    ctx.rotate(bodyAngle);
-    
-    // x_b axis
-    drawArrow(ctx, 0, 0, scale * vectorLength, 0, '#2563eb', 'xb (機体軸)');
-    // z_b axis (Down is positive in flight dynamics)
-    drawArrow(ctx, 0, 0, 0, scale * vectorLength, '#2563eb', 'zb');
-
-    // Draw Aircraft Silhouette
+  const drawPolyline = (ctx, points, cam, closed, s = scale) => {
+    ctx.beginPath();
+    points.forEach((p, i) => {
+      const [x, y] = project(p, cam, s);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    if (closed) ctx.closePath();
+  };
+
+  // options: scale (px per unit), which frames to draw, and whether to draw the α/β arcs
+  const drawSystem = (ctx, att, mode, cam, options = {}) => {
+    const { scale: s = scale, frames: shown = ['ned', 'wind', 'stability', 'body'], arcs = true } = options;
+    const F = attitudeFrames(att);
+    // Everything is drawn in the selected frame: v_ref = C_rn · v_ned
+    const C_rn = F[mode];
+    const toRef = (frame, v) => matVec(C_rn, matVec(transpose(F[frame]), v));
+
+    // --- Draw frame axes ---
+    shown.forEach((frame) => {
+      const style = FRAME_STYLES[frame];
+      style.labels.forEach((label, i) => {
+        if (label === null) return;
+        const axis = [0, 0, 0];
+        axis[i] = vectorLength;
+        const [x, y] = project(toRef(frame, axis), cam, s);
+        drawArrow(ctx, 0, 0, x, y, style.color, label, style.dashed);
+      });
+    });
+    ctx.setLineDash([]);
+
+    // --- Draw Aircraft Silhouette ---
     ctx.fillStyle = 'rgba(37, 99, 235, 0.1)';
     ctx.strokeStyle = '#2563eb';
     ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(scale * 0.8, 0); // Nose
-    ctx.lineTo(-scale * 0.4, -scale * 0.1); // Tail top
-    ctx.lineTo(-scale * 0.4, scale * 0.1); // Tail bottom
-    ctx.closePath();
-    ctx.fill();
-    ctx.stroke();
-    
-    // Wing
-    ctx.beginPath();
-    ctx.moveTo(0, 0);
-    ctx.lineTo(-scale * 0.2, scale * 0.4);
+    SILHOUETTE.forEach((part) => {
+      drawPolyline(ctx, part.map((p) => toRef('body', p)), cam, true, s);
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    if (!arcs) return;
+
+    // --- Draw Angle Arcs ---
+    // α: from xb to xs in the body x–z plane; β: from xs to xw in the stability x–y plane
+    const arc = (frame, angle, plane) => {
+      const steps = 24;
+      const points = [];
+      for (let i = 0; i <= steps; i++) {
+        const t = (angle * i) / steps;
+        const p = plane === 'xz' ? [Math.cos(t), 0, Math.sin(t)] : [Math.cos(t), Math.sin(t), 0];
+        points.push(toRef(frame, p.map((c) => c * 0.5)));
+      }
+      return points;
+    };
+
+    ctx.font = '14px "Noto Sans JP", sans-serif';
+    [
+      { points: arc('body', toRad(att.alpha), 'xz'), color: '#7c3aed', label: `α = ${att.alpha}°` }, // Purple
+      { points: arc('stability', toRad(att.beta), 'xy'), color: '#d97706', label: `β = ${att.beta}°` },
+    ].forEach(({ points, color, label }) => {
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 2;
+      drawPolyline(ctx, points, cam, false);
+      ctx.stroke();
+      const [x, y] = project(points[Math.floor(points.length / 2)], cam);
+      ctx.fillText(label, x * 1.2, y * 1.2);
+    });
+  };
+
+  // Entered vector (components in the view frame), with dashed legs along the view frame's axes.
+  // Only the direction is to scale: the arrow is drawn with a fixed length.
+  const drawVector = (ctx, v, mode, cam) => {
+    const magnitude = Math.hypot(...v);
+    if (magnitude < 1e-9) return;
+    const tip = v.map((c) => (c / magnitude) * vectorLength * 1.1);
+    const legColor = FRAME_STYLES[mode].color;
+
+    ctx.strokeStyle = legColor;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 3]);
+    drawPolyline(ctx, [[0, 0, 0], [tip[0], 0, 0], [tip[0], tip[1], 0], tip], cam, false);
     ctx.stroke();
 
-    ctx.restore();
+    const [x, y] = project(tip, cam);
+    drawArrow(ctx, 0, 0, x, y, '#9333ea', vecKind === 'velocity' ? 'V' : 'F');
+  };
 
-    // --- Draw Stability Axes (Red) ---
-    ctx.save();
-    ctx.rotate(stabAngle);
-    
-    // x_s axis (Velocity Vector direction)
-    drawArrow(ctx, 0, 0, scale * vectorLength, 0, '#dc2626', 'xs (安定軸/速度V)', false);
-    // z_s axis
-    drawArrow(ctx, 0, 0, 0, scale * vectorLength, '#dc2626', 'zs');
+  // Path of one method sampled over t, for the traces and the readout
+  const samplePath = (method, steps = 60) =>
+    Array.from({ length: steps + 1 }, (_, i) => INTERPOLATORS[method].at(attA, attB, sequence, i / steps));
+
+  // Total angle swept along a sampled path
+  const pathLength = (path) =>
+    path.slice(1).reduce((sum, C, i) => sum + rotationAngle(matMul(C, transpose(path[i]))), 0);
+
+  // --- Interpolation comparison: three panels side by side in NED ---
+  const drawInterpolation = (ctx, cam) => {
+    const panelWidth = width / 3;
+    const panelScale = 70;
+
+    Object.keys(INTERPOLATORS).forEach((method, k) => {
+      const path = samplePath(method);
+
+      ctx.save();
+      ctx.translate(panelWidth * (k + 0.5), centerY + 20);
+
+      // Nose (xb) and right wingtip (yb) traces over the whole interpolation
+      [[0.8, 0, 0, '#f59e0b'], [0, 0.65, 0, '#10b981']].forEach(([x, y, z, color]) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        drawPolyline(ctx, path.map((C) => matVec(transpose(C), [x, y, z])), cam, false, panelScale);
+        ctx.stroke();
+      });
+
+      const dcm = INTERPOLATORS[method].at(attA, attB, sequence, t);
+      drawSystem(ctx, { alpha, beta, euler, sequence, dcm }, 'ned', cam,
+        { scale: panelScale, frames: ['ned', 'body'], arcs: false });
+      ctx.restore();
+
+      ctx.fillStyle = '#334155';
+      ctx.font = '13px "Noto Sans JP", sans-serif';
+      ctx.fillText(INTERPOLATORS[method].label, panelWidth * k + 10, 20);
+      ctx.fillText(`経路長 ${toDeg(pathLength(path)).toFixed(1)}°`, panelWidth * k + 10, 38);
+      if (k > 0) {
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.beginPath();
+        ctx.moveTo(panelWidth * k, 0);
+        ctx.lineTo(panelWidth * k, height);
+        ctx.stroke();
+      }
+    });
+  };
 
-    ctx.restore();
+  // --- Drag to orbit ---
+  const handlePointerDown = (e) => {
+    dragRef.current = { x: e.clientX, y: e.clientY, camera };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
 
-    // --- Draw Angle Arc ---
-    // Draw arc between xb and xs
-    ctx.save();
-    // We want the arc to start from xb and go to xs
-    // In canvas coordinates, if mode=body: xb=0, xs=alpha
-    // if mode=stability: xb=-alpha, xs=0
-    
-    const startAngle = bodyAngle;
-    const endAngle = stabAngle;
-    
-    ctx.beginPath();
-    ctx.arc(0, 0, scale * 0.5, startAngle, endAngle, false);
-    ctx.strokeStyle = '#7c3aed'; // Purple
-    ctx.lineWidth = 2;
-    ctx.stroke();
-    
-    // Label alpha
-    const midAngle = (startAngle + endAngle) / 2;
-    ctx.fillStyle = '#7c3aed';
-    ctx.fillText(`α = ${alphaDeg}°`, scale * 0.6 * Math.cos(midAngle), scale * 0.6 * Math.sin(midAngle));
-    ctx.restore();
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const limit = toRad(85);
+    setCamera({
+      az: drag.camera.az + (e.clientX - drag.x) * 0.01,
+      el: Math.max(-limit, Math.min(limit, drag.camera.el + (e.clientY - drag.y) * 0.01)),
+    });
   };
 
-  // Matrix calculation for display
-  const cosA = Math.cos(toRad(alpha)).toFixed(3);
-  const sinA = Math.sin(toRad(alpha)).toFixed(3);
-  const nSinA = (-Math.sin(toRad(alpha))).toFixed(3);
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  // Matrix and quaternion readouts
+  const quaternion = dcmToQuaternion(frames.body);
+  const velocity = matVec(transpose(frames.wb), [1, 0, 0]); // (u, v, w) / V
+
+  // Gimbal-lock check on the sequence's middle angle
+  const middleKey = AXIS_ANGLE[SEQUENCES[sequence].axes[1]];
+  const checked = animMode === 'interpolate' ? [attA, attB] : [euler];
+  const lockCos = (a) => Math.abs(Math.cos(toRad(a)));
+  const lockAngle = checked
+    .map((e) => middleAngle(e, sequence))
+    .reduce((worst, a) => (lockCos(a) < lockCos(worst) ? a : worst), 0);
+  const nearGimbalLock = lockCos(lockAngle) <= Math.cos(toRad(GIMBAL_WARNING_DEG));
+
+  // SLERP and the matrix-log geodesic should trace the same great arc
+  let geodesicGap = 0;
+  if (animMode === 'interpolate') {
+    const geodesicPath = samplePath('geodesic', 20);
+    samplePath('slerp', 20).forEach((C, i) => {
+      geodesicGap = Math.max(geodesicGap, rotationAngle(matMul(C, transpose(geodesicPath[i]))));
+    });
+  }
+
+  // Coefficients: the last-edited pair keeps the raw text, the other is derived at the current α
+  const entered = coefficients.values.map((x) => parseFloat(x) || 0);
+  const coefficientValues = coefficients.pair === 'lift'
+    ? { lift: entered, body: liftDragToBody(entered, toRad(alpha)) }
+    : { lift: bodyToLiftDrag(entered, toRad(alpha)), body: entered };
+  const coefficientText = (pair, i) => (pair === coefficients.pair
+    ? coefficients.values[i]
+    : coefficientValues[pair][i].toFixed(4));
+  const handleCoefficient = (pair, i, text) => {
+    const values = [0, 1].map((j) => coefficientText(pair, j));
+    values[i] = text;
+    setCoefficients({ pair, values });
+  };
+
+  const handleVecKind = (kind) => {
+    setVecKind(kind);
+    setVecFrame(VECTOR_KINDS[kind].frame);
+    setVecValues(VECTOR_KINDS[kind].defaults);
+  };
+
+  const formatEuler = (e) => `(ψ, θ, φ) = (${e.yaw}°, ${e.pitch}°, ${e.roll}°)`;
+
+  const modeButton = (mode, Icon, label, activeClass) => (
+    <button
+      onClick={() => setViewMode(mode)}
+      className={`px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2 ${
+        viewMode === mode
+          ? activeClass
+          : 'bg-white text-slate-600 border border-slate-200 hover:bg-slate-50'
+      }`}
+    >
+      <Icon className="w-4 h-4" />
+      {label}
+    </button>
+  );
 
   return (
     <div className="flex flex-col items-center p-6 bg-slate-50 rounded-xl shadow-lg max-w-3xl mx-auto">
       <h2 className="text-2xl font-bold text-slate-800 mb-2 flex items-center gap-2">
         <Plane className="w-6 h-6" />
-        機体軸と安定軸の回転変換
+        機体軸・安定軸・風軸の3次元回転変換
       </h2>
       <p className="text-slate-600 mb-6 text-sm text-center">
         航空力学では <strong>Z軸は下向きが正</strong> であることに注意してご覧なさい。
+        キャンバスをドラッグすると視点を回転できます。
       </p>
 
       {/* Controls */}
-      <div className="flex gap-6 mb-4 w-full justify-center items-center bg-white p-4 rounded-lg shadow-sm">
-        <div className="flex flex-col gap-1 w-1/3">
-          <label className="text-sm font-semibold text-slate-700 flex justify-between">
-            <span>迎角 (α): {alpha}°</span>
-          </label>
-          <input
-            type="range"
-            min="-30"
-            max="30"
-            step="1"
-            value={alpha}
-            onChange={(e) => setAlpha(parseInt(e.target.value))}
-            className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
-          />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3 mb-4 w-full bg-white p-4 rounded-lg shadow-sm">
+        <Slider label="迎角 (α)" value={alpha} min={-30} max={30} onChange={setAlpha} />
+        <Slider label="横滑り角 (β)" value={beta} min={-30} max={30} onChange={setBeta} />
+        <Slider label="ヨー角 (ψ)" value={euler.yaw} min={-180} max={180}
+          onChange={(yaw) => setEuler({ ...euler, yaw })} />
+        <Slider label="ピッチ角 (θ)" value={euler.pitch} min={-90} max={90}
+          onChange={(pitch) => setEuler({ ...euler, pitch })} />
+        <Slider label="ロール角 (φ)" value={euler.roll} min={-180} max={180}
+          onChange={(roll) => setEuler({ ...euler, roll })} />
+        <div className="flex flex-col gap-1">
+          <label className="text-sm font-semibold text-slate-700">回転順序 (NED → 機体)</label>
+          <select
+            value={sequence}
+            onChange={(e) => setSequence(e.target.value)}
+            className="px-2 py-1 rounded-md border border-slate-200 text-sm text-slate-700"
+          >
+            {Object.entries(SEQUENCES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
         </div>
+      </div>
 
-        <div className="flex gap-2">
-          <button
-            onClick={() => setViewMode('stability')}
-            className={`px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2 ${
-              viewMode === 'stability'
-                ? 'bg-red-100 text-red-700 border border-red-200'
-                : 'bg-white text-slate-600 border border-slate-200 hover:bg-slate-50'
-            }`}
-          >
-            <Eye className="w-4 h-4" />
-            安定軸(風)固定
-          </button>
+      <div className="flex flex-wrap gap-2 mb-4 justify-center">
+        {modeButton('ned', Navigation, 'NED固定', 'bg-slate-200 text-slate-700 border border-slate-300')}
+        {modeButton('body', RefreshCw, '機体軸固定', 'bg-blue-100 text-blue-700 border border-blue-200')}
+        {modeButton('stability', Eye, '安定軸固定', 'bg-red-100 text-red-700 border border-red-200')}
+        {modeButton('wind', Wind, '風軸固定', 'bg-green-100 text-green-700 border border-green-200')}
+        <button
+          onClick={() => setCamera({ az: 0, el: 0 })}
+          className="px-4 py-2 rounded-md text-sm font-medium bg-white text-slate-600 border border-slate-200 hover:bg-slate-50"
+        >
+          側面図
+        </button>
+      </div>
+
+      <div className="flex gap-2 mb-4 justify-center">
+        {[['explore', '姿勢を探索'], ['interpolate', '補間を比較']].map(([mode, label]) => (
           <button
-            onClick={() => setViewMode('body')}
-            className={`px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2 ${
-              viewMode === 'body'
-                ? 'bg-blue-100 text-blue-700 border border-blue-200'
+            key={mode}
+            onClick={() => { setAnimMode(mode); setPlaying(false); }}
+            className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+              animMode === mode
+                ? 'bg-indigo-100 text-indigo-700 border border-indigo-200'
                 : 'bg-white text-slate-600 border border-slate-200 hover:bg-slate-50'
             }`}
           >
-            <RefreshCw className="w-4 h-4" />
-            機体軸固定
+            {label}
           </button>
-        </div>
+        ))}
       </div>
 
+      {animMode === 'interpolate' && (
+        <div className="w-full bg-white p-4 rounded-lg shadow-sm mb-4 text-sm text-slate-700">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3 font-mono">
+            <div>A: {formatEuler(attA)}</div>
+            <div>B: {formatEuler(attB)}</div>
+          </div>
+          <div className="flex flex-wrap gap-2 mb-3">
+            <button onClick={() => setAttA({ ...euler })}
+              className="px-3 py-1 rounded-md border border-slate-200 hover:bg-slate-50">現在の姿勢 → A</button>
+            <button onClick={() => setAttB({ ...euler })}
+              className="px-3 py-1 rounded-md border border-slate-200 hover:bg-slate-50">現在の姿勢 → B</button>
+            <button
+              onClick={() => {
+                setSequence('321');
+                setAttA({ yaw: -80, pitch: 80, roll: 80 });
+                setAttB({ yaw: 80, pitch: 80, roll: -80 });
+              }}
+              className="px-3 py-1 rounded-md border border-slate-200 hover:bg-slate-50">ジンバルロックの例</button>
+            <button onClick={() => setPlaying(!playing)}
+              className="px-3 py-1 rounded-md border border-indigo-200 bg-indigo-50 text-indigo-700">
+              {playing ? 'Pause' : 'Play'}
+            </button>
+          </div>
+          <Slider label="補間パラメータ t" value={Math.round(t * 100)} min={0} max={100} unit="%"
+            onChange={(v) => { setPlaying(false); setT(v / 100); }} />
+        </div>
+      )}
+
+      {nearGimbalLock && (
+        <div className="w-full mb-4 p-3 rounded-lg border border-amber-300 bg-amber-50 text-amber-800 text-sm">
+          ⚠ ジンバルロック付近: {ANGLE_SYMBOLS[middleKey]} = {lockAngle}°。
+          {SEQUENCES[sequence].label} の第1と第3の回転軸がほぼ重なり、
+          Euler 角の小さな変化で姿勢が大きく変わったり、逆に大きく変えても姿勢がほとんど変わらなかったりします。
+        </div>
+      )}
+
       {/* Canvas */}
       <div className="relative bg-white border border-slate-200 rounded-lg shadow-inner overflow-hidden mb-6">
         <canvas
           ref={canvasRef}
           width={width}
           height={height}
-          className="block"
+          className="block cursor-grab touch-none"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
         />
         <div className="absolute top-2 right-2 text-xs text-slate-400 bg-white/80 p-1 rounded">
           Z軸 (下方向)
         </div>
       </div>
 
+      {/* Vector Transform */}
+      {animMode === 'explore' && (
+        <div className="w-full bg-white p-4 rounded-lg shadow-sm mb-6 text-sm text-slate-700">
+          <div className="mb-3 text-indigo-700 font-bold border-b border-slate-200 pb-1">
+            Vector Transform
+          </div>
+          <div className="flex flex-wrap items-end gap-3 mb-3">
+            <label className="flex flex-col gap-1 font-semibold">
+              種類
+              <select
+                value={vecKind}
+                onChange={(e) => handleVecKind(e.target.value)}
+                className="px-2 py-1 border border-slate-200 rounded-md font-normal"
+              >
+                {Object.entries(VECTOR_KINDS).map(([key, kind]) => (
+                  <option key={key} value={key}>{kind.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 font-semibold">
+              入力座標系
+              <select
+                value={vecInputFrame}
+                disabled={VECTOR_KINDS[vecKind].fixedFrame}
+                onChange={(e) => setVecFrame(e.target.value)}
+                className="px-2 py-1 border border-slate-200 rounded-md font-normal"
+              >
+                {VECTOR_FRAMES.map((frame) => (
+                  <option key={frame.key} value={frame.key}>{frame.label}</option>
+                ))}
+              </select>
+            </label>
+            {VECTOR_KINDS[vecKind].fields.map((field, i) => (
+              <label key={field} className="flex flex-col gap-1 font-semibold">
+                {VECTOR_KINDS[vecKind].fixedFrame
+                  ? field
+                  : VECTOR_FRAMES.find((frame) => frame.key === vecInputFrame).components[i]}
+                {' '}[{VECTOR_KINDS[vecKind].unit}]
+                <input
+                  type="number"
+                  value={vecValues[i]}
+                  onChange={(e) => setVecValues(vecValues.map((x, j) => (j === i ? e.target.value : x)))}
+                  className="w-24 px-2 py-1 border border-slate-200 rounded-md font-normal font-mono"
+                />
+              </label>
+            ))}
+          </div>
+          <table className="w-full font-mono text-right mb-4">
+            <tbody>
+              {VECTOR_FRAMES.map((frame) => {
+                const v = matVec(frames[frame.key], vecNed);
+                return (
+                  <tr key={frame.key} className={frame.key === vecInputFrame ? 'bg-indigo-50' : ''}>
+                    <td className="text-left font-sans py-1 pl-2" style={{ color: FRAME_STYLES[frame.key].color }}>
+                      {frame.label}
+                    </td>
+                    {v.map((c, i) => (
+                      <td key={i} className="py-1">{frame.components[i]} = {(Math.abs(c) < 5e-3 ? 0 : c).toFixed(2)}</td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="text-xs text-slate-500 mb-4">
+            |{vecKind === 'velocity' ? 'V' : 'F'}| = {Math.hypot(...vecNed).toFixed(2)} {VECTOR_KINDS[vecKind].unit}
+            (キャンバスの紫の矢印。点線は表示中の座標系での成分)
+          </div>
+
+          <div className="mb-2 font-semibold">空力係数 (α = {alpha}°)</div>
+          <div className="flex flex-wrap items-end gap-3">
+            {Object.entries(COEFFICIENT_PAIRS).map(([pair, names]) => names.map((name, i) => (
+              <label key={name} className="flex flex-col gap-1 font-semibold">
+                {name}
+                <input
+                  type="number"
+                  step="0.01"
+                  value={coefficientText(pair, i)}
+                  onChange={(e) => handleCoefficient(pair, i, e.target.value)}
+                  className="w-24 px-2 py-1 border border-slate-200 rounded-md font-normal font-mono"
+                />
+              </label>
+            )))}
+          </div>
+          <div className="text-xs text-slate-500 mt-2 font-mono">
+            CX = CL·sinα − CD·cosα, CZ = −CL·cosα − CD·sinα
+          </div>
+        </div>
+      )}
+
       {/* Math Explanation */}
       <div className="w-full bg-slate-900 text-slate-50 p-6 rounded-lg font-mono text-sm leading-relaxed overflow-x-auto">
         <div className="mb-2 text-indigo-300 font-bold border-b border-slate-700 pb-1">
-          Rotation Matrix T_sb(α)
+          Direction Cosine Matrices
         </div>
         <div className="flex flex-col md:flex-row gap-8 items-center justify-center py-4">
-          <div className="text-center">
-            <div className="mb-2 text-slate-400">変換式</div>
-            {`v_s = T_sb(α) · v_b`}
-          </div>
-          
-          <div className="flex items-center gap-2">
-            <span className="text-2xl">[</span>
-            <div className="grid grid-cols-3 gap-x-4 gap-y-2 text-center">
-              <span className="text-red-400">{cosA}</span>
-              <span className="text-slate-500">0</span>
-              <span className="text-blue-400">{sinA}</span>
-              
-              <span className="text-slate-500">0</span>
-              <span className="text-slate-200">1</span>
-              <span className="text-slate-500">0</span>
-              
-              <span className="text-blue-400">{nSinA}</span>
-              <span className="text-slate-500">0</span>
-              <span className="text-red-400">{cosA}</span>
-            </div>
-            <span className="text-2xl">]</span>
-          </div>
+          <MatrixView title={`C_bn (${sequence}: ψ, θ, φ)`} matrix={frames.body} />
+          <MatrixView title="T_wb(α, β) = T_ws(β) · T_sb(α)" matrix={frames.wb} />
         </div>
         <div className="text-slate-400 text-xs mt-2 border-t border-slate-800 pt-2">
-          * cos(α) ≈ {cosA}, sin(α) ≈ {sinA}
+          {animMode === 'interpolate' && (
+            <>
+              SLERP と測地線の最大差 = {toDeg(geodesicGap).toFixed(4)}° (どちらも SO(3) 上の最短経路)
+              <br/>
+            </>
+          )}
+          q = [{quaternion.map((x) => x.toFixed(4)).join(', ')}] (q0 がスカラー部, |q| = 1)
+          <br/>
+          回転角 = {toDeg(2 * Math.acos(Math.min(1, quaternion[0]))).toFixed(1)}°
+          <br/>
+          v_b / V = (u, v, w) / V = ({velocity.map((x) => x.toFixed(3)).join(', ')})
+          = (cosα·cosβ, sinβ, sinα·cosβ)
           <br/>
           安定軸座標 (xs) = xb·cosα + zb·sinα
           <br/>
@@ -550,4 +855,4 @@ const CoordinateVisualizer = () => {
   );
 };
 
-export default CoordinateVisualizer;
\ No newline at end of file
+export default CoordinateVisualizer;
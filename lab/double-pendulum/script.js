@@ -0,0 +1,502 @@
+/**
+ * Double Pendulum Chaos Simulation
+ * An ensemble of nearly identical pendulums integrated with RK4
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================
+    // Physical Constants and Parameters
+    // ============================================
+    const PARAMS = {
+        m1: 1.0,     // Upper bob mass [kg]
+        m2: 1.0,     // Lower bob mass [kg]
+        l1: 1.0,     // Upper rod length [m]
+        l2: 1.0,     // Lower rod length [m]
+        g: 9.81,     // Gravity [m/s^2]
+        dt: 0.002    // Time step [s]
+    };
+
+    // Ensemble settings
+    let ensemble = {
+        count: 50,       // Number of pendulums
+        spread: 1e-4     // Initial θ₂ spread across the ensemble [rad]
+    };
+
+    let initial = {
+        theta1: 120 * Math.PI / 180,
+        theta2: -10 * Math.PI / 180
+    };
+
+    // Lyapunov estimate: renormalise the shadow orbit every interval
+    const LYAPUNOV_D0 = 1e-8;
+    const LYAPUNOV_INTERVAL = 0.1; // [s]
+
+    const TRACE_LENGTH = 600;
+    const SPREAD_HISTORY = 600;
+
+    // Cap on RK4 steps per animation frame
+    const MAX_STEPS_PER_FRAME = 50;
+    const MAX_FRAME_TIME = 0.1;     // Ignore longer gaps (e.g. background tab) [s]
+
+    // ============================================
+    // State Variables
+    // ============================================
+    let pendulums = [];   // Ensemble; index 0 is the reference
+    let time = 0;
+    let energy0 = 0;
+    let trace = [];       // Lower-bob positions of the reference [m]
+
+    let lyapunov = {
+        shadow: null,     // Perturbed copy of the reference
+        sum: 0,           // Σ ln(d/d₀)
+        elapsed: 0,       // Time covered by completed intervals [s]
+        sinceRenorm: 0
+    };
+
+    let spreadHistory = []; // {t, log10 spread}
+
+    let isRunning = false;
+    let animationId = null;
+    let lastTime = null;
+    let accumulator = 0;
+
+    // ============================================
+    // Canvas Setup
+    // ============================================
+    const canvas = document.getElementById('pendulumCanvas');
+    const ctx = canvas.getContext('2d');
+    const spreadCanvas = document.getElementById('spreadCanvas');
+    const spreadCtx = spreadCanvas.getContext('2d');
+
+    const PIVOT_Y = 220;
+    const BOB_RADIUS = 6;
+
+    // ============================================
+    // Physics Engine
+    // ============================================
+
+    /**
+     * Compute derivatives of state variables
+     * Lagrangian equations for two point masses on rigid massless rods,
+     * angles measured from the downward vertical
+     */
+    function computeDerivatives(state) {
+        const { m1, m2, l1, l2, g } = PARAMS;
+        const { theta1, omega1, theta2, omega2 } = state;
+
+        const delta = theta1 - theta2;
+        const sinDelta = Math.sin(delta);
+        const cosDelta = Math.cos(delta);
+        const denom = 2 * m1 + m2 - m2 * Math.cos(2 * delta);
+
+        const alpha1 = (-g * (2 * m1 + m2) * Math.sin(theta1)
+                        - m2 * g * Math.sin(theta1 - 2 * theta2)
+                        - 2 * sinDelta * m2 * (omega2 * omega2 * l2 + omega1 * omega1 * l1 * cosDelta))
+                       / (l1 * denom);
+
+        const alpha2 = (2 * sinDelta * (omega1 * omega1 * l1 * (m1 + m2)
+                        + g * (m1 + m2) * Math.cos(theta1)
+                        + omega2 * omega2 * l2 * m2 * cosDelta))
+                       / (l2 * denom);
+
+        return {
+            theta1Dot: omega1,
+            omega1Dot: alpha1,
+            theta2Dot: omega2,
+            omega2Dot: alpha2
+        };
+    }
+
+    /**
+     * Runge-Kutta 4th order integration step
+     */
+    function rk4Step(state, dt) {
+        const k1 = computeDerivatives(state);
+
+        const state2 = {
+            theta1: state.theta1 + k1.theta1Dot * dt / 2,
+            omega1: state.omega1 + k1.omega1Dot * dt / 2,
+            theta2: state.theta2 + k1.theta2Dot * dt / 2,
+            omega2: state.omega2 + k1.omega2Dot * dt / 2
+        };
+        const k2 = computeDerivatives(state2);
+
+        const state3 = {
+            theta1: state.theta1 + k2.theta1Dot * dt / 2,
+            omega1: state.omega1 + k2.omega1Dot * dt / 2,
+            theta2: state.theta2 + k2.theta2Dot * dt / 2,
+            omega2: state.omega2 + k2.omega2Dot * dt / 2
+        };
+        const k3 = computeDerivatives(state3);
+
+        const state4 = {
+            theta1: state.theta1 + k3.theta1Dot * dt,
+            omega1: state.omega1 + k3.omega1Dot * dt,
+            theta2: state.theta2 + k3.theta2Dot * dt,
+            omega2: state.omega2 + k3.omega2Dot * dt
+        };
+        const k4 = computeDerivatives(state4);
+
+        return {
+            theta1: state.theta1 + (k1.theta1Dot + 2*k2.theta1Dot + 2*k3.theta1Dot + k4.theta1Dot) * dt / 6,
+            omega1: state.omega1 + (k1.omega1Dot + 2*k2.omega1Dot + 2*k3.omega1Dot + k4.omega1Dot) * dt / 6,
+            theta2: state.theta2 + (k1.theta2Dot + 2*k2.theta2Dot + 2*k3.theta2Dot + k4.theta2Dot) * dt / 6,
+            omega2: state.omega2 + (k1.omega2Dot + 2*k2.omega2Dot + 2*k3.omega2Dot + k4.omega2Dot) * dt / 6
+        };
+    }
+
+    /** Total mechanical energy (potential zero at the pivot). */
+    function mechanicalEnergy(state) {
+        const { m1, m2, l1, l2, g } = PARAMS;
+        const { theta1, omega1, theta2, omega2 } = state;
+        const kinetic = 0.5 * (m1 + m2) * l1 * l1 * omega1 * omega1
+                      + 0.5 * m2 * l2 * l2 * omega2 * omega2
+                      + m2 * l1 * l2 * omega1 * omega2 * Math.cos(theta1 - theta2);
+        const potential = -(m1 + m2) * g * l1 * Math.cos(theta1) - m2 * g * l2 * Math.cos(theta2);
+        return kinetic + potential;
+    }
+
+    /** Cartesian positions of both bobs relative to the pivot (y down) [m]. */
+    function bobPositions(state) {
+        const x1 = PARAMS.l1 * Math.sin(state.theta1);
+        const y1 = PARAMS.l1 * Math.cos(state.theta1);
+        return {
+            x1: x1,
+            y1: y1,
+            x2: x1 + PARAMS.l2 * Math.sin(state.theta2),
+            y2: y1 + PARAMS.l2 * Math.cos(state.theta2)
+        };
+    }
+
+    /** Euclidean distance between two states in (θ₁, ω₁, θ₂, ω₂) space. */
+    function stateDistance(a, b) {
+        const d1 = a.theta1 - b.theta1;
+        const d2 = a.omega1 - b.omega1;
+        const d3 = a.theta2 - b.theta2;
+        const d4 = a.omega2 - b.omega2;
+        return Math.sqrt(d1 * d1 + d2 * d2 + d3 * d3 + d4 * d4);
+    }
+
+    // ============================================
+    // Lyapunov Exponent
+    // ============================================
+
+    /**
+     * Benettin's method: follow a shadow orbit d₀ away from the reference,
+     * and every LYAPUNOV_INTERVAL pull it back to distance d₀ along the
+     * current separation. λ ≈ Σ ln(d/d₀) / t.
+     */
+    function updateLyapunov(reference, dt) {
+        lyapunov.shadow = rk4Step(lyapunov.shadow, dt);
+        lyapunov.sinceRenorm += dt;
+        if (lyapunov.sinceRenorm < LYAPUNOV_INTERVAL) return;
+
+        const d = stateDistance(reference, lyapunov.shadow);
+        lyapunov.sum += Math.log(d / LYAPUNOV_D0);
+        lyapunov.elapsed += lyapunov.sinceRenorm;
+        lyapunov.sinceRenorm = 0;
+
+        const scale = LYAPUNOV_D0 / d;
+        lyapunov.shadow = {
+            theta1: reference.theta1 + (lyapunov.shadow.theta1 - reference.theta1) * scale,
+            omega1: reference.omega1 + (lyapunov.shadow.omega1 - reference.omega1) * scale,
+            theta2: reference.theta2 + (lyapunov.shadow.theta2 - reference.theta2) * scale,
+            omega2: reference.omega2 + (lyapunov.shadow.omega2 - reference.omega2) * scale
+        };
+    }
+
+    function lyapunovEstimate() {
+        return lyapunov.elapsed > 0 ? lyapunov.sum / lyapunov.elapsed : 0;
+    }
+
+    /** Largest distance of any ensemble member from the reference. */
+    function ensembleSpread() {
+        let max = 0;
+        for (let i = 1; i < pendulums.length; i++) {
+            max = Math.max(max, stateDistance(pendulums[0], pendulums[i]));
+        }
+        return max;
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    function render() {
+        const width = canvas.width;
+        const height = canvas.height;
+        const pivotX = width / 2;
+        const scale = (Math.min(width / 2, height - PIVOT_Y) - 20) / (PARAMS.l1 + PARAMS.l2);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+
+        // Trace of the reference lower bob
+        if (trace.length > 1) {
+            ctx.strokeStyle = 'rgba(197, 48, 48, 0.35)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(pivotX + trace[0].x * scale, PIVOT_Y + trace[0].y * scale);
+            for (let i = 1; i < trace.length; i++) {
+                ctx.lineTo(pivotX + trace[i].x * scale, PIVOT_Y + trace[i].y * scale);
+            }
+            ctx.stroke();
+        }
+
+        // Ensemble, drawn back to front so the reference ends on top
+        for (let i = pendulums.length - 1; i >= 0; i--) {
+            const p = bobPositions(pendulums[i]);
+            const hue = pendulums.length > 1 ? 220 - 220 * i / (pendulums.length - 1) : 0;
+            const color = i === 0 ? '#1a365d' : 'hsla(' + hue + ', 70%, 50%, 0.45)';
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = i === 0 ? 3 : 1.5;
+            ctx.beginPath();
+            ctx.moveTo(pivotX, PIVOT_Y);
+            ctx.lineTo(pivotX + p.x1 * scale, PIVOT_Y + p.y1 * scale);
+            ctx.lineTo(pivotX + p.x2 * scale, PIVOT_Y + p.y2 * scale);
+            ctx.stroke();
+
+            ctx.fillStyle = i === 0 ? '#c53030' : color;
+            ctx.beginPath();
+            ctx.arc(pivotX + p.x1 * scale, PIVOT_Y + p.y1 * scale, BOB_RADIUS * 0.8, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.beginPath();
+            ctx.arc(pivotX + p.x2 * scale, PIVOT_Y + p.y2 * scale, BOB_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Pivot
+        ctx.fillStyle = '#718096';
+        ctx.beginPath();
+        ctx.arc(pivotX, PIVOT_Y, 5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * log₁₀ of the ensemble spread against time. Exponential divergence
+     * shows as a straight rise whose slope is λ / ln 10 until it saturates.
+     */
+    function renderSpread() {
+        const width = spreadCanvas.width;
+        const height = spreadCanvas.height;
+        const LOG_MIN = -10;
+        const LOG_MAX = 2;
+        const tMax = Math.max(10, time);
+
+        spreadCtx.fillStyle = '#ffffff';
+        spreadCtx.fillRect(0, 0, width, height);
+
+        spreadCtx.strokeStyle = '#e2e8f0';
+        spreadCtx.lineWidth = 1;
+        spreadCtx.font = '10px sans-serif';
+        spreadCtx.fillStyle = '#718096';
+        for (let e = LOG_MIN; e <= LOG_MAX; e += 2) {
+            const y = height - (e - LOG_MIN) / (LOG_MAX - LOG_MIN) * height;
+            spreadCtx.beginPath();
+            spreadCtx.moveTo(0, y);
+            spreadCtx.lineTo(width, y);
+            spreadCtx.stroke();
+            spreadCtx.fillText('1e' + e, 2, y - 2);
+        }
+
+        if (spreadHistory.length < 2) return;
+        spreadCtx.strokeStyle = '#2c5282';
+        spreadCtx.lineWidth = 2;
+        spreadCtx.beginPath();
+        spreadHistory.forEach(function(point, i) {
+            const x = point.t / tMax * width;
+            const v = Math.max(LOG_MIN, Math.min(LOG_MAX, point.logSpread));
+            const y = height - (v - LOG_MIN) / (LOG_MAX - LOG_MIN) * height;
+            if (i === 0) spreadCtx.moveTo(x, y);
+            else spreadCtx.lineTo(x, y);
+        });
+        spreadCtx.stroke();
+    }
+
+    // ============================================
+    // UI Update
+    // ============================================
+
+    function updateStateDisplay() {
+        const ref = pendulums[0];
+        const energy = mechanicalEnergy(ref);
+        const spread = ensembleSpread();
+        document.getElementById('state-time').textContent = time.toFixed(2);
+        document.getElementById('state-theta1').textContent = (ref.theta1 * 180 / Math.PI).toFixed(1);
+        document.getElementById('state-theta2').textContent = (ref.theta2 * 180 / Math.PI).toFixed(1);
+        document.getElementById('state-energy').textContent = energy.toFixed(4);
+        document.getElementById('state-drift').textContent = energy0 !== 0
+            ? ((energy - energy0) / Math.abs(energy0)).toExponential(2)
+            : '0';
+        document.getElementById('state-lyapunov').textContent = lyapunov.elapsed > 0
+            ? lyapunovEstimate().toFixed(3)
+            : '–';
+        document.getElementById('state-spread').textContent = pendulums.length > 1 ? spread.toExponential(2) : '–';
+    }
+
+    // ============================================
+    // Animation Loop
+    // ============================================
+
+    function simulate(timestamp) {
+        if (!isRunning) return;
+
+        // Accumulate wall-clock time and consume it in fixed steps
+        const frameTime = lastTime === null ? 0 : Math.min(MAX_FRAME_TIME, (timestamp - lastTime) / 1000);
+        lastTime = timestamp;
+        accumulator += frameTime;
+
+        let steps = 0;
+        while (accumulator >= PARAMS.dt && steps < MAX_STEPS_PER_FRAME) {
+            for (let i = 0; i < pendulums.length; i++) {
+                pendulums[i] = rk4Step(pendulums[i], PARAMS.dt);
+            }
+            updateLyapunov(pendulums[0], PARAMS.dt);
+            time += PARAMS.dt;
+            accumulator -= PARAMS.dt;
+            steps++;
+        }
+        if (steps === MAX_STEPS_PER_FRAME) {
+            // Too slow to keep up: drop the backlog instead of spiralling
+            accumulator = 0;
+        }
+
+        const p = bobPositions(pendulums[0]);
+        trace.push({ x: p.x2, y: p.y2 });
+        if (trace.length > TRACE_LENGTH) trace.shift();
+
+        if (pendulums.length > 1) {
+            spreadHistory.push({ t: time, logSpread: Math.log10(ensembleSpread()) });
+            if (spreadHistory.length > SPREAD_HISTORY) spreadHistory.shift();
+        }
+
+        render();
+        renderSpread();
+        updateStateDisplay();
+
+        if (isRunning) {
+            animationId = requestAnimationFrame(simulate);
+        }
+    }
+
+    // ============================================
+    // Event Handlers
+    // ============================================
+
+    /**
+     * Member i starts with θ₂ offset by spread · i / (count - 1);
+     * everything else is identical.
+     */
+    function resetState() {
+        pendulums = [];
+        for (let i = 0; i < ensemble.count; i++) {
+            const offset = ensemble.count > 1 ? ensemble.spread * i / (ensemble.count - 1) : 0;
+            pendulums.push({
+                theta1: initial.theta1,
+                omega1: 0,
+                theta2: initial.theta2 + offset,
+                omega2: 0
+            });
+        }
+        time = 0;
+        trace = [];
+        spreadHistory = [];
+        energy0 = mechanicalEnergy(pendulums[0]);
+        lyapunov = {
+            shadow: Object.assign({}, pendulums[0], { theta2: pendulums[0].theta2 + LYAPUNOV_D0 }),
+            sum: 0,
+            elapsed: 0,
+            sinceRenorm: 0
+        };
+        render();
+        renderSpread();
+        updateStateDisplay();
+    }
+
+    function stop() {
+        isRunning = false;
+        if (animationId) {
+            cancelAnimationFrame(animationId);
+        }
+        document.getElementById('start-btn').textContent = 'Start';
+    }
+
+    // Slider handlers
+    document.getElementById('theta1-slider').addEventListener('input', function(e) {
+        const deg = parseFloat(e.target.value);
+        initial.theta1 = deg * Math.PI / 180;
+        document.getElementById('theta1-value').textContent = deg;
+        if (!isRunning) resetState();
+    });
+
+    document.getElementById('theta2-slider').addEventListener('input', function(e) {
+        const deg = parseFloat(e.target.value);
+        initial.theta2 = deg * Math.PI / 180;
+        document.getElementById('theta2-value').textContent = deg;
+        if (!isRunning) resetState();
+    });
+
+    document.getElementById('count-slider').addEventListener('input', function(e) {
+        ensemble.count = parseInt(e.target.value, 10);
+        document.getElementById('count-value').textContent = ensemble.count;
+        if (!isRunning) resetState();
+    });
+
+    // The spread slider is logarithmic: value v means 10^v rad
+    document.getElementById('spread-slider').addEventListener('input', function(e) {
+        ensemble.spread = Math.pow(10, parseFloat(e.target.value));
+        document.getElementById('spread-value').textContent = ensemble.spread.toExponential(0);
+        if (!isRunning) resetState();
+    });
+
+    document.getElementById('dt-slider').addEventListener('input', function(e) {
+        PARAMS.dt = parseFloat(e.target.value);
+        document.getElementById('dt-value').textContent = PARAMS.dt.toFixed(4);
+    });
+
+    // Physical parameters take effect on the next reset
+    ['m1', 'm2', 'l1', 'l2', 'g'].forEach(function(key) {
+        document.getElementById('param-' + key).addEventListener('change', function(e) {
+            const value = parseFloat(e.target.value);
+            if (!(value > 0)) {
+                e.target.value = PARAMS[key];
+                return;
+            }
+            PARAMS[key] = value;
+            stop();
+            resetState();
+        });
+    });
+
+    // Button handlers
+    document.getElementById('start-btn').addEventListener('click', function() {
+        if (isRunning) {
+            stop();
+        } else {
+            isRunning = true;
+            lastTime = null;
+            accumulator = 0;
+            this.textContent = 'Pause';
+            animationId = requestAnimationFrame(simulate);
+        }
+    });
+
+    document.getElementById('reset-btn').addEventListener('click', function() {
+        stop();
+        resetState();
+    });
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        resetState();
+    }
+
+    init();
+
+})();
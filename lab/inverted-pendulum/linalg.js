@@ -0,0 +1,743 @@
+/**
+ * Small dense linear-algebra toolkit for the Lab simulations
+ * Matrices are plain arrays of row arrays, complex numbers are {re, im}
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================
+    // Construction
+    // ============================================
+
+    function zeros(rows, cols) {
+        const A = [];
+        for (let i = 0; i < rows; i++) {
+            A.push(new Array(cols).fill(0));
+        }
+        return A;
+    }
+
+    function identity(n) {
+        const I = zeros(n, n);
+        for (let i = 0; i < n; i++) I[i][i] = 1;
+        return I;
+    }
+
+    function diag(values) {
+        const D = zeros(values.length, values.length);
+        values.forEach(function(v, i) { D[i][i] = v; });
+        return D;
+    }
+
+    function clone(A) {
+        return A.map(function(row) { return row.slice(); });
+    }
+
+    /**
+     * Turn a vector into a column matrix
+     */
+    function column(v) {
+        return v.map(function(x) { return [x]; });
+    }
+
+    // ============================================
+    // Basic Operations
+    // ============================================
+
+    function transpose(A) {
+        const T = zeros(A[0].length, A.length);
+        for (let i = 0; i < A.length; i++) {
+            for (let j = 0; j < A[0].length; j++) {
+                T[j][i] = A[i][j];
+            }
+        }
+        return T;
+    }
+
+    function add(A, B) {
+        return A.map(function(row, i) {
+            return row.map(function(a, j) { return a + B[i][j]; });
+        });
+    }
+
+    function sub(A, B) {
+        return A.map(function(row, i) {
+            return row.map(function(a, j) { return a - B[i][j]; });
+        });
+    }
+
+    function scale(A, s) {
+        return A.map(function(row) {
+            return row.map(function(a) { return a * s; });
+        });
+    }
+
+    function mul(A, B) {
+        const n = A.length;
+        const m = B[0].length;
+        const inner = B.length;
+        const C = zeros(n, m);
+        for (let i = 0; i < n; i++) {
+            for (let k = 0; k < inner; k++) {
+                const a = A[i][k];
+                if (a === 0) continue;
+                for (let j = 0; j < m; j++) {
+                    C[i][j] += a * B[k][j];
+                }
+            }
+        }
+        return C;
+    }
+
+    function mulVec(A, v) {
+        return A.map(function(row) {
+            let sum = 0;
+            for (let j = 0; j < row.length; j++) sum += row[j] * v[j];
+            return sum;
+        });
+    }
+
+    /**
+     * Induced 1-norm (maximum absolute column sum)
+     */
+    function norm1(A) {
+        let best = 0;
+        for (let j = 0; j < A[0].length; j++) {
+            let sum = 0;
+            for (let i = 0; i < A.length; i++) sum += Math.abs(A[i][j]);
+            best = Math.max(best, sum);
+        }
+        return best;
+    }
+
+    /**
+     * Solve A X = B by Gaussian elimination with partial pivoting
+     * B may be a matrix or a vector. Returns null if A is singular.
+     */
+    function solve(A, B) {
+        const n = A.length;
+        const isVector = !Array.isArray(B[0]);
+        const M = clone(A);
+        const X = isVector ? column(B) : clone(B);
+        const m = X[0].length;
+
+        for (let k = 0; k < n; k++) {
+            let pivot = k;
+            for (let i = k + 1; i < n; i++) {
+                if (Math.abs(M[i][k]) > Math.abs(M[pivot][k])) pivot = i;
+            }
+            if (Math.abs(M[pivot][k]) < 1e-14) return null;
+            if (pivot !== k) {
+                [M[k], M[pivot]] = [M[pivot], M[k]];
+                [X[k], X[pivot]] = [X[pivot], X[k]];
+            }
+            for (let i = k + 1; i < n; i++) {
+                const f = M[i][k] / M[k][k];
+                if (f === 0) continue;
+                for (let j = k; j < n; j++) M[i][j] -= f * M[k][j];
+                for (let j = 0; j < m; j++) X[i][j] -= f * X[k][j];
+            }
+        }
+
+        for (let k = n - 1; k >= 0; k--) {
+            for (let j = 0; j < m; j++) {
+                let sum = X[k][j];
+                for (let i = k + 1; i < n; i++) sum -= M[k][i] * X[i][j];
+                X[k][j] = sum / M[k][k];
+            }
+        }
+
+        return isVector ? X.map(function(row) { return row[0]; }) : X;
+    }
+
+    function inverse(A) {
+        return solve(A, identity(A.length));
+    }
+
+    function det(A) {
+        const n = A.length;
+        const M = clone(A);
+        let d = 1;
+        for (let k = 0; k < n; k++) {
+            let pivot = k;
+            for (let i = k + 1; i < n; i++) {
+                if (Math.abs(M[i][k]) > Math.abs(M[pivot][k])) pivot = i;
+            }
+            if (M[pivot][k] === 0) return 0;
+            if (pivot !== k) {
+                [M[k], M[pivot]] = [M[pivot], M[k]];
+                d = -d;
+            }
+            d *= M[k][k];
+            for (let i = k + 1; i < n; i++) {
+                const f = M[i][k] / M[k][k];
+                for (let j = k; j < n; j++) M[i][j] -= f * M[k][j];
+            }
+        }
+        return d;
+    }
+
+    // ============================================
+    // Complex Numbers & Polynomials
+    // ============================================
+
+    function cAdd(a, b) { return { re: a.re + b.re, im: a.im + b.im }; }
+    function cSub(a, b) { return { re: a.re - b.re, im: a.im - b.im }; }
+    function cMul(a, b) {
+        return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re };
+    }
+    function cDiv(a, b) {
+        const d = b.re * b.re + b.im * b.im;
+        return { re: (a.re * b.re + a.im * b.im) / d, im: (a.im * b.re - a.re * b.im) / d };
+    }
+    function cAbs(a) { return Math.hypot(a.re, a.im); }
+
+    /**
+     * Evaluate a real polynomial (highest power first) at a complex point
+     */
+    function polyEval(coeffs, z) {
+        let result = { re: 0, im: 0 };
+        for (let i = 0; i < coeffs.length; i++) {
+            result = cAdd(cMul(result, z), { re: coeffs[i], im: 0 });
+        }
+        return result;
+    }
+
+    /**
+     * Roots of a real polynomial (highest power first) by Durand-Kerner iteration
+     */
+    function polyRoots(coeffs) {
+        let start = 0;
+        while (start < coeffs.length - 1 && coeffs[start] === 0) start++;
+        const lead = coeffs[start];
+        const monic = coeffs.slice(start).map(function(c) { return c / lead; });
+        const n = monic.length - 1;
+        if (n < 1) return [];
+
+        // Initial guesses on a circle bounding all roots (Cauchy bound)
+        let radius = 0;
+        for (let i = 1; i <= n; i++) radius = Math.max(radius, Math.abs(monic[i]));
+        radius += 1;
+        let roots = [];
+        for (let i = 0; i < n; i++) {
+            const angle = 2 * Math.PI * i / n + 0.4;
+            roots.push({ re: radius * Math.cos(angle), im: radius * Math.sin(angle) });
+        }
+
+        for (let iter = 0; iter < 500; iter++) {
+            let maxStep = 0;
+            const next = roots.map(function(z, i) {
+                let denom = { re: 1, im: 0 };
+                roots.forEach(function(w, j) {
+                    if (i !== j) denom = cMul(denom, cSub(z, w));
+                });
+                if (cAbs(denom) === 0) denom = { re: 1e-12, im: 0 };
+                const step = cDiv(polyEval(monic, z), denom);
+                maxStep = Math.max(maxStep, cAbs(step) / Math.max(1, cAbs(z)));
+                return cSub(z, step);
+            });
+            roots = next;
+            if (maxStep < 1e-13) break;
+        }
+
+        // Snap numerically real roots onto the real axis
+        return roots.map(function(z) {
+            const tol = 1e-7 * Math.max(1, cAbs(z));
+            return Math.abs(z.im) < tol ? { re: z.re, im: 0 } : z;
+        }).sort(function(a, b) { return a.re - b.re || a.im - b.im; });
+    }
+
+    /**
+     * Sum of two polynomials (highest power first, aligned at the constant term)
+     */
+    function polyAdd(p, q) {
+        const n = Math.max(p.length, q.length);
+        const result = new Array(n).fill(0);
+        for (let i = 0; i < p.length; i++) result[n - p.length + i] += p[i];
+        for (let i = 0; i < q.length; i++) result[n - q.length + i] += q[i];
+        return result;
+    }
+
+    function polyMul(p, q) {
+        const result = new Array(p.length + q.length - 1).fill(0);
+        for (let i = 0; i < p.length; i++) {
+            for (let j = 0; j < q.length; j++) result[i + j] += p[i] * q[j];
+        }
+        return result;
+    }
+
+    function polyScale(p, s) {
+        return p.map(function(c) { return c * s; });
+    }
+
+    /**
+     * Strip numerically zero leading coefficients
+     */
+    function polyTrim(p, tol) {
+        const scaleRef = Math.max.apply(null, p.map(Math.abs)) || 1;
+        const eps = (tol || 1e-9) * scaleRef;
+        let start = 0;
+        while (start < p.length - 1 && Math.abs(p[start]) < eps) start++;
+        return p.slice(start);
+    }
+
+    /**
+     * Cancel common roots at s = 0 between a numerator and a denominator
+     */
+    function cancelOrigin(num, den, tol) {
+        const eps = tol || 1e-9;
+        const n = num.slice();
+        const d = den.slice();
+        const nScale = Math.max.apply(null, n.map(Math.abs)) || 1;
+        const dScale = Math.max.apply(null, d.map(Math.abs)) || 1;
+        while (n.length > 1 && d.length > 1 &&
+               Math.abs(n[n.length - 1]) < eps * nScale &&
+               Math.abs(d[d.length - 1]) < eps * dScale) {
+            n.pop();
+            d.pop();
+        }
+        return { num: n, den: d };
+    }
+
+    /**
+     * Characteristic polynomial det(sI - A) by the Faddeev-LeVerrier recursion
+     */
+    function charPoly(A) {
+        const n = A.length;
+        const coeffs = [1];
+        let M = zeros(n, n);
+        for (let k = 1; k <= n; k++) {
+            M = add(mul(A, M), scale(identity(n), coeffs[k - 1]));
+            let trace = 0;
+            const AM = mul(A, M);
+            for (let i = 0; i < n; i++) trace += AM[i][i];
+            coeffs.push(-trace / k);
+        }
+        return coeffs;
+    }
+
+    /**
+     * Balance a matrix to improve eigenvalue accuracy (in place)
+     */
+    function balance(a) {
+        const n = a.length;
+        const RADIX = 2;
+        let done = false;
+        while (!done) {
+            done = true;
+            for (let i = 0; i < n; i++) {
+                let r = 0;
+                let c = 0;
+                for (let j = 0; j < n; j++) {
+                    if (j !== i) {
+                        c += Math.abs(a[j][i]);
+                        r += Math.abs(a[i][j]);
+                    }
+                }
+                if (c === 0 || r === 0) continue;
+                const s = c + r;
+                let f = 1;
+                let g = r / RADIX;
+                while (c < g) {
+                    f *= RADIX;
+                    c *= RADIX * RADIX;
+                }
+                g = r * RADIX;
+                while (c > g) {
+                    f /= RADIX;
+                    c /= RADIX * RADIX;
+                }
+                if ((c + r) / f < 0.95 * s) {
+                    done = false;
+                    for (let j = 0; j < n; j++) a[i][j] /= f;
+                    for (let j = 0; j < n; j++) a[j][i] *= f;
+                }
+            }
+        }
+        return a;
+    }
+
+    /**
+     * Reduce to upper Hessenberg form by elimination with pivoting (in place)
+     */
+    function hessenberg(a) {
+        const n = a.length;
+        for (let m = 1; m < n - 1; m++) {
+            let x = 0;
+            let pivot = m;
+            for (let j = m; j < n; j++) {
+                if (Math.abs(a[j][m - 1]) > Math.abs(x)) {
+                    x = a[j][m - 1];
+                    pivot = j;
+                }
+            }
+            if (pivot !== m) {
+                for (let j = m - 1; j < n; j++) [a[pivot][j], a[m][j]] = [a[m][j], a[pivot][j]];
+                for (let j = 0; j < n; j++) [a[j][pivot], a[j][m]] = [a[j][m], a[j][pivot]];
+            }
+            if (x === 0) continue;
+            for (let i = m + 1; i < n; i++) {
+                let y = a[i][m - 1];
+                if (y === 0) continue;
+                y /= x;
+                for (let j = m; j < n; j++) a[i][j] -= y * a[m][j];
+                for (let j = 0; j < n; j++) a[j][m] += y * a[j][i];
+            }
+        }
+        for (let i = 2; i < n; i++) {
+            for (let j = 0; j < i - 1; j++) a[i][j] = 0;
+        }
+        return a;
+    }
+
+    function withSign(a, b) {
+        return b >= 0 ? Math.abs(a) : -Math.abs(a);
+    }
+
+    /**
+     * Eigenvalues of an upper Hessenberg matrix by the Francis
+     * double-shift QR algorithm (destroys the input)
+     */
+    function hessenbergQR(a) {
+        const n = a.length;
+        const wr = new Array(n).fill(0);
+        const wi = new Array(n).fill(0);
+        let anorm = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = Math.max(i - 1, 0); j < n; j++) anorm += Math.abs(a[i][j]);
+        }
+
+        let nn = n - 1;
+        let t = 0;
+        let p = 0, q = 0, r = 0, s = 0, w = 0, x = 0, y = 0, z = 0;
+        while (nn >= 0) {
+            let its = 0;
+            let l;
+            do {
+                // Look for a single small subdiagonal element
+                for (l = nn; l >= 1; l--) {
+                    s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+                    if (s === 0) s = anorm;
+                    if (Math.abs(a[l][l - 1]) + s === s) {
+                        a[l][l - 1] = 0;
+                        break;
+                    }
+                }
+                x = a[nn][nn];
+                if (l === nn) {
+                    // One root found
+                    wr[nn] = x + t;
+                    wi[nn] = 0;
+                    nn--;
+                } else {
+                    y = a[nn - 1][nn - 1];
+                    w = a[nn][nn - 1] * a[nn - 1][nn];
+                    if (l === nn - 1) {
+                        // Two roots found
+                        p = 0.5 * (y - x);
+                        q = p * p + w;
+                        z = Math.sqrt(Math.abs(q));
+                        x += t;
+                        if (q >= 0) {
+                            z = p + withSign(z, p);
+                            wr[nn - 1] = wr[nn] = x + z;
+                            if (z) wr[nn] = x - w / z;
+                            wi[nn - 1] = wi[nn] = 0;
+                        } else {
+                            wr[nn - 1] = wr[nn] = x + p;
+                            wi[nn - 1] = -z;
+                            wi[nn] = z;
+                        }
+                        nn -= 2;
+                    } else {
+                        if (its === 300) throw new Error('hessenbergQR: no convergence');
+                        if (its > 0 && its % 10 === 0) {
+                            // Exceptional shift
+                            t += x;
+                            for (let i = 0; i <= nn; i++) a[i][i] -= x;
+                            s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+                            y = x = 0.75 * s;
+                            w = -0.4375 * s * s;
+                        }
+                        its++;
+                        let m;
+                        for (m = nn - 2; m >= l; m--) {
+                            z = a[m][m];
+                            r = x - z;
+                            s = y - z;
+                            p = (r * s - w) / a[m + 1][m] + a[m][m + 1];
+                            q = a[m + 1][m + 1] - z - r - s;
+                            r = a[m + 2][m + 1];
+                            s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                            p /= s;
+                            q /= s;
+                            r /= s;
+                            if (m === l) break;
+                            const u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+                            const v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+                            if (u + v === v) break;
+                        }
+                        for (let i = m + 2; i <= nn; i++) {
+                            a[i][i - 2] = 0;
+                            if (i !== m + 2) a[i][i - 3] = 0;
+                        }
+                        for (let k = m; k <= nn - 1; k++) {
+                            if (k !== m) {
+                                p = a[k][k - 1];
+                                q = a[k + 1][k - 1];
+                                r = 0;
+                                if (k !== nn - 1) r = a[k + 2][k - 1];
+                                x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                                if (x !== 0) {
+                                    p /= x;
+                                    q /= x;
+                                    r /= x;
+                                }
+                            }
+                            s = withSign(Math.sqrt(p * p + q * q + r * r), p);
+                            if (s !== 0) {
+                                if (k === m) {
+                                    if (l !== m) a[k][k - 1] = -a[k][k - 1];
+                                } else {
+                                    a[k][k - 1] = -s * x;
+                                }
+                                p += s;
+                                x = p / s;
+                                y = q / s;
+                                z = r / s;
+                                q /= p;
+                                r /= p;
+                                for (let j = k; j <= nn; j++) {
+                                    p = a[k][j] + q * a[k + 1][j];
+                                    if (k !== nn - 1) {
+                                        p += r * a[k + 2][j];
+                                        a[k + 2][j] -= p * z;
+                                    }
+                                    a[k + 1][j] -= p * y;
+                                    a[k][j] -= p * x;
+                                }
+                                const mmin = nn < k + 3 ? nn : k + 3;
+                                for (let i = l; i <= mmin; i++) {
+                                    p = x * a[i][k] + y * a[i][k + 1];
+                                    if (k !== nn - 1) {
+                                        p += z * a[i][k + 2];
+                                        a[i][k + 2] -= p * r;
+                                    }
+                                    a[i][k + 1] -= p * q;
+                                    a[i][k] -= p;
+                                }
+                            }
+                        }
+                    }
+                }
+            } while (l < nn - 1);
+        }
+
+        const roots = [];
+        for (let i = 0; i < n; i++) roots.push({ re: wr[i], im: wi[i] });
+        return roots;
+    }
+
+    /**
+     * Eigenvalues of a general real matrix (balance, Hessenberg, QR)
+     */
+    function eigenvalues(A) {
+        if (A.length === 0) return [];
+        if (A.length === 1) return [{ re: A[0][0], im: 0 }];
+        return hessenbergQR(hessenberg(balance(clone(A)))).sort(function(a, b) {
+            return a.re - b.re || a.im - b.im;
+        });
+    }
+
+    function spectralRadius(A) {
+        return eigenvalues(A).reduce(function(rho, z) {
+            return Math.max(rho, cAbs(z));
+        }, 0);
+    }
+
+    /**
+     * Matrix exponential by scaling and squaring with a Taylor series
+     */
+    function expm(A) {
+        const n = A.length;
+        const squarings = Math.max(0, Math.ceil(Math.log2(norm1(A) / 0.5)));
+        const As = scale(A, 1 / Math.pow(2, squarings));
+        let result = identity(n);
+        let term = identity(n);
+        for (let k = 1; k <= 16; k++) {
+            term = scale(mul(term, As), 1 / k);
+            result = add(result, term);
+        }
+        for (let i = 0; i < squarings; i++) result = mul(result, result);
+        return result;
+    }
+
+    /**
+     * Zero-order-hold discretization: x[k+1] = Phi x[k] + Gamma u[k]
+     */
+    function c2d(A, B, T) {
+        const n = A.length;
+        const m = B[0].length;
+        const M = zeros(n + m, n + m);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) M[i][j] = A[i][j] * T;
+            for (let j = 0; j < m; j++) M[i][n + j] = B[i][j] * T;
+        }
+        const E = expm(M);
+        return {
+            Phi: E.slice(0, n).map(function(row) { return row.slice(0, n); }),
+            Gamma: E.slice(0, n).map(function(row) { return row.slice(n); })
+        };
+    }
+
+    /**
+     * SISO transfer function c (sI - A)^-1 b as {num, den} polynomials
+     * using c adj(sI - A) b = det(sI - A + bc) - det(sI - A)
+     */
+    function ssToTf(A, b, c) {
+        const bc = b.map(function(bi) {
+            return c.map(function(cj) { return bi * cj; });
+        });
+        const den = charPoly(A);
+        const num = polyTrim(polyAdd(charPoly(add(A, scale(bc, -1))), polyScale(den, -1)));
+        return cancelOrigin(num, den);
+    }
+
+    // ============================================
+    // Calculus & Control
+    // ============================================
+
+    /**
+     * Central-difference Jacobian of a vector function f(x)
+     */
+    function jacobian(f, x0, eps) {
+        const h = eps || 1e-6;
+        const f0 = f(x0);
+        const J = zeros(f0.length, x0.length);
+        for (let j = 0; j < x0.length; j++) {
+            const xp = x0.slice();
+            const xm = x0.slice();
+            xp[j] += h;
+            xm[j] -= h;
+            const fp = f(xp);
+            const fm = f(xm);
+            for (let i = 0; i < f0.length; i++) {
+                J[i][j] = (fp[i] - fm[i]) / (2 * h);
+            }
+        }
+        return J;
+    }
+
+    /**
+     * Stabilizing solution of the continuous algebraic Riccati equation
+     *   A'P + PA - PBR^-1B'P + Q = 0
+     * using the matrix sign function of the Hamiltonian matrix.
+     * Returns null if the iteration fails (e.g. unstabilizable pair).
+     */
+    function care(A, B, Q, R) {
+        const n = A.length;
+        const Rinv = inverse(R);
+        if (!Rinv) return null;
+        const G = mul(mul(B, Rinv), transpose(B));
+
+        // Hamiltonian H = [A, -G; -Q, -A']
+        let Z = zeros(2 * n, 2 * n);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                Z[i][j] = A[i][j];
+                Z[i][j + n] = -G[i][j];
+                Z[i + n][j] = -Q[i][j];
+                Z[i + n][j + n] = -A[j][i];
+            }
+        }
+
+        // Newton iteration with determinant scaling
+        let converged = false;
+        for (let iter = 0; iter < 100; iter++) {
+            const Zinv = inverse(Z);
+            if (!Zinv) return null;
+            const c = Math.pow(Math.abs(det(Z)), 1 / (2 * n)) || 1;
+            const next = scale(add(scale(Z, 1 / c), scale(Zinv, c)), 0.5);
+            const change = norm1(sub(next, Z));
+            Z = next;
+            if (change < 1e-12 * norm1(Z)) {
+                converged = true;
+                break;
+            }
+        }
+        if (!converged) return null;
+
+        // The stable subspace [I; P] is the kernel of sign(H) + I
+        const lhs = zeros(2 * n, n);
+        const rhs = zeros(2 * n, n);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                lhs[i][j] = Z[i][j + n];
+                lhs[i + n][j] = Z[i + n][j + n] + (i === j ? 1 : 0);
+                rhs[i][j] = -(Z[i][j] + (i === j ? 1 : 0));
+                rhs[i + n][j] = -Z[i + n][j];
+            }
+        }
+        const lhsT = transpose(lhs);
+        const P = solve(mul(lhsT, lhs), mul(lhsT, rhs));
+        if (!P) return null;
+
+        return scale(add(P, transpose(P)), 0.5);
+    }
+
+    /**
+     * Continuous-time LQR: K = R^-1 B' P for u = -K x
+     */
+    function lqr(A, B, Q, R) {
+        const P = care(A, B, Q, R);
+        if (!P) return null;
+        const K = mul(inverse(R), mul(transpose(B), P));
+        const poles = eigenvalues(sub(A, mul(B, K)));
+        return { K: K, P: P, poles: poles };
+    }
+
+    // ============================================
+    // Export
+    // ============================================
+    window.LinAlg = {
+        zeros: zeros,
+        identity: identity,
+        diag: diag,
+        clone: clone,
+        column: column,
+        transpose: transpose,
+        add: add,
+        sub: sub,
+        scale: scale,
+        mul: mul,
+        mulVec: mulVec,
+        solve: solve,
+        inverse: inverse,
+        det: det,
+        complex: {
+            add: cAdd,
+            sub: cSub,
+            mul: cMul,
+            div: cDiv,
+            abs: cAbs
+        },
+        polyEval: polyEval,
+        polyRoots: polyRoots,
+        polyAdd: polyAdd,
+        polyMul: polyMul,
+        polyScale: polyScale,
+        polyTrim: polyTrim,
+        cancelOrigin: cancelOrigin,
+        ssToTf: ssToTf,
+        charPoly: charPoly,
+        eigenvalues: eigenvalues,
+        spectralRadius: spectralRadius,
+        expm: expm,
+        c2d: c2d,
+        jacobian: jacobian,
+        care: care,
+        lqr: lqr
+    };
+
+})();
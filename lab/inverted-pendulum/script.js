@@ -1,6 +1,6 @@
 /**
  * Inverted Pendulum Simulation
- * PID Control Demo using HTML5 Canvas
+ * PID / LQR Control Demo using HTML5 Canvas
  */
 
 (function() {
@@ -13,11 +13,16 @@
         M: 1.0,      // Cart mass [kg]
         m: 0.1,      // Pendulum mass [kg]
         l: 0.5,      // Pendulum length [m]
+        m2: 0.1,     // Second link mass (double pendulum) [kg]
+        l2: 0.5,     // Second link length (double pendulum) [m]
         g: 9.81,     // Gravity [m/s^2]
         dt: 0.01,    // Time step [s]
         friction: 0.1 // Cart friction coefficient
     };
 
+    const U_MAX = 50;        // Actuator force limit [N]
+    const TRACK_LIMIT = 2.5; // Cart travel limit [m]
+
     // ============================================
     // State Variables
     // ============================================
@@ -26,10 +31,15 @@
         xDot: 0,     // Cart velocity [m/s]
         theta: 0,    // Pendulum angle [rad] (0 = upright)
         thetaDot: 0, // Angular velocity [rad/s]
+        theta2: 0,   // Second link angle from vertical [rad] (double pendulum)
+        theta2Dot: 0,
         integral: 0, // Integral term for PID
         time: 0
     };
 
+    // Plant model: 'single' cart-pole or 'double' (second link on top of the first)
+    let plantModel = 'single';
+
     // Control gains
     let gains = {
         Kp: 50,
@@ -37,6 +47,40 @@
         Kd: 20
     };
 
+    // Controller selection: 'pid' or 'lqr'
+    let controllerMode = 'pid';
+
+    // LQR weights (Q = diag over [x, xDot, theta, thetaDot, theta2, theta2Dot]) and resulting gains
+    let lqr = {
+        Q: [10, 1, 100, 1, 100, 1],
+        R: 1,
+        K: null,
+        poles: []
+    };
+
+    // Energy-based swing-up from the hanging position
+    let swingUp = {
+        enabled: false,
+        gain: 2.0,                         // Energy pumping gain (normalized)
+        maxAccel: 8.0,                     // Cart acceleration limit [m/s^2]
+        captureAngle: 25 * Math.PI / 180,  // Handover region |theta| [rad]
+        captureRate: 4.0,                  // Handover region |thetaDot| [rad/s]
+        releaseAngle: 60 * Math.PI / 180,  // Fall back to swing-up beyond this
+        phase: 'swing',                    // 'swing' or 'stabilize'
+        switchTime: null
+    };
+
+    // Disturbances: horizontal forces at the bob and sensor noise
+    let disturbance = {
+        wind: 0,          // Constant force at the bob [N]
+        pokeImpulse: 0.5, // Impulse of a click/drag poke [N*s]
+        pulseForce: 0,    // Active poke force [N]
+        pulseUntil: 0,    // Simulation time at which the poke ends [s]
+        noiseTheta: 0,    // Sensor noise std. dev. on theta [rad]
+        noiseX: 0         // Sensor noise std. dev. on x [m]
+    };
+    const POKE_DURATION = 0.05; // Pokes are applied as short force pulses [s]
+
     let initialTheta = 10 * Math.PI / 180; // 10 degrees
     let isRunning = false;
     let animationId = null;
@@ -52,8 +96,20 @@
     const CART_WIDTH = 80;
     const CART_HEIGHT = 40;
     const WHEEL_RADIUS = 10;
-    const PENDULUM_LENGTH = PARAMS.l * SCALE;
-    const BOB_RADIUS = 15;
+    let pendulumLength = PARAMS.l * SCALE;
+    let pendulumLength2 = PARAMS.l2 * SCALE;
+    let bobRadius = 15;
+    let bobRadius2 = 15;
+
+    /**
+     * Rescale the drawing after the plant parameters change
+     */
+    function updatePlantGeometry() {
+        pendulumLength = PARAMS.l * SCALE;
+        pendulumLength2 = PARAMS.l2 * SCALE;
+        bobRadius = Math.max(6, Math.min(30, 15 * Math.cbrt(PARAMS.m / 0.1)));
+        bobRadius2 = Math.max(6, Math.min(30, 15 * Math.cbrt(PARAMS.m2 / 0.1)));
+    }
 
     // ============================================
     // Physics Engine
@@ -62,9 +118,13 @@
     /**
      * Compute derivatives of state variables
      * Using equations of motion for inverted pendulum
+     * fd is an optional horizontal disturbance force acting on the bob
      */
-    function computeDerivatives(state, u) {
+    function computeDerivatives(state, u, fd) {
+        if (plantModel === 'double') return computeDoubleDerivatives(state, u, fd);
+        
         const { M, m, l, g, friction } = PARAMS;
+        const fBob = fd || 0;
         const { x, xDot, theta, thetaDot } = state;
         
         const sinTheta = Math.sin(theta);
@@ -75,11 +135,12 @@
         
         // Cart acceleration
         const xDDot = (u - friction * xDot + m * l * thetaDot * thetaDot * sinTheta 
-                       - m * g * sinTheta * cosTheta) / denom;
+                       - m * g * sinTheta * cosTheta + fBob * sinTheta * sinTheta) / denom;
         
         // Angular acceleration
         const thetaDDot = ((M + m) * g * sinTheta - cosTheta * (u - friction * xDot + m * l * thetaDot * thetaDot * sinTheta)) 
-                          / (l * denom);
+                          / (l * denom)
+                          + fBob * cosTheta * M / (m * l * denom);
         
         return {
             xDot: xDot,
@@ -90,271 +151,3026 @@
     }
 
     /**
-     * PID Controller
+     * Cart with two point-mass links in series (Lagrange's equations).
+     * Both angles are absolute from the vertical; fd acts on the top bob.
+     * The 3x3 mass matrix is solved for [xDDot, thetaDDot, theta2DDot].
      */
-    function computeControl(state) {
-        const { Kp, Ki, Kd } = gains;
-        const { theta, thetaDot, integral } = state;
+    function computeDoubleDerivatives(state, u, fd) {
+        const { M, m, l, m2, l2, g, friction } = PARAMS;
+        const fTip = fd || 0;
+        const { xDot, theta, thetaDot, theta2, theta2Dot } = state;
+        
+        const s1 = Math.sin(theta);
+        const c1 = Math.cos(theta);
+        const s2 = Math.sin(theta2);
+        const c2 = Math.cos(theta2);
+        const s12 = Math.sin(theta - theta2);
+        const c12 = Math.cos(theta - theta2);
+        const m12 = m + m2;
         
-        // PID control law
-        const u = Kp * theta + Ki * integral + Kd * thetaDot;
+        const mass = [
+            [M + m12, m12 * l * c1, m2 * l2 * c2],
+            [m12 * l * c1, m12 * l * l, m2 * l * l2 * c12],
+            [m2 * l2 * c2, m2 * l * l2 * c12, m2 * l2 * l2]
+        ];
+        const rhs = [
+            u - friction * xDot + m12 * l * thetaDot * thetaDot * s1 + m2 * l2 * theta2Dot * theta2Dot * s2 + fTip,
+            m12 * g * l * s1 - m2 * l * l2 * theta2Dot * theta2Dot * s12 + fTip * l * c1,
+            m2 * g * l2 * s2 + m2 * l * l2 * thetaDot * thetaDot * s12 + fTip * l2 * c2
+        ];
+        const acc = LinAlg.solve(mass, rhs);
         
-        // Clamp control input
-        return Math.max(-50, Math.min(50, u));
+        return {
+            xDot: xDot,
+            xDDot: acc[0],
+            thetaDot: thetaDot,
+            thetaDDot: acc[1],
+            theta2Dot: theta2Dot,
+            theta2DDot: acc[2]
+        };
     }
 
     /**
-     * Runge-Kutta 4th order integration step
+     * Wrap an angle into (-pi, pi]
      */
-    function rk4Step(state, u, dt) {
-        const k1 = computeDerivatives(state, u);
-        
-        const state2 = {
-            x: state.x + k1.xDot * dt / 2,
-            xDot: state.xDot + k1.xDDot * dt / 2,
-            theta: state.theta + k1.thetaDot * dt / 2,
-            thetaDot: state.thetaDot + k1.thetaDDot * dt / 2
-        };
-        const k2 = computeDerivatives(state2, u);
-        
-        const state3 = {
-            x: state.x + k2.xDot * dt / 2,
-            xDot: state.xDot + k2.xDDot * dt / 2,
-            theta: state.theta + k2.thetaDot * dt / 2,
-            thetaDot: state.thetaDot + k2.thetaDDot * dt / 2
-        };
-        const k3 = computeDerivatives(state3, u);
-        
-        const state4 = {
-            x: state.x + k3.xDot * dt,
-            xDot: state.xDot + k3.xDDot * dt,
-            theta: state.theta + k3.thetaDot * dt,
-            thetaDot: state.thetaDot + k3.thetaDDot * dt
-        };
-        const k4 = computeDerivatives(state4, u);
-        
-        return {
-            x: state.x + (k1.xDot + 2*k2.xDot + 2*k3.xDot + k4.xDot) * dt / 6,
-            xDot: state.xDot + (k1.xDDot + 2*k2.xDDot + 2*k3.xDDot + k4.xDDot) * dt / 6,
-            theta: state.theta + (k1.thetaDot + 2*k2.thetaDot + 2*k3.thetaDot + k4.thetaDot) * dt / 6,
-            thetaDot: state.thetaDot + (k1.thetaDDot + 2*k2.thetaDDot + 2*k3.thetaDDot + k4.thetaDDot) * dt / 6,
-            integral: state.integral + state.theta * dt,
-            time: state.time + dt
-        };
+    function wrapAngle(angle) {
+        return angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
     }
 
-    // ============================================
-    // Rendering
-    // ============================================
-    
-    function render(state, u) {
-        const width = canvas.width;
-        const height = canvas.height;
-        
-        // Clear canvas
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, width, height);
-        
-        // Draw ground
-        ctx.strokeStyle = '#e2e8f0';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(0, height - 30);
-        ctx.lineTo(width, height - 30);
-        ctx.stroke();
-        
-        // Draw track
-        ctx.strokeStyle = '#cbd5e0';
-        ctx.setLineDash([5, 5]);
-        ctx.beginPath();
-        ctx.moveTo(0, height - 30 - WHEEL_RADIUS);
-        ctx.lineTo(width, height - 30 - WHEEL_RADIUS);
-        ctx.stroke();
-        ctx.setLineDash([]);
-        
-        // Cart position in pixels (centered)
-        const cartX = width / 2 + state.x * SCALE;
-        const cartY = height - 30 - WHEEL_RADIUS - CART_HEIGHT / 2;
-        
-        // Draw cart
-        ctx.fillStyle = '#1a365d';
-        ctx.fillRect(cartX - CART_WIDTH / 2, cartY - CART_HEIGHT / 2, CART_WIDTH, CART_HEIGHT);
-        
-        // Draw wheels
-        ctx.fillStyle = '#333333';
-        ctx.beginPath();
-        ctx.arc(cartX - CART_WIDTH / 3, cartY + CART_HEIGHT / 2, WHEEL_RADIUS, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.beginPath();
-        ctx.arc(cartX + CART_WIDTH / 3, cartY + CART_HEIGHT / 2, WHEEL_RADIUS, 0, Math.PI * 2);
-        ctx.fill();
+    /**
+     * Energy-based swing-up law (Astrom-Furuta)
+     * Pumps the pendulum energy towards the upright value m*g*l while
+     * pulling the cart back to the center of the track
+     */
+    function computeSwingUpControl(state) {
+        const { M, m, l, g, friction } = PARAMS;
+        const { x, xDot, theta, thetaDot } = state;
         
-        // Pendulum pivot point
-        const pivotX = cartX;
-        const pivotY = cartY - CART_HEIGHT / 2;
+        const sinTheta = Math.sin(theta);
+        const cosTheta = Math.cos(theta);
         
-        // Pendulum bob position (theta = 0 is upright)
-        const bobX = pivotX + PENDULUM_LENGTH * Math.sin(state.theta);
-        const bobY = pivotY - PENDULUM_LENGTH * Math.cos(state.theta);
+        // Pendulum energy (zero kinetic, upright = m*g*l)
+        const E = 0.5 * m * l * l * thetaDot * thetaDot + m * g * l * cosTheta;
+        const E0 = m * g * l;
         
-        // Draw pendulum rod
-        ctx.strokeStyle = '#2c5282';
-        ctx.lineWidth = 4;
-        ctx.beginPath();
-        ctx.moveTo(pivotX, pivotY);
-        ctx.lineTo(bobX, bobY);
-        ctx.stroke();
+        // sign(thetaDot * cos(theta)), kicked to +1 at rest so the pump can start
+        const phase = thetaDot * cosTheta;
+        const direction = phase === 0 ? 1 : Math.sign(phase);
         
-        // Draw pivot
-        ctx.fillStyle = '#718096';
-        ctx.beginPath();
-        ctx.arc(pivotX, pivotY, 6, 0, Math.PI * 2);
-        ctx.fill();
+        let accel = swingUp.gain * g * (E - E0) / E0 * direction - 1.5 * x - 1.0 * xDot;
+        accel = Math.max(-swingUp.maxAccel, Math.min(swingUp.maxAccel, accel));
         
-        // Draw bob
-        ctx.fillStyle = '#c53030';
-        ctx.beginPath();
-        ctx.arc(bobX, bobY, BOB_RADIUS, 0, Math.PI * 2);
-        ctx.fill();
+        // Force that produces the desired cart acceleration
+        return (M + m - m * cosTheta * cosTheta) * accel
+               + m * g * sinTheta * cosTheta
+               - m * l * thetaDot * thetaDot * sinTheta
+               + friction * xDot;
+    }
+
+    /**
+     * Switch between swing-up and the stabilizing controller
+     */
+    function updateSwingPhase(state) {
+        if (!swingUp.enabled) return;
         
-        // Draw control force indicator
-        const forceScale = 2;
-        const forceLength = u * forceScale;
-        if (Math.abs(forceLength) > 1) {
-            ctx.strokeStyle = '#48bb78';
-            ctx.lineWidth = 3;
-            ctx.beginPath();
-            ctx.moveTo(cartX, cartY);
-            ctx.lineTo(cartX + forceLength, cartY);
-            ctx.stroke();
-            
-            // Arrow head
-            const arrowDir = forceLength > 0 ? 1 : -1;
-            ctx.beginPath();
-            ctx.moveTo(cartX + forceLength, cartY);
-            ctx.lineTo(cartX + forceLength - 8 * arrowDir, cartY - 5);
-            ctx.lineTo(cartX + forceLength - 8 * arrowDir, cartY + 5);
-            ctx.closePath();
-            ctx.fillStyle = '#48bb78';
-            ctx.fill();
+        const theta = Math.abs(state.theta);
+        if (swingUp.phase === 'swing') {
+            if (theta < swingUp.captureAngle && Math.abs(state.thetaDot) < swingUp.captureRate) {
+                swingUp.phase = 'stabilize';
+                swingUp.switchTime = state.time;
+                state.integral = 0;
+                discrete.integral = 0;
+                estimator.integral = 0;
+            }
+        } else if (theta > swingUp.releaseAngle) {
+            swingUp.phase = 'swing';
         }
-        
-        // Draw reference line (upright position)
-        ctx.strokeStyle = '#a0aec0';
-        ctx.lineWidth = 1;
-        ctx.setLineDash([3, 3]);
-        ctx.beginPath();
-        ctx.moveTo(pivotX, pivotY);
-        ctx.lineTo(pivotX, pivotY - PENDULUM_LENGTH - 10);
-        ctx.stroke();
-        ctx.setLineDash([]);
     }
 
-    // ============================================
-    // UI Update
-    // ============================================
+    const ZERO_TERMS = { p: 0, i: 0, d: 0 };
     
-    function updateStateDisplay(state, u) {
-        document.getElementById('state-theta').textContent = (state.theta * 180 / Math.PI).toFixed(2);
-        document.getElementById('state-omega').textContent = state.thetaDot.toFixed(2);
-        document.getElementById('state-x').textContent = state.x.toFixed(2);
-        document.getElementById('state-u').textContent = u.toFixed(2);
-    }
+    // P, I and D terms behind the last computeControl output (zero outside PID)
+    let controlTerms = ZERO_TERMS;
 
-    // ============================================
-    // Animation Loop
-    // ============================================
-    
-    let lastTime = 0;
-    let controlInput = 0;
-    
-    function simulate(timestamp) {
-        if (!isRunning) return;
-        
-        // Fixed timestep simulation
-        const stepsPerFrame = 2;
-        for (let i = 0; i < stepsPerFrame; i++) {
-            controlInput = computeControl(state);
-            state = rk4Step(state, controlInput, PARAMS.dt);
-        }
+    /**
+     * Controller: swing-up, PID on theta or full-state LQR feedback
+     */
+    function computeControl(state) {
+        let u;
+        controlTerms = ZERO_TERMS;
         
-        // Bound cart position
-        if (Math.abs(state.x) > 2.5) {
-            state.x = Math.sign(state.x) * 2.5;
-            state.xDot = 0;
+        if (controllerMode === 'none') {
+            u = 0;
+        } else if (swingUp.enabled && swingUp.phase === 'swing') {
+            u = computeSwingUpControl(state);
+        } else if (controllerMode === 'lqr') {
+            // State feedback u = -Kx; without a CARE solution the input stays 0
+            // rather than silently falling back to PID
+            const xVec = stateVector(state);
+            u = 0;
+            for (let i = 0; lqr.K && i < xVec.length; i++) {
+                u -= lqr.K[i] * xVec[i];
+            }
+        } else {
+            // PID control law
+            controlTerms = computePIDTerms(state);
+            u = controlTerms.p + controlTerms.i + controlTerms.d;
         }
         
-        // Check for fallen pendulum
-        if (Math.abs(state.theta) > Math.PI / 2) {
-            // Pendulum has fallen - stop simulation
-            isRunning = false;
-            document.getElementById('start-btn').textContent = 'Start';
-        }
+        return clampControl(u);
+    }
+
+    /**
+     * Actuator saturation
+     */
+    function clampControl(u) {
+        return Math.max(-U_MAX, Math.min(U_MAX, u));
+    }
+
+    /**
+     * Individual P, I and D contributions of the PID law
+     */
+    function computePIDTerms(state, pidGains) {
+        const { Kp, Ki, Kd } = pidGains || gains;
+        return {
+            p: Kp * state.theta,
+            i: Ki * state.integral,
+            d: Kd * state.thetaDot
+        };
+    }
+
+    /**
+     * Runge-Kutta 4th order integration step
+     */
+    function rk4Step(state, u, dt, fd) {
+        const v = stateVector(state);
+        const offset = function(k, h) {
+            return v.map(function(vi, i) { return vi + k[i] * h; });
+        };
         
-        render(state, controlInput);
-        updateStateDisplay(state, controlInput);
+        const k1 = derivativeVector(v, u, fd);
+        const k2 = derivativeVector(offset(k1, dt / 2), u, fd);
+        const k3 = derivativeVector(offset(k2, dt / 2), u, fd);
+        const k4 = derivativeVector(offset(k3, dt), u, fd);
         
-        if (isRunning) {
-            animationId = requestAnimationFrame(simulate);
-        }
+        return advanceState(state, v.map(function(vi, i) {
+            return vi + (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) * dt / 6;
+        }), dt);
     }
 
     // ============================================
-    // Event Handlers
+    // Integrators
     // ============================================
     
-    function resetState() {
-        state = {
-            x: 0,
-            xDot: 0,
-            theta: initialTheta,
-            thetaDot: 0,
-            integral: 0,
-            time: 0
+    // Selected integrator and adaptive-step settings
+    let integrator = {
+        method: 'rk4',      // 'euler', 'semi-implicit', 'rk4' or 'rk45'
+        tolerance: 1e-6,    // RK45 absolute/relative tolerance
+        h: null,            // RK45 internal step carried between calls [s]
+        substeps: 0,        // RK45 internal steps taken in the last call
+        shortfall: 0        // Time the last RK45 call failed to cover [s]
+    };
+
+    // RK45 step attempts (accepted or rejected) allowed per call
+    const RK45_MAX_ATTEMPTS = 10000;
+
+    function derivativeVector(v, u, fd) {
+        const d = computeDerivatives(vectorToState(v), u, fd);
+        if (plantModel === 'double') {
+            return [d.xDot, d.xDDot, d.thetaDot, d.thetaDDot, d.theta2Dot, d.theta2DDot];
+        }
+        return [d.xDot, d.xDDot, d.thetaDot, d.thetaDDot];
+    }
+
+    /**
+     * Build the next state object from a state vector after a step of dt
+     */
+    function advanceState(state, v, dt) {
+        const double = v.length > 4;
+        return {
+            x: v[0],
+            xDot: v[1],
+            theta: v[2],
+            thetaDot: v[3],
+            theta2: double ? v[4] : state.theta2,
+            theta2Dot: double ? v[5] : state.theta2Dot,
+            integral: state.integral + state.theta * dt,
+            time: state.time + dt
         };
-        controlInput = 0;
-        render(state, 0);
-        updateStateDisplay(state, 0);
     }
 
-    // Slider handlers
-    document.getElementById('kp-slider').addEventListener('input', function(e) {
-        gains.Kp = parseFloat(e.target.value);
-        document.getElementById('kp-value').textContent = gains.Kp;
-    });
+    /**
+     * Explicit (forward) Euler step
+     */
+    function eulerStep(state, u, dt, fd) {
+        const v = stateVector(state);
+        const d = derivativeVector(v, u, fd);
+        return advanceState(state, v.map(function(vi, i) { return vi + d[i] * dt; }), dt);
+    }
 
-    document.getElementById('ki-slider').addEventListener('input', function(e) {
-        gains.Ki = parseFloat(e.target.value);
-        document.getElementById('ki-value').textContent = gains.Ki;
-    });
+    /**
+     * Semi-implicit (symplectic) Euler: velocities first, then positions
+     * with the updated velocities
+     */
+    function semiImplicitEulerStep(state, u, dt, fd) {
+        const v = stateVector(state);
+        const d = derivativeVector(v, u, fd);
+        const next = v.slice();
+        // States come in (position, velocity) pairs
+        for (let i = 0; i < v.length; i += 2) {
+            next[i + 1] = v[i + 1] + d[i + 1] * dt;
+            next[i] = v[i] + next[i + 1] * dt;
+        }
+        return advanceState(state, next, dt);
+    }
 
-    document.getElementById('kd-slider').addEventListener('input', function(e) {
-        gains.Kd = parseFloat(e.target.value);
-        document.getElementById('kd-value').textContent = gains.Kd;
-    });
+    // Dormand-Prince 5(4) tableau
+    const DP_A = [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ];
+    const DP_B = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+    const DP_B_STAR = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
 
-    document.getElementById('theta0-slider').addEventListener('input', function(e) {
-        const deg = parseFloat(e.target.value);
-        initialTheta = deg * Math.PI / 180;
-        document.getElementById('theta0-value').textContent = deg;
-        if (!isRunning) {
-            state.theta = initialTheta;
-            render(state, 0);
-            updateStateDisplay(state, 0);
+    /**
+     * Adaptive Dormand-Prince RK45 over one control period dt.
+     * The input u is held constant; internal steps adapt to integrator.tolerance.
+     */
+    function rk45Step(state, u, dt, fd) {
+        const tol = integrator.tolerance;
+        let v = stateVector(state);
+        let t = 0;
+        let h = Math.min(integrator.h || dt, dt);
+        let substeps = 0;
+        let attempts = 0;
+        
+        while (t < dt - 1e-12 && attempts < RK45_MAX_ATTEMPTS) {
+            attempts++;
+            h = Math.min(h, dt - t);
+            
+            const k = [];
+            for (let s = 0; s < 7; s++) {
+                const vs = v.map(function(vi, i) {
+                    let sum = vi;
+                    for (let j = 0; j < s; j++) sum += h * DP_A[s][j] * k[j][i];
+                    return sum;
+                });
+                k.push(derivativeVector(vs, u, fd));
+            }
+            
+            const next = v.map(function(vi, i) {
+                let sum = vi;
+                for (let s = 0; s < 7; s++) sum += h * DP_B[s] * k[s][i];
+                return sum;
+            });
+            
+            // Scaled error of the embedded 4th-order solution
+            let err = 0;
+            for (let i = 0; i < v.length; i++) {
+                let e = 0;
+                for (let s = 0; s < 7; s++) e += h * (DP_B[s] - DP_B_STAR[s]) * k[s][i];
+                const sc = tol + tol * Math.max(Math.abs(v[i]), Math.abs(next[i]));
+                err = Math.max(err, Math.abs(e) / sc);
+            }
+            // A non-finite state or derivative gives a NaN error that no step size can fix
+            if (!Number.isFinite(err)) break;
+            
+            if (err <= 1) {
+                t += h;
+                v = next;
+                substeps++;
+            }
+            h *= Math.min(5, Math.max(0.2, 0.9 * Math.pow(Math.max(err, 1e-10), -0.2)));
         }
-    });
+        
+        integrator.h = h;
+        integrator.substeps = substeps;
+        // Advance only by the time actually covered and report the rest
+        const covered = t < dt - 1e-12 ? t : dt;
+        integrator.shortfall = dt - covered;
+        return advanceState(state, v, covered);
+    }
 
-    // Button handlers
-    document.getElementById('start-btn').addEventListener('click', function() {
-        if (isRunning) {
-            isRunning = false;
-            if (animationId) {
-                cancelAnimationFrame(animationId);
-            }
-            this.textContent = 'Start';
-        } else {
+    const INTEGRATORS = {
+        'euler': eulerStep,
+        'semi-implicit': semiImplicitEulerStep,
+        'rk4': rk4Step,
+        'rk45': rk45Step
+    };
+
+    /**
+     * Step the plant with the selected integrator
+     */
+    function integrate(state, u, dt, fd) {
+        return INTEGRATORS[integrator.method](state, u, dt, fd);
+    }
+
+    /**
+     * Total mechanical energy of cart and pendulum (zero potential at the pivot height)
+     */
+    function mechanicalEnergy(state) {
+        if (plantModel === 'double') return doubleMechanicalEnergy(state);
+        
+        const { M, m, l, g } = PARAMS;
+        const { xDot, theta, thetaDot } = state;
+        const kinetic = 0.5 * (M + m) * xDot * xDot
+                        + m * l * xDot * thetaDot * Math.cos(theta)
+                        + 0.5 * m * l * l * thetaDot * thetaDot;
+        return kinetic + m * g * l * Math.cos(theta);
+    }
+
+    function doubleMechanicalEnergy(state) {
+        const { M, m, l, m2, l2, g } = PARAMS;
+        const { xDot, theta, thetaDot, theta2, theta2Dot } = state;
+        
+        // Velocities of the two bobs
+        const v1x = xDot + l * thetaDot * Math.cos(theta);
+        const v1y = -l * thetaDot * Math.sin(theta);
+        const v2x = v1x + l2 * theta2Dot * Math.cos(theta2);
+        const v2y = v1y - l2 * theta2Dot * Math.sin(theta2);
+        
+        const kinetic = 0.5 * M * xDot * xDot
+                        + 0.5 * m * (v1x * v1x + v1y * v1y)
+                        + 0.5 * m2 * (v2x * v2x + v2y * v2y);
+        const potential = m * g * l * Math.cos(theta)
+                          + m2 * g * (l * Math.cos(theta) + l2 * Math.cos(theta2));
+        return kinetic + potential;
+    }
+
+    /**
+     * Total disturbance force on the bob at simulation time t
+     */
+    function disturbanceForce(t) {
+        return disturbance.wind + (t < disturbance.pulseUntil ? disturbance.pulseForce : 0);
+    }
+
+    /**
+     * Standard normal random number (Box-Muller)
+     */
+    function randn() {
+        const u1 = 1 - Math.random();
+        const u2 = Math.random();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+
+    /**
+     * What the controller sees: the state with Gaussian sensor noise on x and the angles
+     */
+    function measureState(state) {
+        if (disturbance.noiseTheta === 0 && disturbance.noiseX === 0) return state;
+        const measured = Object.assign({}, state, {
+            theta: state.theta + disturbance.noiseTheta * randn(),
+            x: state.x + disturbance.noiseX * randn()
+        });
+        if (plantModel === 'double') {
+            measured.theta2 = state.theta2 + disturbance.noiseTheta * randn();
+        }
+        return measured;
+    }
+
+    /**
+     * True once any link is below the horizontal
+     */
+    function isTipped(state) {
+        return Math.abs(state.theta) > Math.PI / 2 ||
+               (plantModel === 'double' && Math.abs(state.theta2) > Math.PI / 2);
+    }
+
+    /**
+     * Stop the cart at the ends of the track
+     */
+    function applyTrackLimits(state) {
+        if (Math.abs(state.x) > TRACK_LIMIT) {
+            state.x = Math.sign(state.x) * TRACK_LIMIT;
+            state.xDot = 0;
+        }
+    }
+
+    // ============================================
+    // Linearization & LQR Design
+    // ============================================
+    
+    const SINGLE_STATE_KEYS = ['x', 'xDot', 'theta', 'thetaDot'];
+    const DOUBLE_STATE_KEYS = ['x', 'xDot', 'theta', 'thetaDot', 'theta2', 'theta2Dot'];
+
+    /**
+     * Names of the state vector entries for the active plant model
+     */
+    function stateKeys() {
+        return plantModel === 'double' ? DOUBLE_STATE_KEYS : SINGLE_STATE_KEYS;
+    }
+
+    function stateVector(state) {
+        if (plantModel === 'double') {
+            return [state.x, state.xDot, state.theta, state.thetaDot, state.theta2, state.theta2Dot];
+        }
+        return [state.x, state.xDot, state.theta, state.thetaDot];
+    }
+
+    function vectorToState(v) {
+        const s = { x: v[0], xDot: v[1], theta: v[2], thetaDot: v[3] };
+        if (v.length > 4) {
+            s.theta2 = v[4];
+            s.theta2Dot = v[5];
+        }
+        return s;
+    }
+
+    /**
+     * Cart at rest at the origin with the pendulum at (theta0, thetaDot0);
+     * a second link starts in line with the first
+     */
+    function initialState(theta0, thetaDot0) {
+        return {
+            x: 0,
+            xDot: 0,
+            theta: theta0,
+            thetaDot: thetaDot0,
+            theta2: theta0,
+            theta2Dot: thetaDot0,
+            integral: 0,
+            time: 0
+        };
+    }
+
+    /**
+     * Linearize computeDerivatives around the upright equilibrium
+     * Returns A (n x n) and B (n x 1) for dx/dt = Ax + Bu
+     */
+    function linearizeModel() {
+        const n = stateKeys().length;
+        const f = function(z) {
+            return derivativeVector(z.slice(0, n), z[n]);
+        };
+        const J = LinAlg.jacobian(f, new Array(n + 1).fill(0));
+        
+        return {
+            A: J.map(function(row) { return row.slice(0, n); }),
+            B: J.map(function(row) { return [row[n]]; })
+        };
+    }
+
+    /**
+     * Solve the Riccati equation for the current PARAMS and weights
+     */
+    function updateLQR() {
+        const { A, B } = linearizeModel();
+        const result = LinAlg.lqr(A, B, LinAlg.diag(lqr.Q.slice(0, A.length)), [[lqr.R]]);
+        
+        if (result) {
+            lqr.K = result.K[0];
+            lqr.poles = result.poles;
+        } else {
+            lqr.K = null;
+            lqr.poles = [];
+        }
+        updateLQRDisplay();
+        scheduleAnalysis();
+    }
+
+    function formatComplex(z) {
+        if (z.im === 0) return z.re.toFixed(3);
+        const sign = z.im < 0 ? '-' : '+';
+        return z.re.toFixed(3) + ' ' + sign + ' ' + Math.abs(z.im).toFixed(3) + 'j';
+    }
+
+    function updateLQRDisplay() {
+        const gainsEl = document.getElementById('lqr-gains');
+        const polesEl = document.getElementById('lqr-poles');
+        const statusEl = document.getElementById('lqr-status');
+        
+        if (!lqr.K) {
+            gainsEl.textContent = '解が得られません';
+            polesEl.textContent = '-';
+            statusEl.textContent = 'リカッチ方程式が解けないため、LQR モードでは u = 0 を出力しています。Q と R を見直してください。';
+            return;
+        }
+        statusEl.textContent = '';
+        gainsEl.textContent = '[' + lqr.K.map(function(k) { return k.toFixed(2); }).join(', ') + ']';
+        polesEl.innerHTML = lqr.poles.map(formatComplex).join('<br>');
+    }
+
+    // ============================================
+    // Discrete-Time Controller
+    // ============================================
+    
+    // Sampled controller with hold, measurement delay and ADC/DAC quantization
+    let discrete = {
+        enabled: false,
+        period: 0.02,   // Requested sample period Ts [s]
+        hold: 'zoh',    // 'zoh' (hold u) or 'rz' (return to zero after one plant step)
+        delay: 0,       // Measurement delay [samples]
+        adcBits: 0,     // ADC resolution (0 = ideal)
+        dacBits: 0,     // DAC resolution (0 = ideal)
+        counter: 0,     // Plant steps since the last sample
+        held: 0,        // Controller output currently applied
+        heldTerms: ZERO_TERMS, // PID terms behind the held output
+        integral: 0,    // Controller-side integral of the measured theta
+        queue: []       // Measurements waiting out the delay
+    };
+
+    // ADC full-scale ranges of the measured signals
+    const ADC_RANGE = { x: TRACK_LIMIT, xDot: 5, theta: Math.PI, thetaDot: 20, theta2: Math.PI, theta2Dot: 20 };
+
+    /**
+     * Sample period rounded to a whole number of plant steps
+     */
+    function samplingSteps() {
+        return Math.max(1, Math.round(discrete.period / PARAMS.dt));
+    }
+
+    function quantize(value, fullScale, bits) {
+        if (!bits) return value;
+        const lsb = 2 * fullScale / Math.pow(2, bits);
+        return Math.max(-fullScale, Math.min(fullScale, Math.round(value / lsb) * lsb));
+    }
+
+    function quantizeMeasurement(measured) {
+        const q = Object.assign({}, measured);
+        stateKeys().forEach(function(name) {
+            q[name] = quantize(measured[name], ADC_RANGE[name], discrete.adcBits);
+        });
+        return q;
+    }
+
+    function resetDiscreteController() {
+        discrete.counter = 0;
+        discrete.held = 0;
+        discrete.heldTerms = ZERO_TERMS;
+        discrete.integral = 0;
+        discrete.queue = [];
+    }
+
+    /**
+     * Control input for this plant step when the controller is sampled
+     */
+    function computeDiscreteControl(state) {
+        const isSample = discrete.counter === 0;
+        discrete.counter = (discrete.counter + 1) % samplingSteps();
+        
+        if (!isSample) {
+            controlTerms = discrete.hold === 'zoh' ? discrete.heldTerms : ZERO_TERMS;
+            return discrete.hold === 'zoh' ? discrete.held : 0;
+        }
+        
+        discrete.queue.push({
+            measured: quantizeMeasurement(measureState(state)),
+            estimate: estimator.enabled ? snapshotEstimate() : null,
+            inputs: []  // Control inputs applied since this sample, one per plant step
+        });
+        if (discrete.queue.length > discrete.delay) {
+            const entry = discrete.queue.shift();
+            let measured = entry.measured;
+            if (estimator.enabled) {
+                fuseDelayedMeasurement(entry);
+                measured = estimatedState(state.time);
+            }
+            const Ts = samplingSteps() * PARAMS.dt;
+            discrete.integral += Ts * measured.theta;
+            const u = computeControl(Object.assign({}, measured, { integral: discrete.integral }));
+            discrete.held = quantize(u, U_MAX, discrete.dacBits);
+            discrete.heldTerms = controlTerms;
+        }
+        controlTerms = discrete.heldTerms;
+        return discrete.held;
+    }
+
+    /**
+     * Fuse a measurement that waited in the delay queue at the time it was
+     * taken: restore the filter as it was then, correct, and replay the inputs
+     * applied since. Later queued samples get their snapshots refreshed on the
+     * way so they build on this correction.
+     */
+    function fuseDelayedMeasurement(entry) {
+        if (!entry.estimate) {
+            // Taken before the filter was switched on: no history to replay
+            correctEstimate(entry.measured);
+            return;
+        }
+        restoreEstimate(entry.estimate);
+        correctEstimate(entry.measured);
+        let replayed = 0;
+        discrete.queue.forEach(function(later) {
+            const offset = entry.inputs.length - later.inputs.length;
+            for (; replayed < offset; replayed++) predictEstimate(entry.inputs[replayed], PARAMS.dt);
+            if (later.estimate) later.estimate = snapshotEstimate();
+        });
+        for (; replayed < entry.inputs.length; replayed++) predictEstimate(entry.inputs[replayed], PARAMS.dt);
+    }
+
+    /**
+     * Remember the input of this plant step for every measurement still in
+     * the delay queue, so the filter can replay it
+     */
+    function recordDelayedInput(u) {
+        discrete.queue.forEach(function(entry) { entry.inputs.push(u); });
+    }
+
+    /**
+     * Linear state-feedback form of the active stabilizer:
+     * u = Kx . stateVector + Ki * integral
+     */
+    function stabilizerFeedback() {
+        const Kx = new Array(stateKeys().length).fill(0);
+        if (controllerMode === 'lqr' && lqr.K) {
+            return { Kx: lqr.K.map(function(k) { return -k; }), Ki: 0 };
+        }
+        if (controllerMode === 'pid') {
+            Kx[2] = gains.Kp;
+            Kx[3] = gains.Kd;
+            return { Kx: Kx, Ki: gains.Ki };
+        }
+        return { Kx: Kx, Ki: 0 };
+    }
+
+    /**
+     * Closed-loop transition matrix of the linearized plant with the sampled
+     * controller. State: [x (p), integral, delayed measurements (p * delay)]
+     * where p is the plant order
+     */
+    function discreteClosedLoop(delay) {
+        const { A, B } = linearizeModel();
+        const Ts = samplingSteps() * PARAMS.dt;
+        const full = LinAlg.c2d(A, B, Ts);
+        let Gamma = full.Gamma;
+        if (discrete.hold === 'rz' && samplingSteps() > 1) {
+            // Pulse for one plant step, then free motion for the rest of the period
+            const pulse = LinAlg.c2d(A, B, PARAMS.dt);
+            const rest = LinAlg.c2d(A, B, Ts - PARAMS.dt);
+            Gamma = LinAlg.mul(rest.Phi, pulse.Gamma);
+        }
+        const { Kx, Ki } = stabilizerFeedback();
+        
+        const p = A.length;
+        const n = p + 1 + p * delay;
+        const F = LinAlg.zeros(n, n);
+        const measuredOffset = delay === 0 ? 0 : p + 1 + p * (delay - 1);
+        
+        // u = Kx m + Ki (I + Ts m_theta)
+        const uRow = new Array(n).fill(0);
+        for (let j = 0; j < p; j++) uRow[measuredOffset + j] += Kx[j];
+        uRow[p] += Ki;
+        uRow[measuredOffset + 2] += Ki * Ts;
+        
+        for (let i = 0; i < p; i++) {
+            for (let j = 0; j < p; j++) F[i][j] += full.Phi[i][j];
+            for (let j = 0; j < n; j++) F[i][j] += Gamma[i][0] * uRow[j];
+        }
+        F[p][p] = 1;
+        F[p][measuredOffset + 2] += Ts;
+        for (let d = 0; d < delay; d++) {
+            const row = p + 1 + p * d;
+            const source = d === 0 ? 0 : p + 1 + p * (d - 1);
+            for (let j = 0; j < p; j++) F[row + j][source + j] = 1;
+        }
+        return Ki === 0 ? withoutState(F, p) : F;
+    }
+
+    /**
+     * Remove state k from a closed-loop matrix. Without Ki the integrator is
+     * never read, and its bare eigenvalue (1 or 0) would mask the real modes.
+     */
+    function withoutState(F, k) {
+        return F.filter(function(row, i) { return i !== k; }).map(function(row) {
+            return row.filter(function(v, j) { return j !== k; });
+        });
+    }
+
+    /**
+     * Continuous-time closed loop of the same stabilizer (ideal controller)
+     */
+    function continuousClosedLoop() {
+        const { A, B } = linearizeModel();
+        const { Kx, Ki } = stabilizerFeedback();
+        const p = A.length;
+        const F = LinAlg.zeros(p + 1, p + 1);
+        for (let i = 0; i < p; i++) {
+            for (let j = 0; j < p; j++) F[i][j] = A[i][j] + B[i][0] * Kx[j];
+            F[i][p] = B[i][0] * Ki;
+        }
+        F[p][2] = 1;
+        return Ki === 0 ? withoutState(F, p) : F;
+    }
+
+    /**
+     * Growth rate sigma = ln(rho) / Ts of the slowest-decaying mode
+     */
+    function sampledGrowthRate(delay) {
+        const Ts = samplingSteps() * PARAMS.dt;
+        return Math.log(Math.max(1e-12, LinAlg.spectralRadius(discreteClosedLoop(delay)))) / Ts;
+    }
+
+    function updateDiscreteAnalysis() {
+        const Ts = samplingSteps() * PARAMS.dt;
+        const ideal = LinAlg.eigenvalues(continuousClosedLoop()).reduce(function(best, z) {
+            return Math.max(best, z.re);
+        }, -Infinity);
+        const rho = LinAlg.spectralRadius(discreteClosedLoop(discrete.delay));
+        const sigma = Math.log(Math.max(1e-12, rho)) / Ts;
+        
+        // Growth rate versus delay, to show how quickly latency eats the margin
+        const sweep = [];
+        for (let d = 0; d <= 8; d++) {
+            sweep.push('d=' + d + ': ' + sampledGrowthRate(d).toFixed(2));
+        }
+        
+        const lsbTheta = discrete.adcBits ? 2 * ADC_RANGE.theta / Math.pow(2, discrete.adcBits) : 0;
+        const lsbU = discrete.dacBits ? 2 * U_MAX / Math.pow(2, discrete.dacBits) : 0;
+        
+        document.getElementById('discrete-analysis').innerHTML =
+            '実効 Ts = ' + Ts.toFixed(3) + ' s (' + samplingSteps() + ' plant steps)<br>' +
+            'ρ = max|z| = ' + rho.toFixed(4) + ' → ' + (rho < 1 ? '安定' : '不安定') + '<br>' +
+            'σ = ln ρ / Ts = ' + sigma.toFixed(3) + ' 1/s (連続時間の理想値 ' + ideal.toFixed(3) + ' 1/s)<br>' +
+            'σ vs 遅延 [1/s]: ' + sweep.join(', ') + '<br>' +
+            'ADC LSB(θ) = ' + (lsbTheta ? (lsbTheta * 180 / Math.PI).toFixed(3) + '°' : '∞ bit') +
+            ', DAC LSB(u) = ' + (lsbU ? lsbU.toFixed(3) + ' N' : '∞ bit');
+    }
+
+    // ============================================
+    // State Estimation (Extended Kalman Filter)
+    // ============================================
+    
+    // The controller sees only noisy x and theta; velocities are estimated
+    let estimator = {
+        enabled: false,
+        processNoise: 1,        // Acceleration noise spectral density q [(m/s^2)^2 s]
+        xHat: [0, 0, 0, 0],     // Estimated state vector (see stateKeys)
+        P: LinAlg.identity(4),  // Estimate covariance
+        integral: 0,            // Controller-side integral of the estimated theta
+        innovation: [0, 0]      // Last measurement residual [x, theta(, theta2)]
+    };
+
+    const MIN_SENSOR_SIGMA = 1e-3; // Keeps R positive definite with noise switched off
+
+    /**
+     * Measured states: x and theta, plus the second joint angle on the
+     * double pendulum (x and theta alone leave theta2 barely observable)
+     */
+    function measuredKeys() {
+        return plantModel === 'double' ? ['x', 'theta', 'theta2'] : ['x', 'theta'];
+    }
+
+    function measurementMatrix() {
+        const keys = stateKeys();
+        return measuredKeys().map(function(name) {
+            return keys.map(function(key) { return key === name ? 1 : 0; });
+        });
+    }
+
+    function measurementCovariance() {
+        const sx = Math.max(MIN_SENSOR_SIGMA, disturbance.noiseX);
+        const st = Math.max(MIN_SENSOR_SIGMA, disturbance.noiseTheta);
+        return LinAlg.diag(measuredKeys().map(function(name) {
+            return name === 'x' ? sx * sx : st * st;
+        }));
+    }
+
+    /**
+     * Start from the measured positions and angles with the velocities unknown
+     */
+    function resetEstimator(state) {
+        const R = measurementCovariance();
+        const keys = stateKeys();
+        estimator.xHat = keys.map(function(key, i) {
+            return i % 2 === 1 ? 0 : state[key];
+        });
+        const measured = measuredKeys();
+        estimator.P = LinAlg.diag(keys.map(function(key) {
+            const k = measured.indexOf(key);
+            return k < 0 ? 1 : R[k][k];
+        }));
+        estimator.integral = 0;
+        estimator.innovation = measured.map(function() { return 0; });
+    }
+
+    /**
+     * Time update over one plant step: the nonlinear model carries the mean,
+     * its Jacobian at the estimate carries the covariance
+     */
+    function predictEstimate(u, dt) {
+        const xHat = estimator.xHat;
+        const A = LinAlg.jacobian(function(v) { return derivativeVector(v, u); }, xHat);
+        const Phi = LinAlg.expm(LinAlg.scale(A, dt));
+        const q = estimator.processNoise * dt;
+        const Qd = LinAlg.diag([0, q, 0, q / (PARAMS.l * PARAMS.l), 0, q / (PARAMS.l2 * PARAMS.l2)].slice(0, xHat.length));
+        
+        estimator.integral += xHat[2] * dt;
+        const next = rk4Step(vectorToState(xHat), u, dt);
+        estimator.xHat = stateVector(next);
+        estimator.P = LinAlg.add(LinAlg.mul(LinAlg.mul(Phi, estimator.P), LinAlg.transpose(Phi)), Qd);
+    }
+
+    /**
+     * Measurement update with z = H x (Joseph form keeps P symmetric)
+     */
+    function correctEstimate(measured) {
+        const H = measurementMatrix();
+        const Ht = LinAlg.transpose(H);
+        const R = measurementCovariance();
+        const P = estimator.P;
+        
+        const keys = stateKeys();
+        const y = measuredKeys().map(function(name) {
+            const residual = measured[name] - estimator.xHat[keys.indexOf(name)];
+            return name === 'x' ? residual : wrapAngle(residual);
+        });
+        const S = LinAlg.add(LinAlg.mul(LinAlg.mul(H, P), Ht), R);
+        const K = LinAlg.mul(LinAlg.mul(P, Ht), LinAlg.inverse(S));
+        
+        const correction = LinAlg.mulVec(K, y);
+        estimator.xHat = estimator.xHat.map(function(v, i) { return v + correction[i]; });
+        const IKH = LinAlg.sub(LinAlg.identity(P.length), LinAlg.mul(K, H));
+        estimator.P = LinAlg.add(
+            LinAlg.mul(LinAlg.mul(IKH, P), LinAlg.transpose(IKH)),
+            LinAlg.mul(LinAlg.mul(K, R), LinAlg.transpose(K))
+        );
+        estimator.innovation = y;
+    }
+
+    function snapshotEstimate() {
+        return {
+            xHat: estimator.xHat.slice(),
+            P: estimator.P.map(function(row) { return row.slice(); }),
+            integral: estimator.integral
+        };
+    }
+
+    function restoreEstimate(snapshot) {
+        estimator.xHat = snapshot.xHat.slice();
+        estimator.P = snapshot.P.map(function(row) { return row.slice(); });
+        estimator.integral = snapshot.integral;
+    }
+
+    /**
+     * The estimate in the same shape as the true state
+     */
+    function estimatedState(time) {
+        const estimate = vectorToState(estimator.xHat);
+        if (swingUp.enabled) estimate.theta = wrapAngle(estimate.theta);
+        estimate.integral = estimator.integral;
+        estimate.time = time;
+        return estimate;
+    }
+
+    /**
+     * One-sigma uncertainty of each estimated state
+     */
+    function estimateSigma() {
+        return estimator.P.map(function(row, i) { return Math.sqrt(Math.max(0, row[i])); });
+    }
+
+    // ============================================
+    // Manual Control Game
+    // ============================================
+    
+    // The user drives the cart; the selected controller can assist
+    let manual = {
+        enabled: false,
+        assist: 0,          // Blend towards the automatic controller (0 = fully manual)
+        maxForce: 10,       // Force at full key / drag / stick deflection [N]
+        keys: { left: false, right: false },
+        dragStart: null,    // Canvas x where the current drag began
+        dragForce: 0,
+        padForce: 0,
+        time: 0,            // Time balanced in the current game [s]
+        score: 0,           // Balanced time weighted by (1 - assist)
+        over: false
+    };
+
+    const MANUAL_KICK = 2 * Math.PI / 180;  // Random start offset so no game begins at rest [rad]
+    const GAMEPAD_DEADZONE = 0.1;
+    const HIGHSCORE_KEY = 'inverted-pendulum.highscores';
+    const HIGHSCORE_COUNT = 5;
+
+    /**
+     * Force requested by the player from keys, drag and gamepad combined
+     */
+    function manualForce() {
+        const keyForce = (manual.keys.right ? 1 : 0) - (manual.keys.left ? 1 : 0);
+        const total = keyForce * manual.maxForce + manual.dragForce + manual.padForce;
+        return Math.max(-manual.maxForce, Math.min(manual.maxForce, total));
+    }
+
+    function blendManualControl(uAuto) {
+        return clampControl((1 - manual.assist) * manualForce() + manual.assist * uAuto);
+    }
+
+    /**
+     * Read the horizontal axis of the first connected gamepad
+     */
+    function pollGamepad() {
+        manual.padForce = 0;
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+        
+        const pads = navigator.getGamepads();
+        for (let i = 0; i < pads.length; i++) {
+            if (!pads[i] || !pads[i].connected) continue;
+            const axis = pads[i].axes[0] || 0;
+            manual.padForce = Math.abs(axis) < GAMEPAD_DEADZONE ? 0 : axis * manual.maxForce;
+            return;
+        }
+    }
+
+    function resetGame() {
+        manual.time = 0;
+        manual.score = 0;
+        manual.over = false;
+    }
+
+    function updateGame(dt) {
+        manual.time += dt;
+        manual.score += (1 - manual.assist) * dt;
+    }
+
+    /**
+     * High scores live in localStorage; storage may be unavailable (private mode)
+     */
+    function loadHighScores() {
+        try {
+            const scores = JSON.parse(localStorage.getItem(HIGHSCORE_KEY));
+            return Array.isArray(scores) ? scores : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    function saveHighScores(scores) {
+        try {
+            localStorage.setItem(HIGHSCORE_KEY, JSON.stringify(scores));
+        } catch (err) {
+            // Scores are kept for this page only
+        }
+    }
+
+    function finishGame() {
+        manual.over = true;
+        if (manual.score <= 0) return;
+        
+        const scores = loadHighScores();
+        scores.push({
+            score: manual.score,
+            time: manual.time,
+            assist: manual.assist,
+            date: new Date().toISOString().slice(0, 10)
+        });
+        scores.sort(function(a, b) { return b.score - a.score; });
+        saveHighScores(scores.slice(0, HIGHSCORE_COUNT));
+        renderHighScores();
+    }
+
+    function renderHighScores() {
+        const tbody = document.getElementById('highscore-results');
+        const scores = loadHighScores();
+        tbody.innerHTML = scores.length === 0
+            ? '<tr><td colspan="5">記録なし</td></tr>'
+            : scores.map(function(s, i) {
+                return '<tr><td>' + (i + 1) + '</td><td>' + s.score.toFixed(2) + '</td><td>' +
+                       s.time.toFixed(2) + '</td><td>' + Math.round(s.assist * 100) + '%</td><td>' +
+                       s.date + '</td></tr>';
+            }).join('');
+    }
+
+    function updateGameDisplay() {
+        document.getElementById('game-time').textContent = manual.time.toFixed(2);
+        document.getElementById('game-score').textContent = manual.score.toFixed(2);
+    }
+
+    // ============================================
+    // Time History (Ring Buffer)
+    // ============================================
+    
+    const HISTORY_CHANNELS = ['time', 'theta', 'thetaDot', 'theta2', 'x', 'xDot', 'u', 'p', 'i', 'd'];
+    const CHART_WINDOW = 10;       // Visible strip-chart span [s]
+    const MIN_CONTROL_DT = 0.001;  // Smallest control period the dt input accepts [s]
+    // One sample per control step: a full chart window even at the smallest dt
+    const HISTORY_CAPACITY = Math.ceil(CHART_WINDOW / MIN_CONTROL_DT) + 1;
+    
+    const timeHistory = {
+        data: {},
+        head: 0,   // Next write index
+        length: 0
+    };
+    HISTORY_CHANNELS.forEach(function(name) {
+        timeHistory.data[name] = new Float64Array(HISTORY_CAPACITY);
+    });
+
+    function clearHistory() {
+        timeHistory.head = 0;
+        timeHistory.length = 0;
+    }
+
+    /**
+     * Append one sample; called after every RK4 step with the input applied
+     * during it and the PID terms that produced that input
+     */
+    function recordHistory(state, u, terms) {
+        const sample = {
+            time: state.time,
+            theta: state.theta,
+            thetaDot: state.thetaDot,
+            theta2: state.theta2,
+            x: state.x,
+            xDot: state.xDot,
+            u: u,
+            p: terms.p,
+            i: terms.i,
+            d: terms.d
+        };
+        HISTORY_CHANNELS.forEach(function(name) {
+            timeHistory.data[name][timeHistory.head] = sample[name];
+        });
+        timeHistory.head = (timeHistory.head + 1) % HISTORY_CAPACITY;
+        timeHistory.length = Math.min(timeHistory.length + 1, HISTORY_CAPACITY);
+        
+        logSample(state, u, terms);
+    }
+
+    /**
+     * Read the k-th oldest sample of a channel
+     */
+    function historyAt(name, k) {
+        const start = (timeHistory.head - timeHistory.length + HISTORY_CAPACITY) % HISTORY_CAPACITY;
+        return timeHistory.data[name][(start + k) % HISTORY_CAPACITY];
+    }
+
+    // ============================================
+    // Run Log, Export & Import
+    // ============================================
+    
+    const RUN_COLUMNS = ['time', 'x', 'xDot', 'theta', 'thetaDot', 'theta2', 'theta2Dot', 'integral',
+                         'u', 'p', 'i', 'd'];
+    // Samples kept per run: 10 minutes at dt = 0.01, only 1 minute at dt = 0.001
+    const RUN_LOG_LIMIT = 60000;
+    
+    let runLog = [];
+    let ghost = null; // Imported run: { meta, data: { column: [] } }
+
+    function logSample(state, u, terms) {
+        if (runLog.length >= RUN_LOG_LIMIT) return;
+        runLog.push([state.time, state.x, state.xDot, state.theta, state.thetaDot,
+                     state.theta2, state.theta2Dot, state.integral, u, terms.p, terms.i, terms.d]);
+        if (runLog.length === RUN_LOG_LIMIT) {
+            document.getElementById('log-status').textContent =
+                '記録が上限 (' + RUN_LOG_LIMIT + ' サンプル) に達したため、t = ' + state.time.toFixed(2) +
+                ' s 以降はエクスポートに含まれません';
+        }
+    }
+
+    function clearRunLog() {
+        runLog = [];
+        document.getElementById('log-status').textContent = '';
+    }
+
+    function runMetadata() {
+        return {
+            plant: plantModel,
+            controller: controllerMode,
+            swingUp: swingUp.enabled,
+            gains: Object.assign({}, gains),
+            lqr: { Q: lqr.Q.slice(), R: lqr.R, K: lqr.K ? lqr.K.slice() : null },
+            params: Object.assign({}, PARAMS),
+            disturbance: {
+                wind: disturbance.wind,
+                noiseTheta: disturbance.noiseTheta,
+                noiseX: disturbance.noiseX
+            },
+            estimator: {
+                enabled: estimator.enabled,
+                processNoise: estimator.processNoise
+            },
+            initialTheta: initialTheta,
+            // The log stops at RUN_LOG_LIMIT samples even if the run went on
+            truncated: runLog.length >= RUN_LOG_LIMIT
+        };
+    }
+
+    function exportJSON() {
+        const data = {};
+        RUN_COLUMNS.forEach(function(name, j) {
+            data[name] = runLog.map(function(row) { return row[j]; });
+        });
+        return JSON.stringify(Object.assign({ format: 'inverted-pendulum-run', version: 1 },
+                                            runMetadata(), { data: data }));
+    }
+
+    function exportCSV() {
+        const lines = ['# ' + JSON.stringify(runMetadata()), RUN_COLUMNS.join(',')];
+        runLog.forEach(function(row) {
+            lines.push(row.map(function(v) { return +v.toPrecision(8); }).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    function downloadText(text, filename, type) {
+        const url = URL.createObjectURL(new Blob([text], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+    }
+
+    /**
+     * Parse an exported run (JSON or CSV) into a ghost trajectory
+     */
+    function parseRun(text) {
+        const run = parseRunText(text);
+        if (run.meta.plant === 'double' && !Array.isArray(run.data.theta2)) {
+            throw new Error('二重倒立振子の記録に theta2 列がありません');
+        }
+        return run;
+    }
+
+    function parseRunText(text) {
+        const trimmed = text.trim();
+        
+        if (trimmed.charAt(0) === '{') {
+            const parsed = JSON.parse(trimmed);
+            if (!parsed.data || !Array.isArray(parsed.data.time)) {
+                throw new Error('JSONに data.time 列がありません');
+            }
+            const meta = Object.assign({}, parsed);
+            delete meta.data;
+            return { meta: meta, data: parsed.data };
+        }
+        
+        const lines = trimmed.split(/\r?\n/);
+        let meta = {};
+        if (lines[0].charAt(0) === '#') {
+            meta = JSON.parse(lines.shift().slice(1));
+        }
+        const header = lines.shift().split(',').map(function(h) { return h.trim(); });
+        if (header.indexOf('time') < 0) {
+            throw new Error('CSVに time 列がありません');
+        }
+        const data = {};
+        header.forEach(function(name) { data[name] = []; });
+        lines.forEach(function(line) {
+            if (!line) return;
+            line.split(',').forEach(function(v, j) {
+                if (header[j]) data[header[j]].push(parseFloat(v));
+            });
+        });
+        return { meta: meta, data: data };
+    }
+
+    /**
+     * Ghost sample nearest to time t (binary search)
+     */
+    function ghostAt(t) {
+        const times = ghost.data.time;
+        if (times.length === 0 || t > times[times.length - 1]) return null;
+        let lo = 0;
+        let hi = times.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (times[mid] < t) lo = mid + 1;
+            else hi = mid;
+        }
+        return {
+            x: ghost.data.x ? ghost.data.x[lo] : 0,
+            theta: ghost.data.theta ? ghost.data.theta[lo] : 0,
+            theta2: ghost.meta.plant === 'double' ? ghost.data.theta2[lo] : null
+        };
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+    
+    function render(state, u) {
+        const width = canvas.width;
+        const height = canvas.height;
+        
+        // Clear canvas
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        
+        // Draw ground
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, height - 30);
+        ctx.lineTo(width, height - 30);
+        ctx.stroke();
+        
+        // Draw track
+        ctx.strokeStyle = '#cbd5e0';
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.moveTo(0, height - 30 - WHEEL_RADIUS);
+        ctx.lineTo(width, height - 30 - WHEEL_RADIUS);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Cart position in pixels (centered)
+        const cartX = width / 2 + state.x * SCALE;
+        const cartY = height - 30 - WHEEL_RADIUS - CART_HEIGHT / 2;
+        
+        // Draw imported run as a ghost
+        if (ghost) {
+            const g = ghostAt(state.time);
+            if (g) drawGhost(width / 2 + g.x * SCALE, cartY, g.theta, g.theta2);
+        }
+        
+        // Draw cart
+        ctx.fillStyle = '#1a365d';
+        ctx.fillRect(cartX - CART_WIDTH / 2, cartY - CART_HEIGHT / 2, CART_WIDTH, CART_HEIGHT);
+        
+        // Draw wheels
+        ctx.fillStyle = '#333333';
+        ctx.beginPath();
+        ctx.arc(cartX - CART_WIDTH / 3, cartY + CART_HEIGHT / 2, WHEEL_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(cartX + CART_WIDTH / 3, cartY + CART_HEIGHT / 2, WHEEL_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Pendulum pivot point
+        const pivotX = cartX;
+        const pivotY = cartY - CART_HEIGHT / 2;
+        
+        // Pendulum bob position (theta = 0 is upright)
+        const bobX = pivotX + pendulumLength * Math.sin(state.theta);
+        const bobY = pivotY - pendulumLength * Math.cos(state.theta);
+        
+        // Draw pendulum rod
+        ctx.strokeStyle = '#2c5282';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(pivotX, pivotY);
+        ctx.lineTo(bobX, bobY);
+        ctx.stroke();
+        
+        // Draw pivot
+        ctx.fillStyle = '#718096';
+        ctx.beginPath();
+        ctx.arc(pivotX, pivotY, 6, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Draw bob
+        ctx.fillStyle = '#c53030';
+        ctx.beginPath();
+        ctx.arc(bobX, bobY, bobRadius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Draw the second link on top of the first bob
+        let tipX = bobX;
+        let tipY = bobY;
+        if (plantModel === 'double') {
+            tipX = bobX + pendulumLength2 * Math.sin(state.theta2);
+            tipY = bobY - pendulumLength2 * Math.cos(state.theta2);
+            
+            ctx.strokeStyle = '#2c5282';
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(bobX, bobY);
+            ctx.lineTo(tipX, tipY);
+            ctx.stroke();
+            
+            ctx.fillStyle = '#9b2c2c';
+            ctx.beginPath();
+            ctx.arc(tipX, tipY, bobRadius2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        // Draw control force indicator
+        const forceScale = 2;
+        const forceLength = u * forceScale;
+        if (Math.abs(forceLength) > 1) {
+            ctx.strokeStyle = '#48bb78';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(cartX, cartY);
+            ctx.lineTo(cartX + forceLength, cartY);
+            ctx.stroke();
+            
+            // Arrow head
+            const arrowDir = forceLength > 0 ? 1 : -1;
+            ctx.beginPath();
+            ctx.moveTo(cartX + forceLength, cartY);
+            ctx.lineTo(cartX + forceLength - 8 * arrowDir, cartY - 5);
+            ctx.lineTo(cartX + forceLength - 8 * arrowDir, cartY + 5);
+            ctx.closePath();
+            ctx.fillStyle = '#48bb78';
+            ctx.fill();
+        }
+        
+        // Draw disturbance force at the top bob
+        const fd = disturbanceForce(state.time);
+        if (Math.abs(fd) > 0.05) {
+            drawDisturbanceArrow(tipX, tipY, fd);
+        }
+        
+        // Draw the Kalman estimate with its 2-sigma error bars
+        if (estimator.enabled) {
+            drawEstimate(cartY);
+        }
+        
+        // Draw swing-up capture region and phase
+        if (swingUp.enabled) {
+            drawSwingUpOverlay(pivotX, pivotY);
+        }
+        
+        // Draw the game timer
+        if (manual.enabled) {
+            drawGameOverlay();
+        }
+        
+        // Draw reference line (upright position)
+        ctx.strokeStyle = '#a0aec0';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(pivotX, pivotY);
+        ctx.lineTo(pivotX, pivotY - pendulumLength - (plantModel === 'double' ? pendulumLength2 : 0) - 10);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    function drawDisturbanceArrow(bobX, bobY, force) {
+        const length = Math.max(-120, Math.min(120, force * 10));
+        const startX = bobX - length - Math.sign(length) * bobRadius;
+        const endX = bobX - Math.sign(length) * bobRadius;
+        const dir = Math.sign(length);
+        
+        ctx.strokeStyle = '#dd6b20';
+        ctx.fillStyle = '#dd6b20';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(startX, bobY);
+        ctx.lineTo(endX, bobY);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(endX, bobY);
+        ctx.lineTo(endX - 8 * dir, bobY - 5);
+        ctx.lineTo(endX - 8 * dir, bobY + 5);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Draw a ghost pendulum; theta2 is null for a single-link run
+     */
+    function drawGhost(cartX, cartY, theta, theta2) {
+        const pivotY = cartY - CART_HEIGHT / 2;
+        const bobX = cartX + pendulumLength * Math.sin(theta);
+        const bobY = pivotY - pendulumLength * Math.cos(theta);
+        const tipX = theta2 === null ? bobX : bobX + pendulumLength2 * Math.sin(theta2);
+        const tipY = theta2 === null ? bobY : bobY - pendulumLength2 * Math.cos(theta2);
+        
+        ctx.save();
+        ctx.globalAlpha = 0.3;
+        ctx.strokeStyle = '#4a5568';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.strokeRect(cartX - CART_WIDTH / 2, cartY - CART_HEIGHT / 2, CART_WIDTH, CART_HEIGHT);
+        ctx.beginPath();
+        ctx.moveTo(cartX, pivotY);
+        ctx.lineTo(bobX, bobY);
+        ctx.lineTo(tipX, tipY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#4a5568';
+        ctx.beginPath();
+        ctx.arc(bobX, bobY, bobRadius, 0, Math.PI * 2);
+        ctx.fill();
+        if (theta2 !== null) {
+            ctx.beginPath();
+            ctx.arc(tipX, tipY, bobRadius2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    function drawEstimate(cartY) {
+        const xHat = estimator.xHat;
+        const sigma = estimateSigma();
+        const cartX = canvas.width / 2 + xHat[0] * SCALE;
+        const pivotY = cartY - CART_HEIGHT / 2;
+        const length = pendulumLength + bobRadius;
+        const bobX = cartX + pendulumLength * Math.sin(xHat[2]);
+        const bobY = pivotY - pendulumLength * Math.cos(xHat[2]);
+        
+        ctx.save();
+        ctx.strokeStyle = '#805ad5';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(cartX - CART_WIDTH / 2, cartY - CART_HEIGHT / 2, CART_WIDTH, CART_HEIGHT);
+        ctx.beginPath();
+        ctx.moveTo(cartX, pivotY);
+        ctx.lineTo(bobX, bobY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.arc(bobX, bobY, bobRadius, 0, Math.PI * 2);
+        ctx.stroke();
+        if (plantModel === 'double') {
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(bobX, bobY);
+            ctx.lineTo(bobX + pendulumLength2 * Math.sin(xHat[4]), bobY - pendulumLength2 * Math.cos(xHat[4]));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
+        // Position: +-2 sigma bar below the cart
+        const barY = cartY + CART_HEIGHT / 2 + WHEEL_RADIUS * 2 + 6;
+        const halfX = Math.min(canvas.width, 2 * sigma[0] * SCALE);
+        ctx.beginPath();
+        ctx.moveTo(cartX - halfX, barY);
+        ctx.lineTo(cartX + halfX, barY);
+        ctx.moveTo(cartX - halfX, barY - 4);
+        ctx.lineTo(cartX - halfX, barY + 4);
+        ctx.moveTo(cartX + halfX, barY - 4);
+        ctx.lineTo(cartX + halfX, barY + 4);
+        ctx.stroke();
+        
+        // Angle: +-2 sigma arc through the bob
+        const halfTheta = Math.min(Math.PI, 2 * sigma[2]);
+        ctx.beginPath();
+        ctx.arc(cartX, pivotY, length, -Math.PI / 2 + xHat[2] - halfTheta, -Math.PI / 2 + xHat[2] + halfTheta);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    function drawGameOverlay() {
+        ctx.font = '14px "JetBrains Mono", monospace';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#1a365d';
+        ctx.fillText('TIME ' + manual.time.toFixed(2) + ' s', canvas.width - 12, 22);
+        ctx.fillText('SCORE ' + manual.score.toFixed(2), canvas.width - 12, 42);
+        if (manual.over) {
+            ctx.font = 'bold 28px "JetBrains Mono", monospace';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#c53030';
+            ctx.fillText('GAME OVER', canvas.width / 2, canvas.height / 2 - 60);
+        }
+        ctx.textAlign = 'left';
+    }
+
+    function drawSwingUpOverlay(pivotX, pivotY) {
+        const captured = swingUp.phase === 'stabilize';
+        
+        // Capture wedge around the upright position
+        ctx.fillStyle = captured ? 'rgba(72, 187, 120, 0.15)' : 'rgba(160, 174, 192, 0.15)';
+        ctx.beginPath();
+        ctx.moveTo(pivotX, pivotY);
+        ctx.arc(pivotX, pivotY, pendulumLength + bobRadius,
+                -Math.PI / 2 - swingUp.captureAngle, -Math.PI / 2 + swingUp.captureAngle);
+        ctx.closePath();
+        ctx.fill();
+        
+        // Phase label
+        ctx.font = '14px "JetBrains Mono", monospace';
+        ctx.fillStyle = captured ? '#2f855a' : '#c05621';
+        ctx.fillText(captured ? 'STABILIZE' : 'SWING-UP', 12, 22);
+        if (swingUp.switchTime !== null) {
+            ctx.fillStyle = '#4a5568';
+            ctx.fillText('switched at t = ' + swingUp.switchTime.toFixed(2) + ' s', 12, 42);
+        }
+    }
+
+    // ============================================
+    // PID Auto-Tuning (headless)
+    // ============================================
+    
+    const TUNE_DURATION = 5;   // Simulated time per run [s]
+    const TUNE_WEIGHTS = {
+        itae: 1,        // per rad*s^2, normalized by initial angle
+        overshoot: 0.02, // per %
+        settling: 0.3,  // per s
+        travel: 0.5,    // per m
+        saturation: 3   // per fraction of time at the clamp
+    };
+    const GAIN_LIMITS = {
+        Kp: { min: 0, max: 200, step: 1 },
+        Ki: { min: 0, max: 50, step: 0.5 },
+        Kd: { min: 0, max: 100, step: 1 }
+    };
+
+    function snapGain(name, value) {
+        const { min, max, step } = GAIN_LIMITS[name];
+        return Math.max(min, Math.min(max, Math.round(value / step) * step));
+    }
+
+    /**
+     * Run the PID loop without rendering and score the response
+     */
+    function evaluateGains(pidGains, theta0) {
+        const dt = PARAMS.dt;
+        const steps = Math.round(TUNE_DURATION / dt);
+        let s = initialState(theta0, 0);
+        
+        const band = Math.max(0.02 * Math.abs(theta0), 0.1 * Math.PI / 180);
+        let itae = 0;
+        let peakAfterCrossing = 0;
+        let crossed = false;
+        let settlingTime = 0;
+        let travel = 0;
+        let saturatedSteps = 0;
+        
+        for (let k = 0; k < steps; k++) {
+            const terms = computePIDTerms(s, pidGains);
+            const raw = terms.p + terms.i + terms.d;
+            const u = clampControl(raw);
+            if (Math.abs(raw) >= U_MAX) saturatedSteps++;
+            
+            s = rk4Step(s, u, dt);
+            applyTrackLimits(s);
+            
+            if (isTipped(s) || !isFinite(s.theta)) {
+                return { gains: pidGains, fell: true, score: Infinity };
+            }
+            
+            itae += s.time * Math.abs(s.theta) * dt;
+            if (Math.sign(s.theta) !== Math.sign(theta0)) crossed = true;
+            if (crossed) peakAfterCrossing = Math.max(peakAfterCrossing, Math.abs(s.theta));
+            if (Math.abs(s.theta) > band) settlingTime = s.time;
+            travel = Math.max(travel, Math.abs(s.x));
+        }
+        
+        const metrics = {
+            itae: itae / Math.abs(theta0),
+            overshoot: 100 * peakAfterCrossing / Math.abs(theta0),
+            settling: settlingTime,
+            travel: travel,
+            saturation: saturatedSteps / steps
+        };
+        let score = 0;
+        Object.keys(TUNE_WEIGHTS).forEach(function(key) {
+            score += TUNE_WEIGHTS[key] * metrics[key];
+        });
+        
+        return Object.assign({ gains: pidGains, fell: false, score: score }, metrics);
+    }
+
+    /**
+     * Coarse grid over the slider ranges, then Nelder-Mead refinement
+     * of the best grid points. Returns the best distinct candidates.
+     */
+    function tunePID(theta0) {
+        const evaluate = function(Kp, Ki, Kd) {
+            return evaluateGains({
+                Kp: snapGain('Kp', Kp),
+                Ki: snapGain('Ki', Ki),
+                Kd: snapGain('Kd', Kd)
+            }, theta0);
+        };
+        
+        const results = [];
+        for (let Kp = 20; Kp <= 200; Kp += 20) {
+            [0, 5, 10, 20].forEach(function(Ki) {
+                for (let Kd = 0; Kd <= 100; Kd += 20) {
+                    results.push(evaluate(Kp, Ki, Kd));
+                }
+            });
+        }
+        results.sort(function(a, b) { return a.score - b.score; });
+        
+        results.slice(0, 3).filter(function(r) { return !r.fell; }).forEach(function(seed) {
+            results.push(nelderMead(function(v) {
+                return evaluate(v[0], v[1], v[2]);
+            }, [seed.gains.Kp, seed.gains.Ki, seed.gains.Kd], [10, 2, 5]));
+        });
+        results.sort(function(a, b) { return a.score - b.score; });
+        
+        // Drop duplicates produced by snapping
+        const seen = {};
+        return results.filter(function(r) {
+            const key = r.gains.Kp + '/' + r.gains.Ki + '/' + r.gains.Kd;
+            if (r.fell || seen[key]) return false;
+            seen[key] = true;
+            return true;
+        }).slice(0, 5);
+    }
+
+    /**
+     * Minimal Nelder-Mead simplex search; f returns an object with .score
+     */
+    function nelderMead(f, x0, stepSizes) {
+        const n = x0.length;
+        let simplex = [{ x: x0, r: f(x0) }];
+        for (let i = 0; i < n; i++) {
+            const x = x0.slice();
+            x[i] += stepSizes[i];
+            simplex.push({ x: x, r: f(x) });
+        }
+        const combine = function(a, b, t) {
+            return a.map(function(v, i) { return v + t * (b[i] - v); });
+        };
+        
+        for (let iter = 0; iter < 60; iter++) {
+            simplex.sort(function(a, b) { return a.r.score - b.r.score; });
+            const worst = simplex[n];
+            const centroid = new Array(n).fill(0);
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) centroid[j] += simplex[i].x[j] / n;
+            }
+            
+            const reflected = combine(centroid, worst.x, -1);
+            const rr = f(reflected);
+            if (rr.score < simplex[0].r.score) {
+                const expanded = combine(centroid, worst.x, -2);
+                const re = f(expanded);
+                simplex[n] = re.score < rr.score ? { x: expanded, r: re } : { x: reflected, r: rr };
+            } else if (rr.score < simplex[n - 1].r.score) {
+                simplex[n] = { x: reflected, r: rr };
+            } else {
+                const contracted = combine(centroid, worst.x, 0.5);
+                const rc = f(contracted);
+                if (rc.score < worst.r.score) {
+                    simplex[n] = { x: contracted, r: rc };
+                } else {
+                    // Shrink towards the best vertex
+                    for (let i = 1; i <= n; i++) {
+                        const x = combine(simplex[0].x, simplex[i].x, 0.5);
+                        simplex[i] = { x: x, r: f(x) };
+                    }
+                }
+            }
+        }
+        simplex.sort(function(a, b) { return a.r.score - b.r.score; });
+        return simplex[0].r;
+    }
+
+    function renderTuneResults(candidates) {
+        const tbody = document.getElementById('tune-results');
+        tbody.innerHTML = '';
+        
+        if (candidates.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="10">安定化できるゲインが見つかりませんでした</td></tr>';
+            return;
+        }
+        
+        candidates.forEach(function(c) {
+            const row = document.createElement('tr');
+            row.innerHTML =
+                '<td>' + c.gains.Kp + '</td>' +
+                '<td>' + c.gains.Ki + '</td>' +
+                '<td>' + c.gains.Kd + '</td>' +
+                '<td>' + c.itae.toFixed(3) + '</td>' +
+                '<td>' + c.overshoot.toFixed(1) + '</td>' +
+                '<td>' + c.settling.toFixed(2) + '</td>' +
+                '<td>' + c.travel.toFixed(2) + '</td>' +
+                '<td>' + (100 * c.saturation).toFixed(1) + '</td>' +
+                '<td>' + c.score.toFixed(3) + '</td>';
+            
+            const cell = document.createElement('td');
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary btn-small';
+            button.textContent = 'Apply';
+            button.addEventListener('click', function() {
+                applyGains(c.gains);
+            });
+            cell.appendChild(button);
+            row.appendChild(cell);
+            tbody.appendChild(row);
+        });
+    }
+
+    // ============================================
+    // Linear Analysis (Bode / Nyquist / Root Locus)
+    // ============================================
+    
+    const KP_LOCUS_MAX = 300;
+    let analysisPending = false;
+
+    /**
+     * Plant theta(s)/U(s) from the linearized model.
+     * The cart-position mode at s = 0 is unobservable from theta and cancels.
+     */
+    function plantTransferFunction() {
+        const { A, B } = linearizeModel();
+        const c = new Array(A.length).fill(0);
+        c[2] = 1;
+        return LinAlg.ssToTf(A, B.map(function(row) { return row[0]; }), c);
+    }
+
+    /**
+     * Loop transfer L(s) = -G(s) C(s) with C(s) = (Kd s^2 + Kp s + Ki) / s,
+     * so that the closed loop is 1 + L(s) = 0 (u = +C theta in computeControl)
+     */
+    function loopTransferFunction(plant, pidGains) {
+        return {
+            num: LinAlg.polyScale(LinAlg.polyMul(plant.num, [pidGains.Kd, pidGains.Kp, pidGains.Ki]), -1),
+            den: LinAlg.polyMul(plant.den, [1, 0])
+        };
+    }
+
+    function closedLoopPolynomial(loop) {
+        return LinAlg.polyTrim(LinAlg.polyAdd(loop.den, loop.num));
+    }
+
+    function countRightHalfPlane(roots) {
+        return roots.filter(function(z) { return z.re > 1e-9; }).length;
+    }
+
+    function evalLoop(loop, omega) {
+        const jw = { re: 0, im: omega };
+        return LinAlg.complex.div(LinAlg.polyEval(loop.num, jw), LinAlg.polyEval(loop.den, jw));
+    }
+
+    /**
+     * Frequency response with unwrapped phase, and gain / phase margins
+     */
+    function frequencyResponse(loop) {
+        const points = [];
+        const N = 400;
+        let prevPhase = null;
+        for (let k = 0; k <= N; k++) {
+            const omega = Math.pow(10, -2 + 5 * k / N);
+            const L = evalLoop(loop, omega);
+            let phase = Math.atan2(L.im, L.re) * 180 / Math.PI;
+            if (prevPhase !== null) {
+                while (phase - prevPhase > 180) phase -= 360;
+                while (phase - prevPhase < -180) phase += 360;
+            }
+            prevPhase = phase;
+            points.push({ omega: omega, mag: 20 * Math.log10(LinAlg.complex.abs(L)), phase: phase });
+        }
+        
+        let gainMargin = null;
+        let phaseMargin = null;
+        for (let k = 1; k < points.length; k++) {
+            const a = points[k - 1];
+            const b = points[k];
+            
+            // Gain crossover |L| = 1
+            if (phaseMargin === null && Math.sign(a.mag) !== Math.sign(b.mag)) {
+                const t = a.mag / (a.mag - b.mag);
+                const phase = a.phase + t * (b.phase - a.phase);
+                phaseMargin = {
+                    omega: a.omega * Math.pow(b.omega / a.omega, t),
+                    value: 180 + phase - 360 * Math.round((180 + phase) / 360)
+                };
+            }
+            
+            // Phase crossover at an odd multiple of -180 deg
+            const wrapA = Math.floor((a.phase + 180) / 360);
+            const wrapB = Math.floor((b.phase + 180) / 360);
+            if (gainMargin === null && wrapA !== wrapB) {
+                const target = 360 * Math.max(wrapA, wrapB) - 180;
+                const t = (target - a.phase) / (b.phase - a.phase);
+                gainMargin = {
+                    omega: a.omega * Math.pow(b.omega / a.omega, t),
+                    value: -(a.mag + t * (b.mag - a.mag))
+                };
+            }
+        }
+        
+        return { points: points, gainMargin: gainMargin, phaseMargin: phaseMargin };
+    }
+
+    /**
+     * Map data ranges onto a canvas rectangle and draw the frame
+     */
+    function makePlot(context, rect, xRange, yRange, options) {
+        const opts = options || {};
+        const xLog = !!opts.xLog;
+        const tx = function(v) { return xLog ? Math.log10(v) : v; };
+        const x0 = tx(xRange[0]);
+        const x1 = tx(xRange[1]);
+        const plot = {
+            x: function(v) { return rect.x + (tx(v) - x0) / (x1 - x0) * rect.w; },
+            y: function(v) { return rect.y + rect.h - (v - yRange[0]) / (yRange[1] - yRange[0]) * rect.h; }
+        };
+        
+        context.strokeStyle = '#e2e8f0';
+        context.lineWidth = 1;
+        context.strokeRect(rect.x, rect.y, rect.w, rect.h);
+        
+        context.font = '10px "JetBrains Mono", monospace';
+        context.fillStyle = '#718096';
+        if (opts.title) context.fillText(opts.title, rect.x + 6, rect.y + 12);
+        (opts.yTicks || []).forEach(function(v) {
+            const py = plot.y(v);
+            context.beginPath();
+            context.moveTo(rect.x, py);
+            context.lineTo(rect.x + rect.w, py);
+            context.stroke();
+            context.fillText(String(v), 2, py + 3);
+        });
+        (opts.xTicks || []).forEach(function(v) {
+            const px = plot.x(v);
+            context.beginPath();
+            context.moveTo(px, rect.y);
+            context.lineTo(px, rect.y + rect.h);
+            context.stroke();
+            context.fillText(String(v), px - 8, rect.y + rect.h + 12);
+        });
+        
+        return plot;
+    }
+
+    function drawPolyline(context, points, color, width) {
+        context.strokeStyle = color;
+        context.lineWidth = width || 1.5;
+        context.beginPath();
+        points.forEach(function(p, k) {
+            if (k === 0) context.moveTo(p[0], p[1]);
+            else context.lineTo(p[0], p[1]);
+        });
+        context.stroke();
+    }
+
+    function drawBode(response) {
+        const bodeCanvas = document.getElementById('bodeCanvas');
+        const c = bodeCanvas.getContext('2d');
+        const w = bodeCanvas.width;
+        const h = bodeCanvas.height;
+        c.fillStyle = '#ffffff';
+        c.fillRect(0, 0, w, h);
+        
+        const omegaRange = [1e-2, 1e3];
+        const xTicks = [0.01, 0.1, 1, 10, 100, 1000];
+        const mags = response.points.map(function(p) { return p.mag; });
+        const phases = response.points.map(function(p) { return p.phase; });
+        const magLo = Math.floor(Math.max(-80, Math.min.apply(null, mags)) / 20) * 20;
+        const magHi = Math.ceil(Math.min(80, Math.max.apply(null, mags)) / 20) * 20;
+        const phLo = Math.floor(Math.min.apply(null, phases) / 90) * 90;
+        const phHi = Math.ceil(Math.max.apply(null, phases) / 90) * 90;
+        const range = function(lo, hi, step) {
+            const ticks = [];
+            for (let v = lo; v <= hi; v += step) ticks.push(v);
+            return ticks;
+        };
+        
+        const magPlot = makePlot(c, { x: 40, y: 8, w: w - 50, h: h / 2 - 24 }, omegaRange,
+                                 [magLo, Math.max(magHi, magLo + 20)],
+                                 { xLog: true, title: '|L(jω)| [dB]', yTicks: range(magLo, magHi, 20) });
+        drawPolyline(c, response.points.map(function(p) {
+            return [magPlot.x(p.omega), magPlot.y(Math.max(magLo, Math.min(magHi, p.mag)))];
+        }), '#1a365d');
+        
+        const phasePlot = makePlot(c, { x: 40, y: h / 2 + 4, w: w - 50, h: h / 2 - 24 }, omegaRange,
+                                   [phLo, Math.max(phHi, phLo + 90)],
+                                   { xLog: true, title: '∠L(jω) [deg]   ω [rad/s]', xTicks: xTicks,
+                                     yTicks: range(phLo, phHi, 90) });
+        drawPolyline(c, response.points.map(function(p) {
+            return [phasePlot.x(p.omega), phasePlot.y(p.phase)];
+        }), '#c53030');
+        
+        // Margin markers
+        c.fillStyle = '#2f855a';
+        if (response.phaseMargin) {
+            const px = magPlot.x(response.phaseMargin.omega);
+            c.fillRect(px - 1, 8, 2, h - 32);
+        }
+        c.fillStyle = '#805ad5';
+        if (response.gainMargin) {
+            const px = magPlot.x(response.gainMargin.omega);
+            c.fillRect(px - 1, 8, 2, h - 32);
+        }
+    }
+
+    function drawNyquist(loop) {
+        const nyquistCanvas = document.getElementById('nyquistCanvas');
+        const c = nyquistCanvas.getContext('2d');
+        const w = nyquistCanvas.width;
+        const h = nyquistCanvas.height;
+        c.fillStyle = '#ffffff';
+        c.fillRect(0, 0, w, h);
+        
+        // Radius compressed as log10(1 + |L|) so that infinite branches stay visible
+        const compress = function(z) {
+            const r = LinAlg.complex.abs(z);
+            const k = r > 0 ? Math.log10(1 + r) / r : 0;
+            return { re: z.re * k, im: z.im * k };
+        };
+        const positive = [];
+        for (let k = 0; k <= 600; k++) {
+            positive.push(compress(evalLoop(loop, Math.pow(10, -3 + 6 * k / 600))));
+        }
+        let extent = 0.5;
+        positive.forEach(function(z) {
+            extent = Math.max(extent, Math.abs(z.re), Math.abs(z.im));
+        });
+        extent *= 1.1;
+        
+        const plot = makePlot(c, { x: 4, y: 4, w: w - 8, h: h - 8 }, [-extent, extent], [-extent, extent],
+                              { title: 'Nyquist (log-compressed)' });
+        c.strokeStyle = '#e2e8f0';
+        c.beginPath();
+        c.moveTo(plot.x(-extent), plot.y(0));
+        c.lineTo(plot.x(extent), plot.y(0));
+        c.moveTo(plot.x(0), plot.y(-extent));
+        c.lineTo(plot.x(0), plot.y(extent));
+        c.stroke();
+        
+        // Unit circle and the critical point -1
+        const unit = Math.log10(2);
+        c.strokeStyle = '#cbd5e0';
+        c.setLineDash([3, 3]);
+        c.beginPath();
+        c.arc(plot.x(0), plot.y(0), plot.x(unit) - plot.x(0), 0, Math.PI * 2);
+        c.stroke();
+        c.setLineDash([]);
+        
+        drawPolyline(c, positive.map(function(z) { return [plot.x(z.re), plot.y(z.im)]; }), '#1a365d');
+        c.setLineDash([4, 3]);
+        drawPolyline(c, positive.map(function(z) { return [plot.x(z.re), plot.y(-z.im)]; }), '#3182ce');
+        c.setLineDash([]);
+        
+        c.fillStyle = '#c53030';
+        c.beginPath();
+        c.arc(plot.x(-unit), plot.y(0), 4, 0, Math.PI * 2);
+        c.fill();
+        c.fillText('-1', plot.x(-unit) - 6, plot.y(0) - 8);
+    }
+
+    function drawRootLocus(plant) {
+        const locusCanvas = document.getElementById('locusCanvas');
+        const c = locusCanvas.getContext('2d');
+        const w = locusCanvas.width;
+        const h = locusCanvas.height;
+        c.fillStyle = '#ffffff';
+        c.fillRect(0, 0, w, h);
+        
+        const branches = [];
+        let extent = 2;
+        for (let k = 0; k <= 150; k++) {
+            const Kp = KP_LOCUS_MAX * k / 150;
+            const loop = loopTransferFunction(plant, { Kp: Kp, Ki: gains.Ki, Kd: gains.Kd });
+            const roots = LinAlg.polyRoots(closedLoopPolynomial(loop));
+            branches.push({ Kp: Kp, roots: roots });
+            roots.forEach(function(z) {
+                extent = Math.max(extent, Math.abs(z.re), Math.abs(z.im));
+            });
+        }
+        extent = Math.min(60, extent * 1.1);
+        
+        const plot = makePlot(c, { x: 4, y: 4, w: w - 8, h: h - 8 }, [-extent, extent], [-extent, extent],
+                              { title: 'Root locus (Kp: 0 → ' + KP_LOCUS_MAX + ')' });
+        
+        // Unstable half-plane
+        c.fillStyle = 'rgba(197, 48, 48, 0.06)';
+        c.fillRect(plot.x(0), 4, plot.x(extent) - plot.x(0), h - 8);
+        c.strokeStyle = '#cbd5e0';
+        c.beginPath();
+        c.moveTo(plot.x(-extent), plot.y(0));
+        c.lineTo(plot.x(extent), plot.y(0));
+        c.moveTo(plot.x(0), plot.y(-extent));
+        c.lineTo(plot.x(0), plot.y(extent));
+        c.stroke();
+        
+        branches.forEach(function(branch) {
+            c.fillStyle = 'hsl(' + (220 - 220 * branch.Kp / KP_LOCUS_MAX) + ', 60%, 50%)';
+            branch.roots.forEach(function(z) {
+                c.fillRect(plot.x(z.re) - 1, plot.y(z.im) - 1, 2, 2);
+            });
+        });
+        
+        // Closed-loop poles for the current Kp
+        const current = LinAlg.polyRoots(closedLoopPolynomial(loopTransferFunction(plant, gains)));
+        c.strokeStyle = '#1a1a1a';
+        c.lineWidth = 2;
+        current.forEach(function(z) {
+            const px = plot.x(z.re);
+            const py = plot.y(z.im);
+            c.beginPath();
+            c.moveTo(px - 5, py - 5);
+            c.lineTo(px + 5, py + 5);
+            c.moveTo(px + 5, py - 5);
+            c.lineTo(px - 5, py + 5);
+            c.stroke();
+        });
+    }
+
+    function updateAnalysis() {
+        analysisPending = false;
+        
+        const plant = plantTransferFunction();
+        const loop = loopTransferFunction(plant, gains);
+        const response = frequencyResponse(loop);
+        const closedLoop = LinAlg.polyRoots(closedLoopPolynomial(loop));
+        const openLoopRHP = countRightHalfPlane(LinAlg.polyRoots(loop.den));
+        const closedLoopRHP = countRightHalfPlane(closedLoop);
+        
+        drawBode(response);
+        drawNyquist(loop);
+        drawRootLocus(plant);
+        updateDiscreteAnalysis();
+        
+        const gm = response.gainMargin;
+        const pm = response.phaseMargin;
+        document.getElementById('analysis-margins').innerHTML =
+            'GM = ' + (gm ? gm.value.toFixed(2) + ' dB @ ' + gm.omega.toFixed(2) + ' rad/s' : '∞') + '<br>' +
+            'PM = ' + (pm ? pm.value.toFixed(1) + '° @ ' + pm.omega.toFixed(2) + ' rad/s' : '-') + '<br>' +
+            'P (開ループ不安定極) = ' + openLoopRHP + ', Z (閉ループ不安定極) = ' + closedLoopRHP + '<br>' +
+            '閉ループ: ' + (closedLoopRHP === 0 ? '安定' : '不安定') + '<br>' +
+            '閉ループ極: ' + closedLoop.map(formatComplex).join(', ');
+    }
+
+    /**
+     * Redraw the analysis plots at most once per frame while sliders move
+     */
+    function scheduleAnalysis() {
+        if (analysisPending) return;
+        analysisPending = true;
+        requestAnimationFrame(updateAnalysis);
+    }
+
+    // ============================================
+    // Strip Charts
+    // ============================================
+    
+    const chartCanvas = document.getElementById('chartCanvas');
+    const chartCtx = chartCanvas.getContext('2d');
+    
+    const STRIPS = [
+        { title: 'θ [deg], θ̇ [rad/s]', series: [
+            { name: 'theta', label: 'θ', color: '#c53030', scale: 180 / Math.PI },
+            { name: 'thetaDot', label: 'θ̇', color: '#dd6b20', scale: 1 },
+            { name: 'theta2', label: 'θ₂', color: '#9b2c2c', scale: 180 / Math.PI, plant: 'double' }
+        ] },
+        { title: 'x [m], ẋ [m/s]', series: [
+            { name: 'x', label: 'x', color: '#1a365d', scale: 1 },
+            { name: 'xDot', label: 'ẋ', color: '#3182ce', scale: 1 }
+        ] },
+        { title: 'u [N]', series: [
+            { name: 'u', label: 'u', color: '#48bb78', scale: 1 }
+        ] },
+        { title: 'PID terms [N]', series: [
+            { name: 'p', label: 'P', color: '#805ad5', scale: 1 },
+            { name: 'i', label: 'I', color: '#d69e2e', scale: 1 },
+            { name: 'd', label: 'D', color: '#319795', scale: 1 }
+        ] }
+    ];
+
+    function renderCharts() {
+        const width = chartCanvas.width;
+        const height = chartCanvas.height;
+        const stripHeight = height / STRIPS.length;
+        const left = 44;
+        const plotWidth = width - left - 8;
+        
+        chartCtx.fillStyle = '#ffffff';
+        chartCtx.fillRect(0, 0, width, height);
+        
+        const tEnd = timeHistory.length > 0 ? historyAt('time', timeHistory.length - 1) : 0;
+        const tStart = Math.max(0, tEnd - CHART_WINDOW);
+        const tMax = Math.max(CHART_WINDOW, tEnd);
+        const toX = function(t) {
+            return left + (t - (tMax - CHART_WINDOW)) / CHART_WINDOW * plotWidth;
+        };
+        
+        // First visible sample
+        let first = 0;
+        while (first < timeHistory.length && historyAt('time', first) < tStart) first++;
+        
+        STRIPS.forEach(function(strip, s) {
+            // Series tied to a plant model are only drawn for that model
+            const visible = strip.series.filter(function(series) {
+                return !series.plant || series.plant === plantModel;
+            });
+            const top = s * stripHeight;
+            const mid = top + stripHeight / 2;
+            
+            // Symmetric auto-scale over the visible window
+            let range = 1e-3;
+            visible.forEach(function(series) {
+                for (let k = first; k < timeHistory.length; k++) {
+                    range = Math.max(range, Math.abs(historyAt(series.name, k) * series.scale));
+                }
+            });
+            const toY = function(v) {
+                return mid - v / range * (stripHeight / 2 - 6);
+            };
+            
+            // Frame and zero line
+            chartCtx.strokeStyle = '#e2e8f0';
+            chartCtx.lineWidth = 1;
+            chartCtx.strokeRect(left, top + 2, plotWidth, stripHeight - 4);
+            chartCtx.beginPath();
+            chartCtx.moveTo(left, mid);
+            chartCtx.lineTo(left + plotWidth, mid);
+            chartCtx.stroke();
+            
+            // Axis labels
+            chartCtx.font = '10px "JetBrains Mono", monospace';
+            chartCtx.fillStyle = '#718096';
+            chartCtx.fillText(range.toPrecision(2), 2, top + 12);
+            chartCtx.fillText((-range).toPrecision(2), 2, top + stripHeight - 6);
+            chartCtx.fillText(strip.title, left + 6, top + 14);
+            
+            // Ghost series from an imported run
+            if (ghost) {
+                chartCtx.save();
+                chartCtx.globalAlpha = 0.35;
+                chartCtx.setLineDash([4, 3]);
+                visible.forEach(function(series) {
+                    const values = ghost.data[series.name];
+                    if (!values) return;
+                    const times = ghost.data.time;
+                    chartCtx.strokeStyle = series.color;
+                    chartCtx.lineWidth = 1.5;
+                    chartCtx.beginPath();
+                    let started = false;
+                    for (let k = 0; k < times.length; k++) {
+                        if (times[k] < tMax - CHART_WINDOW || times[k] > tEnd) continue;
+                        const px = toX(times[k]);
+                        const py = toY(Math.max(-range, Math.min(range, values[k] * series.scale)));
+                        if (!started) chartCtx.moveTo(px, py);
+                        else chartCtx.lineTo(px, py);
+                        started = true;
+                    }
+                    chartCtx.stroke();
+                });
+                chartCtx.restore();
+            }
+            
+            // Series
+            visible.forEach(function(series, j) {
+                chartCtx.strokeStyle = series.color;
+                chartCtx.lineWidth = 1.5;
+                chartCtx.beginPath();
+                for (let k = first; k < timeHistory.length; k++) {
+                    const px = toX(historyAt('time', k));
+                    const py = toY(historyAt(series.name, k) * series.scale);
+                    if (k === first) chartCtx.moveTo(px, py);
+                    else chartCtx.lineTo(px, py);
+                }
+                chartCtx.stroke();
+                
+                chartCtx.fillStyle = series.color;
+                chartCtx.fillText(series.label, left + plotWidth - 16 * (visible.length - j), top + 14);
+            });
+        });
+    }
+
+    // ============================================
+    // Phase Portrait & Basin of Attraction
+    // ============================================
+    
+    const phaseCanvas = document.getElementById('phaseCanvas');
+    const phaseCtx = phaseCanvas.getContext('2d');
+    const PHASE_THETA_RANGE = [-90, 90];   // [deg]
+    const PHASE_OMEGA_RANGE = [-10, 10];   // [rad/s]
+    const BASIN_DURATION = 5;              // Simulated time per grid cell [s]
+    const BASIN_SETTLED = { theta: 2 * Math.PI / 180, thetaDot: 0.2 };
+    
+    const BASIN_COLORS = {
+        stable: 'rgba(72, 187, 120, 0.45)',
+        unsettled: 'rgba(214, 158, 46, 0.45)',
+        fell: 'rgba(197, 48, 48, 0.35)',
+        limit: 'rgba(49, 130, 206, 0.45)'
+    };
+    
+    // Last computed basin map: outcome per (omega row, theta column)
+    let basin = {
+        size: 0,
+        cells: null,
+        label: '',
+        job: null   // Pending setTimeout id while mapping
+    };
+
+    /**
+     * Run the linear stabilizer headlessly from (theta0, thetaDot0) and
+     * classify the outcome
+     */
+    function classifyInitialState(theta0, thetaDot0) {
+        const { Kx, Ki } = stabilizerFeedback();
+        const dt = PARAMS.dt;
+        const steps = Math.round(BASIN_DURATION / dt);
+        let s = initialState(theta0, thetaDot0);
+        
+        for (let k = 0; k < steps; k++) {
+            const v = stateVector(s);
+            let u = Ki * s.integral;
+            for (let i = 0; i < v.length; i++) u += Kx[i] * v[i];
+            
+            s = rk4Step(s, clampControl(u), dt);
+            if (isTipped(s) || !isFinite(s.theta)) return 'fell';
+            if (Math.abs(s.x) >= TRACK_LIMIT) return 'limit';
+        }
+        
+        const settled = Math.abs(s.theta) < BASIN_SETTLED.theta && Math.abs(s.thetaDot) < BASIN_SETTLED.thetaDot;
+        return settled ? 'stable' : 'unsettled';
+    }
+
+    /**
+     * Sweep a size x size grid of initial conditions a few rows at a time
+     * so the page stays responsive
+     */
+    function mapBasin(size, onProgress, onDone) {
+        if (basin.job !== null) clearTimeout(basin.job);
+        
+        const cells = new Array(size * size);
+        basin.size = size;
+        basin.cells = cells;
+        basin.label = controllerMode === 'lqr' ? 'LQR' :
+            'PID (Kp=' + gains.Kp + ', Ki=' + gains.Ki + ', Kd=' + gains.Kd + ')';
+        
+        const deg = Math.PI / 180;
+        let row = 0;
+        const step = function() {
+            const rowEnd = Math.min(size, row + 4);
+            for (; row < rowEnd; row++) {
+                const omega = PHASE_OMEGA_RANGE[0] + (row + 0.5) / size * (PHASE_OMEGA_RANGE[1] - PHASE_OMEGA_RANGE[0]);
+                for (let col = 0; col < size; col++) {
+                    const theta = PHASE_THETA_RANGE[0] + (col + 0.5) / size * (PHASE_THETA_RANGE[1] - PHASE_THETA_RANGE[0]);
+                    cells[row * size + col] = classifyInitialState(theta * deg, omega);
+                }
+            }
+            renderPhase();
+            onProgress(row / size);
+            
+            if (row < size) {
+                basin.job = setTimeout(step, 0);
+            } else {
+                basin.job = null;
+                onDone(cells);
+            }
+        };
+        step();
+    }
+
+    function renderPhase() {
+        const width = phaseCanvas.width;
+        const height = phaseCanvas.height;
+        const rect = { x: 44, y: 8, w: width - 52, h: height - 28 };
+        
+        phaseCtx.fillStyle = '#ffffff';
+        phaseCtx.fillRect(0, 0, width, height);
+        
+        // Basin map underneath the axes
+        if (basin.cells) {
+            const cw = rect.w / basin.size;
+            const ch = rect.h / basin.size;
+            for (let row = 0; row < basin.size; row++) {
+                for (let col = 0; col < basin.size; col++) {
+                    const outcome = basin.cells[row * basin.size + col];
+                    if (!outcome) continue;
+                    phaseCtx.fillStyle = BASIN_COLORS[outcome];
+                    phaseCtx.fillRect(rect.x + col * cw, rect.y + rect.h - (row + 1) * ch, cw + 0.5, ch + 0.5);
+                }
+            }
+        }
+        
+        const plot = makePlot(phaseCtx, rect, PHASE_THETA_RANGE, PHASE_OMEGA_RANGE, {
+            title: 'θ [deg] vs θ̇ [rad/s]',
+            xTicks: [-90, -45, 0, 45, 90],
+            yTicks: [-10, -5, 0, 5, 10]
+        });
+        
+        // Live trajectory from the strip-chart history, clipped to the plot
+        phaseCtx.save();
+        phaseCtx.beginPath();
+        phaseCtx.rect(rect.x, rect.y, rect.w, rect.h);
+        phaseCtx.clip();
+        const points = [];
+        for (let k = 0; k < timeHistory.length; k++) {
+            points.push([plot.x(historyAt('theta', k) * 180 / Math.PI), plot.y(historyAt('thetaDot', k))]);
+        }
+        drawPolyline(phaseCtx, points, '#c53030', 1.5);
+        phaseCtx.fillStyle = '#c53030';
+        phaseCtx.beginPath();
+        phaseCtx.arc(plot.x(state.theta * 180 / Math.PI), plot.y(state.thetaDot), 4, 0, Math.PI * 2);
+        phaseCtx.fill();
+        phaseCtx.restore();
+    }
+
+    // ============================================
+    // Shareable URL State
+    // ============================================
+    
+    /**
+     * Flat snapshot of the shareable settings, keyed by their URL names
+     */
+    function currentConfig() {
+        return {
+            plant: plantModel,
+            ctrl: controllerMode,
+            kp: gains.Kp,
+            ki: gains.Ki,
+            kd: gains.Kd,
+            q: lqr.Q.join(','),
+            r: lqr.R,
+            th0: Math.round(initialTheta * 180 / Math.PI),
+            swing: swingUp.enabled ? 1 : 0,
+            M: PARAMS.M,
+            m: PARAMS.m,
+            l: PARAMS.l,
+            m2: PARAMS.m2,
+            l2: PARAMS.l2,
+            g: PARAMS.g,
+            friction: PARAMS.friction,
+            dt: PARAMS.dt
+        };
+    }
+
+    // Settings at page load; links only carry what differs from these
+    const URL_DEFAULTS = currentConfig();
+
+    function shareUrl() {
+        const config = currentConfig();
+        const params = new URLSearchParams();
+        Object.keys(config).forEach(function(key) {
+            if (String(config[key]) !== String(URL_DEFAULTS[key])) {
+                params.set(key, config[key]);
+            }
+        });
+        const base = window.location.href.split('#')[0];
+        const query = params.toString();
+        return query ? base + '#' + query : base;
+    }
+
+    /**
+     * Restore settings from a "#kp=120&kd=35" style hash. Keys the hash
+     * leaves out take their page-load defaults, since shareUrl omits them.
+     * Unknown keys and out-of-range values are ignored or clamped like
+     * manual input.
+     */
+    function applyUrlState(hash) {
+        const given = new URLSearchParams(hash.replace(/^#/, ''));
+        const params = new URLSearchParams();
+        Object.keys(URL_DEFAULTS).forEach(function(key) {
+            params.set(key, URL_DEFAULTS[key]);
+        });
+        given.forEach(function(value, key) {
+            params.set(key, value);
+        });
+        // The double plant needs LQR unless the link names a controller
+        if (params.get('plant') === 'double' && !given.has('ctrl')) {
+            params.set('ctrl', 'lqr');
+        }
+        const number = function(key) {
+            const value = parseFloat(params.get(key));
+            return params.has(key) && isFinite(value) ? value : null;
+        };
+        
+        const plant = params.get('plant');
+        if ((plant === 'single' || plant === 'double') && plant !== plantModel) {
+            setPlantModel(plant);
+        }
+        
+        Object.keys(PARAM_LIMITS).forEach(function(name) {
+            const value = number(name);
+            if (value === null) return;
+            const { min, max } = PARAM_LIMITS[name];
+            PARAMS[name] = Math.max(min, Math.min(max, value));
+            document.getElementById('param-' + name).value = PARAMS[name];
+        });
+        updatePlantGeometry();
+        
+        const newGains = Object.assign({}, gains);
+        let gainsGiven = false;
+        ['Kp', 'Ki', 'Kd'].forEach(function(name) {
+            const value = number(name.toLowerCase());
+            if (value === null) return;
+            newGains[name] = snapGain(name, value);
+            gainsGiven = true;
+        });
+        if (gainsGiven) applyGains(newGains);
+        
+        if (params.has('q')) {
+            params.get('q').split(',').forEach(function(text, i) {
+                const value = parseFloat(text);
+                if (i >= lqr.Q.length || !(value >= 0)) return;
+                lqr.Q[i] = value;
+                document.getElementById(LQR_WEIGHT_INPUTS[i]).value = value;
+            });
+        }
+        const r = number('r');
+        if (r !== null && r > 0) {
+            lqr.R = r;
+            document.getElementById('r-weight').value = r;
+        }
+        updateLQR();
+        
+        const ctrl = params.get('ctrl');
+        if (ctrl === 'pid' || ctrl === 'lqr' || ctrl === 'none') {
+            setControllerMode(ctrl);
+        }
+        
+        if (params.has('swing') && plantModel === 'single') {
+            swingUp.enabled = params.get('swing') === '1';
+            document.getElementById('swingup-toggle').checked = swingUp.enabled;
+        }
+        
+        const th0 = number('th0');
+        if (th0 !== null) {
+            setInitialAngle(Math.max(-180, Math.min(180, Math.round(th0))));
+        } else {
+            resetState();
+        }
+    }
+
+    // ============================================
+    // UI Update
+    // ============================================
+    
+    function updateStateDisplay(state, u) {
+        document.getElementById('state-theta').textContent = (state.theta * 180 / Math.PI).toFixed(2);
+        if (plantModel === 'double') {
+            document.getElementById('state-theta2').textContent = (state.theta2 * 180 / Math.PI).toFixed(2);
+        }
+        document.getElementById('state-omega').textContent = state.thetaDot.toFixed(2);
+        document.getElementById('state-x').textContent = state.x.toFixed(2);
+        document.getElementById('state-u').textContent = u.toFixed(2);
+        
+        if (estimator.enabled) {
+            const sigma = estimateSigma();
+            const xHat = estimator.xHat;
+            const format = function(value, sd, digits) {
+                return value.toFixed(digits) + ' ± ' + (2 * sd).toFixed(digits);
+            };
+            const deg = 180 / Math.PI;
+            document.getElementById('est-theta').textContent = format(xHat[2] * deg, sigma[2] * deg, 2);
+            document.getElementById('est-omega').textContent = format(xHat[3], sigma[3], 2);
+            document.getElementById('est-x').textContent = format(xHat[0], sigma[0], 3);
+            document.getElementById('est-xdot').textContent = format(xHat[1], sigma[1], 3);
+            document.getElementById('state-xdot').textContent = state.xDot.toFixed(2);
+            document.getElementById('est-innovation').textContent =
+                estimator.innovation[0].toFixed(3) + ' m, ' + (estimator.innovation[1] * deg).toFixed(2) + '°';
+        }
+        
+        const energy = mechanicalEnergy(state);
+        document.getElementById('engine-energy').textContent = energy.toFixed(5);
+        document.getElementById('engine-drift').textContent = (energy - initialEnergy).toExponential(2);
+        document.getElementById('engine-substeps').textContent =
+            integrator.method === 'rk45' ? integrator.substeps : '-';
+        document.getElementById('engine-status').textContent =
+            integrator.method === 'rk45' && integrator.shortfall > 0
+                ? 'RK45 が制御周期を積分しきれませんでした (残り ' + integrator.shortfall.toExponential(2)
+                    + ' s)。状態が発散している可能性があります。'
+                : '';
+    }
+
+    // ============================================
+    // Animation Loop
+    // ============================================
+    
+    let lastTime = null;
+    let accumulator = 0;
+    let speed = 1;          // Simulated seconds per wall-clock second
+    let controlInput = 0;
+    let initialEnergy = 0;
+    
+    const MAX_FRAME_TIME = 0.1;     // Ignore longer gaps (e.g. background tab) [s]
+    const MAX_STEPS_PER_FRAME = 2000;
+    
+    /**
+     * Advance the simulation by one control period PARAMS.dt
+     */
+    function stepSimulation() {
+        updateSwingPhase(state);
+        if (discrete.enabled) {
+            controlInput = computeDiscreteControl(state);
+        } else if (estimator.enabled) {
+            correctEstimate(measureState(state));
+            controlInput = computeControl(estimatedState(state.time));
+        } else {
+            controlInput = computeControl(measureState(state));
+        }
+        if (manual.enabled) {
+            controlInput = blendManualControl(controlInput);
+        }
+        state = integrate(state, controlInput, PARAMS.dt, disturbanceForce(state.time));
+        if (estimator.enabled) {
+            // The filter knows the applied force but not the disturbances
+            predictEstimate(controlInput, PARAMS.dt);
+            if (discrete.enabled) recordDelayedInput(controlInput);
+        }
+        if (swingUp.enabled) {
+            state.theta = wrapAngle(state.theta);
+        }
+        applyTrackLimits(state);
+        if (manual.enabled) {
+            updateGame(PARAMS.dt);
+        }
+        recordHistory(state, controlInput, controlTerms);
+    }
+
+    function hasFallen(state) {
+        // The game always ends at the horizontal
+        if (manual.enabled) return isTipped(state);
+        // Swing-up and free-motion modes are allowed to hang
+        return !swingUp.enabled && controllerMode !== 'none' && isTipped(state);
+    }
+    
+    function simulate(timestamp) {
+        if (!isRunning) return;
+        
+        // Accumulate scaled wall-clock time and consume it in fixed steps
+        const frameTime = lastTime === null ? 0 : Math.min(MAX_FRAME_TIME, (timestamp - lastTime) / 1000);
+        lastTime = timestamp;
+        accumulator += frameTime * speed;
+        
+        if (manual.enabled) {
+            pollGamepad();
+        }
+        
+        let steps = 0;
+        while (accumulator >= PARAMS.dt && steps < MAX_STEPS_PER_FRAME) {
+            stepSimulation();
+            accumulator -= PARAMS.dt;
+            steps++;
+            
+            if (hasFallen(state)) {
+                // Pendulum has fallen - stop simulation
+                isRunning = false;
+                document.getElementById('start-btn').textContent = 'Start';
+                if (manual.enabled) {
+                    finishGame();
+                }
+                break;
+            }
+        }
+        if (steps === MAX_STEPS_PER_FRAME) {
+            accumulator = 0;
+        }
+        
+        render(state, controlInput);
+        renderCharts();
+        renderPhase();
+        updateStateDisplay(state, controlInput);
+        if (manual.enabled) {
+            updateGameDisplay();
+        }
+        
+        if (isRunning) {
+            animationId = requestAnimationFrame(simulate);
+        }
+    }
+
+    // ============================================
+    // Event Handlers
+    // ============================================
+    
+    function resetState() {
+        state = initialState(initialTheta + (manual.enabled ? MANUAL_KICK * randn() : 0), 0);
+        controlInput = 0;
+        resetGame();
+        updateGameDisplay();
+        initialEnergy = mechanicalEnergy(state);
+        integrator.h = null;
+        integrator.substeps = 0;
+        integrator.shortfall = 0;
+        resetDiscreteController();
+        resetEstimator(measureState(state));
+        swingUp.phase = 'swing';
+        swingUp.switchTime = null;
+        clearHistory();
+        clearRunLog();
+        logSample(state, 0, ZERO_TERMS);
+        render(state, 0);
+        renderCharts();
+        renderPhase();
+        updateStateDisplay(state, 0);
+    }
+
+    // Slider handlers
+    document.getElementById('kp-slider').addEventListener('input', function(e) {
+        gains.Kp = parseFloat(e.target.value);
+        document.getElementById('kp-value').textContent = gains.Kp;
+        scheduleAnalysis();
+    });
+
+    document.getElementById('ki-slider').addEventListener('input', function(e) {
+        gains.Ki = parseFloat(e.target.value);
+        document.getElementById('ki-value').textContent = gains.Ki;
+        scheduleAnalysis();
+    });
+
+    document.getElementById('kd-slider').addEventListener('input', function(e) {
+        gains.Kd = parseFloat(e.target.value);
+        document.getElementById('kd-value').textContent = gains.Kd;
+        scheduleAnalysis();
+    });
+
+    /**
+     * Push a gain set into the PID sliders and switch to PID mode
+     */
+    function applyGains(newGains) {
+        gains = { Kp: newGains.Kp, Ki: newGains.Ki, Kd: newGains.Kd };
+        ['Kp', 'Ki', 'Kd'].forEach(function(name) {
+            const id = name.toLowerCase();
+            document.getElementById(id + '-slider').value = gains[name];
+            document.getElementById(id + '-value').textContent = gains[name];
+        });
+        
+        scheduleAnalysis();
+        setControllerMode('pid');
+    }
+
+    function setControllerMode(mode) {
+        controllerMode = mode;
+        document.getElementById('controller-select').value = mode;
+        document.getElementById('pid-controls').hidden = mode !== 'pid';
+        document.getElementById('lqr-controls').hidden = mode !== 'lqr';
+        updateDiscreteAnalysis();
+    }
+
+    // Plant parameter inputs
+    const PARAM_LIMITS = {
+        M: { min: 0.1, max: 10 },
+        m: { min: 0.01, max: 5 },
+        l: { min: 0.1, max: 2 },
+        g: { min: 0.1, max: 30 },
+        friction: { min: 0, max: 5 },
+        dt: { min: MIN_CONTROL_DT, max: 0.02 },
+        m2: { min: 0.01, max: 5 },
+        l2: { min: 0.1, max: 2 }
+    };
+
+    Object.keys(PARAM_LIMITS).forEach(function(name) {
+        document.getElementById('param-' + name).addEventListener('change', function(e) {
+            const { min, max } = PARAM_LIMITS[name];
+            const value = parseFloat(e.target.value);
+            if (!isFinite(value)) {
+                e.target.value = PARAMS[name];
+                return;
+            }
+            PARAMS[name] = Math.max(min, Math.min(max, value));
+            e.target.value = PARAMS[name];
+            
+            updatePlantGeometry();
+            updateLQR();
+            scheduleAnalysis();
+            render(state, controlInput);
+        });
+    });
+
+    // Plant model
+    document.getElementById('plant-select').addEventListener('change', function(e) {
+        setPlantModel(e.target.value);
+    });
+
+    function setPlantModel(model) {
+        plantModel = model;
+        document.getElementById('plant-select').value = model;
+        document.querySelectorAll('[data-plant="double"]').forEach(function(el) {
+            el.hidden = plantModel !== 'double';
+        });
+        
+        // The swing-up law is written for a single link
+        const swingToggle = document.getElementById('swingup-toggle');
+        swingToggle.disabled = plantModel === 'double';
+        if (plantModel === 'double' && swingUp.enabled) {
+            swingToggle.checked = false;
+            swingUp.enabled = false;
+            setInitialAngle(10);
+        }
+        
+        isRunning = false;
+        if (animationId) {
+            cancelAnimationFrame(animationId);
+        }
+        document.getElementById('start-btn').textContent = 'Start';
+        updateLQR();
+        // PID on the first link alone cannot hold both links up
+        if (plantModel === 'double' && controllerMode === 'pid') {
+            setControllerMode('lqr');
+        }
+        resetState();
+    }
+
+    // Disturbance controls
+    document.getElementById('wind-slider').addEventListener('input', function(e) {
+        disturbance.wind = parseFloat(e.target.value);
+        document.getElementById('wind-value').textContent = disturbance.wind;
+        if (!isRunning) render(state, controlInput);
+    });
+
+    document.getElementById('poke-slider').addEventListener('input', function(e) {
+        disturbance.pokeImpulse = parseFloat(e.target.value);
+        document.getElementById('poke-value').textContent = disturbance.pokeImpulse;
+    });
+
+    document.getElementById('noise-theta-slider').addEventListener('input', function(e) {
+        const deg = parseFloat(e.target.value);
+        disturbance.noiseTheta = deg * Math.PI / 180;
+        document.getElementById('noise-theta-value').textContent = deg;
+    });
+
+    document.getElementById('noise-x-slider').addEventListener('input', function(e) {
+        disturbance.noiseX = parseFloat(e.target.value);
+        document.getElementById('noise-x-value').textContent = disturbance.noiseX;
+    });
+
+    /**
+     * Poke the bob: a click pushes it away from the pointer,
+     * a drag pushes it along the drag direction (longer drag = harder)
+     */
+    function canvasPoint(e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * canvas.width / rect.width,
+            y: (e.clientY - rect.top) * canvas.height / rect.height
+        };
+    }
+
+    let pokeStart = null;
+
+    canvas.addEventListener('pointerdown', function(e) {
+        if (manual.enabled) {
+            manual.dragStart = canvasPoint(e).x;
+            return;
+        }
+        pokeStart = canvasPoint(e);
+    });
+
+    /**
+     * In manual mode, dragging sideways pushes the cart (100 px = full force)
+     */
+    canvas.addEventListener('pointermove', function(e) {
+        if (manual.dragStart === null) return;
+        const dragX = canvasPoint(e).x - manual.dragStart;
+        manual.dragForce = Math.max(-1, Math.min(1, dragX / 100)) * manual.maxForce;
+    });
+
+    function releaseManualDrag() {
+        manual.dragStart = null;
+        manual.dragForce = 0;
+    }
+    canvas.addEventListener('pointerleave', releaseManualDrag);
+
+    canvas.addEventListener('pointerup', function(e) {
+        if (manual.dragStart !== null) {
+            releaseManualDrag();
+            return;
+        }
+        if (!pokeStart) return;
+        const end = canvasPoint(e);
+        const dragX = end.x - pokeStart.x;
+        
+        let impulse;
+        if (Math.abs(dragX) < 5) {
+            const bobX = canvas.width / 2 + state.x * SCALE + pendulumLength * Math.sin(state.theta);
+            impulse = disturbance.pokeImpulse * (pokeStart.x < bobX ? 1 : -1);
+        } else {
+            impulse = disturbance.pokeImpulse * Math.max(-3, Math.min(3, dragX / 50));
+        }
+        
+        disturbance.pulseForce = impulse / POKE_DURATION;
+        disturbance.pulseUntil = state.time + POKE_DURATION;
+        pokeStart = null;
+    });
+
+    // Run export / import
+    document.getElementById('export-csv-btn').addEventListener('click', function() {
+        downloadText(exportCSV(), 'pendulum-run.csv', 'text/csv');
+    });
+
+    document.getElementById('export-json-btn').addEventListener('click', function() {
+        downloadText(exportJSON(), 'pendulum-run.json', 'application/json');
+    });
+
+    document.getElementById('import-file').addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        const status = document.getElementById('import-status');
+        
+        file.text().then(function(text) {
+            ghost = parseRun(text);
+            const duration = ghost.data.time[ghost.data.time.length - 1] || 0;
+            const ghostPlant = ghost.meta.plant === 'double' ? 'double' : 'single';
+            status.textContent = file.name + ' (' + ghost.data.time.length + ' samples, ' +
+                                 duration.toFixed(2) + ' s) をゴースト表示中' +
+                                 (ghostPlant !== plantModel ? ' (' + ghostPlant + ' プラントの記録)' : '');
+            render(state, controlInput);
+            renderCharts();
+        }).catch(function(err) {
+            ghost = null;
+            status.textContent = '読み込みに失敗しました: ' + err.message;
+        });
+        e.target.value = '';
+    });
+
+    document.getElementById('clear-ghost-btn').addEventListener('click', function() {
+        ghost = null;
+        document.getElementById('import-status').textContent = '';
+        render(state, controlInput);
+        renderCharts();
+    });
+
+    document.getElementById('tune-btn').addEventListener('click', function() {
+        const button = this;
+        const theta0 = Math.abs(initialTheta) > 1e-3 && Math.abs(initialTheta) < Math.PI / 2
+            ? initialTheta
+            : 10 * Math.PI / 180;
+        
+        button.disabled = true;
+        button.textContent = 'Tuning...';
+        
+        // Let the button repaint before the synchronous search
+        setTimeout(function() {
+            renderTuneResults(tunePID(theta0));
+            button.disabled = false;
+            button.textContent = 'Tune';
+        }, 20);
+    });
+
+    document.getElementById('basin-btn').addEventListener('click', function() {
+        const button = this;
+        const size = parseInt(document.getElementById('basin-resolution').value, 10);
+        const status = document.getElementById('basin-status');
+        
+        button.disabled = true;
+        mapBasin(size, function(progress) {
+            status.textContent = 'Mapping... ' + Math.round(progress * 100) + '%';
+        }, function(cells) {
+            const share = function(outcome) {
+                const count = cells.filter(function(c) { return c === outcome; }).length;
+                return (100 * count / cells.length).toFixed(1) + '%';
+            };
+            status.textContent = basin.label + ' (' + size + '×' + size + ', ' + BASIN_DURATION + ' s): ' +
+                                 '収束 ' + share('stable') + ', 未収束 ' + share('unsettled') +
+                                 ', 転倒 ' + share('fell') + ', 端に衝突 ' + share('limit');
+            button.disabled = false;
+        });
+    });
+
+    // Controller selection
+    document.getElementById('controller-select').addEventListener('change', function(e) {
+        setControllerMode(e.target.value);
+    });
+
+    // Manual control game
+    document.getElementById('manual-toggle').addEventListener('change', function(e) {
+        manual.enabled = e.target.checked;
+        manual.keys.left = manual.keys.right = false;
+        releaseManualDrag();
+        canvas.style.cursor = manual.enabled ? 'ew-resize' : '';
+        resetState();
+    });
+
+    document.getElementById('assist-slider').addEventListener('input', function(e) {
+        manual.assist = parseFloat(e.target.value) / 100;
+        document.getElementById('assist-value').textContent = e.target.value + '%';
+    });
+
+    document.getElementById('clear-scores-btn').addEventListener('click', function() {
+        saveHighScores([]);
+        renderHighScores();
+    });
+
+    const MANUAL_KEYS = { ArrowLeft: 'left', ArrowRight: 'right' };
+
+    document.addEventListener('keydown', function(e) {
+        if (!manual.enabled || !(e.key in MANUAL_KEYS)) return;
+        // Leave arrow keys alone while a slider or input has focus
+        if (e.target && /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return;
+        manual.keys[MANUAL_KEYS[e.key]] = true;
+        e.preventDefault();
+    });
+
+    document.addEventListener('keyup', function(e) {
+        if (e.key in MANUAL_KEYS) manual.keys[MANUAL_KEYS[e.key]] = false;
+    });
+
+    // State estimation
+    document.getElementById('estimator-toggle').addEventListener('change', function(e) {
+        estimator.enabled = e.target.checked;
+        document.getElementById('estimate-display').hidden = !estimator.enabled;
+        resetEstimator(measureState(state));
+        render(state, controlInput);
+        updateStateDisplay(state, controlInput);
+    });
+
+    document.getElementById('process-noise-slider').addEventListener('input', function(e) {
+        estimator.processNoise = Math.pow(10, parseFloat(e.target.value));
+        document.getElementById('process-noise-value').textContent = estimator.processNoise.toPrecision(3);
+    });
+
+    // Discrete-time controller
+    document.getElementById('discrete-toggle').addEventListener('change', function(e) {
+        discrete.enabled = e.target.checked;
+        resetDiscreteController();
+    });
+
+    document.getElementById('sample-slider').addEventListener('input', function(e) {
+        discrete.period = parseFloat(e.target.value);
+        document.getElementById('sample-value').textContent = discrete.period.toFixed(3);
+        updateDiscreteAnalysis();
+    });
+
+    document.getElementById('hold-select').addEventListener('change', function(e) {
+        discrete.hold = e.target.value;
+        updateDiscreteAnalysis();
+    });
+
+    document.getElementById('delay-slider').addEventListener('input', function(e) {
+        discrete.delay = parseInt(e.target.value, 10);
+        document.getElementById('delay-value').textContent = discrete.delay;
+        discrete.queue = [];
+        updateDiscreteAnalysis();
+    });
+
+    document.getElementById('adc-slider').addEventListener('input', function(e) {
+        discrete.adcBits = parseInt(e.target.value, 10);
+        document.getElementById('adc-value').textContent = discrete.adcBits || 'ideal';
+        updateDiscreteAnalysis();
+    });
+
+    document.getElementById('dac-slider').addEventListener('input', function(e) {
+        discrete.dacBits = parseInt(e.target.value, 10);
+        document.getElementById('dac-value').textContent = discrete.dacBits || 'ideal';
+        updateDiscreteAnalysis();
+    });
+
+    // Integrator and speed
+    document.getElementById('integrator-select').addEventListener('change', function(e) {
+        integrator.method = e.target.value;
+        integrator.h = null;
+        document.getElementById('tolerance-group').hidden = integrator.method !== 'rk45';
+    });
+
+    document.getElementById('tolerance-select').addEventListener('change', function(e) {
+        integrator.tolerance = parseFloat(e.target.value);
+        integrator.h = null;
+    });
+
+    document.getElementById('speed-slider').addEventListener('input', function(e) {
+        speed = Math.pow(10, parseFloat(e.target.value));
+        document.getElementById('speed-value').textContent = speed.toFixed(2) + '×';
+    });
+
+    // LQR weight inputs
+    const LQR_WEIGHT_INPUTS = ['q-x', 'q-xdot', 'q-theta', 'q-thetadot', 'q-theta2', 'q-theta2dot'];
+    LQR_WEIGHT_INPUTS.forEach(function(id, i) {
+        document.getElementById(id).addEventListener('change', function(e) {
+            const value = parseFloat(e.target.value);
+            if (!(value >= 0)) return;
+            lqr.Q[i] = value;
+            updateLQR();
+        });
+    });
+
+    document.getElementById('r-weight').addEventListener('change', function(e) {
+        const value = parseFloat(e.target.value);
+        if (!(value > 0)) return;
+        lqr.R = value;
+        updateLQR();
+    });
+
+    document.getElementById('swingup-toggle').addEventListener('change', function(e) {
+        swingUp.enabled = e.target.checked;
+        
+        // Start from near the hanging position when swing-up is turned on
+        setInitialAngle(swingUp.enabled ? 175 : 10);
+    });
+
+    // Shareable link
+    document.getElementById('copy-link-btn').addEventListener('click', function() {
+        const url = shareUrl();
+        const status = document.getElementById('link-status');
+        window.history.replaceState(null, '', url);
+        
+        const showUrl = function() {
+            status.textContent = url;
+        };
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(function() {
+                status.textContent = 'リンクをコピーしました';
+            }, showUrl);
+        } else {
+            showUrl();
+        }
+    });
+
+    window.addEventListener('hashchange', function() {
+        applyUrlState(window.location.hash);
+    });
+
+    function setInitialAngle(deg) {
+        initialTheta = deg * Math.PI / 180;
+        document.getElementById('theta0-slider').value = deg;
+        document.getElementById('theta0-value').textContent = deg;
+        if (!isRunning) {
+            resetState();
+        }
+    }
+
+    document.getElementById('theta0-slider').addEventListener('input', function(e) {
+        setInitialAngle(parseFloat(e.target.value));
+    });
+
+    // Button handlers
+    document.getElementById('start-btn').addEventListener('click', function() {
+        if (isRunning) {
+            isRunning = false;
+            if (animationId) {
+                cancelAnimationFrame(animationId);
+            }
+            this.textContent = 'Start';
+        } else {
+            // Start after a game over begins a new game
+            if (manual.over) {
+                resetState();
+            }
             isRunning = true;
             this.textContent = 'Pause';
+            lastTime = null;
+            accumulator = 0;
             animationId = requestAnimationFrame(simulate);
         }
     });
@@ -373,6 +3189,10 @@
     // ============================================
     
     function init() {
+        applyUrlState(window.location.hash);
+        updateLQR();
+        updateAnalysis();
+        renderHighScores();
         resetState();
     }
 
@@ -0,0 +1,672 @@
+/**
+ * Circular Restricted Three-Body Problem
+ * Test particles in the rotating frame of two primaries, with numerically
+ * located Lagrange points and Jacobi zero-velocity curves
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================
+    // Systems
+    // ============================================
+
+    /**
+     * Mass ratio μ = m₂ / (m₁ + m₂) and body radii in units of the
+     * primaries' separation. Time is in units of T / 2π.
+     */
+    const SYSTEMS = {
+        'earth-moon': { mu: 0.012150585, radius1: 0.0166, radius2: 0.0045, days: 4.343 },
+        'sun-jupiter': { mu: 0.000953875, radius1: 0.000894, radius2: 0.0000918, days: 690.5 },
+        'pluto-charon': { mu: 0.1085, radius1: 0.0606, radius2: 0.0309, days: 1.0206 }
+    };
+
+    const MAX_STEP = 0.005;       // Upper bound for the RK4 step
+    const MAX_PARTICLES = 40;
+    const TRAIL_LENGTH = 4000;
+    const CORRECTOR_STEP = 1e-3;
+    const CORRECTOR_TOLERANCE = 1e-10;
+
+    /**
+     * Periodic-orbit guesses in Hill units: offsets from the Lagrange point
+     * scaled by its distance γ to the secondary. The differential corrector
+     * refines them for the current μ.
+     */
+    const ORBIT_GUESSES = {
+        'halo-l1': { point: 0, dx: -0.09, z: 0.2, vy: 0.93 },
+        'halo-l2': { point: 1, dx: 0.16, z: 0.13, vy: -1.02 },
+        'lyapunov-l1': { point: 0, dx: -0.05, z: 0, vy: 0.44 }
+    };
+
+    const COLORS = ['#f6ad55', '#68d391', '#63b3ed', '#f687b3', '#faf089', '#b794f4', '#4fd1c5'];
+
+    // ============================================
+    // State Variables
+    // ============================================
+    let system = SYSTEMS['earth-moon'];
+    let lagrangePoints = [];     // [{x, y, C}] for L1..L5
+    let particles = [];          // {s: [x, y, z, vx, vy, vz], trail, color, C0, alive}
+    let jacobiLevel = null;      // C of the latest particle, for the forbidden region
+    let time = 0;
+
+    let view = {
+        plane: 'xy',
+        center: [0, 0, 0],
+        extent: 1.5
+    };
+    let field = null;            // Cached ImageData of the zero-velocity field
+    let drag = null;             // {start, current} while placing a particle
+
+    let speed = 1;               // Time units per second
+    let isRunning = false;
+    let animationId = null;
+
+    // ============================================
+    // Canvas Setup
+    // ============================================
+    const canvas = document.getElementById('cr3bpCanvas');
+    const ctx = canvas.getContext('2d');
+
+    // ============================================
+    // Dynamics
+    // ============================================
+
+    /**
+     * Equations of motion in the rotating frame:
+     * ẍ − 2ẏ = ∂Ω/∂x, ÿ + 2ẋ = ∂Ω/∂y, z̈ = ∂Ω/∂z
+     * with Ω = (x² + y²)/2 + (1 − μ)/r₁ + μ/r₂.
+     */
+    function derivatives(s, mu) {
+        const [x, y, z, vx, vy, vz] = s;
+        const dx1 = x + mu;
+        const dx2 = x - 1 + mu;
+        const r1 = Math.sqrt(dx1 * dx1 + y * y + z * z);
+        const r2 = Math.sqrt(dx2 * dx2 + y * y + z * z);
+        const a = (1 - mu) / (r1 * r1 * r1);
+        const b = mu / (r2 * r2 * r2);
+        return [
+            vx, vy, vz,
+            2 * vy + x - a * dx1 - b * dx2,
+            -2 * vx + y - (a + b) * y,
+            -(a + b) * z
+        ];
+    }
+
+    function rk4Step(s, mu, h) {
+        const k1 = derivatives(s, mu);
+        const s2 = s.map((v, i) => v + h / 2 * k1[i]);
+        const k2 = derivatives(s2, mu);
+        const s3 = s.map((v, i) => v + h / 2 * k2[i]);
+        const k3 = derivatives(s3, mu);
+        const s4 = s.map((v, i) => v + h * k3[i]);
+        const k4 = derivatives(s4, mu);
+        return s.map((v, i) => v + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+    }
+
+    /** Effective potential 2Ω (the z term has no centrifugal part). */
+    function twiceOmega(x, y, z, mu) {
+        const r1 = Math.sqrt((x + mu) * (x + mu) + y * y + z * z);
+        const r2 = Math.sqrt((x - 1 + mu) * (x - 1 + mu) + y * y + z * z);
+        return x * x + y * y + 2 * (1 - mu) / r1 + 2 * mu / r2;
+    }
+
+    /** Jacobi constant C = 2Ω − v², the only integral of the CR3BP. */
+    function jacobiConstant(s, mu) {
+        return twiceOmega(s[0], s[1], s[2], mu) - (s[3] * s[3] + s[4] * s[4] + s[5] * s[5]);
+    }
+
+    /** Distances to both primaries, used for step control and collisions. */
+    function primaryDistances(s, mu) {
+        return [
+            Math.hypot(s[0] + mu, s[1], s[2]),
+            Math.hypot(s[0] - 1 + mu, s[1], s[2])
+        ];
+    }
+
+    /**
+     * RK4 step shrunk near a primary so close passes keep the local
+     * orbital period resolved (h ∝ r^{3/2}).
+     */
+    function stepSize(s, mu) {
+        const [r1, r2] = primaryDistances(s, mu);
+        const r = Math.min(r1, r2);
+        return Math.min(MAX_STEP, 0.02 * Math.pow(r, 1.5));
+    }
+
+    // ============================================
+    // Lagrange Points
+    // ============================================
+
+    /** ∇Ω in the x–y plane: the acceleration of a particle at rest. */
+    function potentialGradient(x, y, mu) {
+        const a = derivatives([x, y, 0, 0, 0, 0], mu);
+        return [a[3], a[4]];
+    }
+
+    /**
+     * Solve ∇Ω = 0 by Newton's method with a finite-difference Hessian,
+     * starting from the usual Hill-sphere and equilateral estimates.
+     */
+    function computeLagrangePoints(mu) {
+        const gamma = Math.cbrt(mu / 3);
+        const guesses = [
+            [1 - mu - gamma, 0],
+            [1 - mu + gamma, 0],
+            [-1 - 5 * mu / 12, 0],
+            [0.5 - mu, Math.sqrt(3) / 2],
+            [0.5 - mu, -Math.sqrt(3) / 2]
+        ];
+
+        return guesses.map(function(guess) {
+            let [x, y] = guess;
+            const h = 1e-6;
+            for (let iter = 0; iter < 50; iter++) {
+                const g = potentialGradient(x, y, mu);
+                const gx = potentialGradient(x + h, y, mu);
+                const gy = potentialGradient(x, y + h, mu);
+                const a = (gx[0] - g[0]) / h, b = (gy[0] - g[0]) / h;
+                const c = (gx[1] - g[1]) / h, d = (gy[1] - g[1]) / h;
+                const det = a * d - b * c;
+                const stepX = (d * g[0] - b * g[1]) / det;
+                const stepY = (-c * g[0] + a * g[1]) / det;
+                x -= stepX;
+                y -= stepY;
+                if (Math.abs(stepX) + Math.abs(stepY) < 1e-13) break;
+            }
+            return { x: x, y: y, C: twiceOmega(x, y, 0, mu) };
+        });
+    }
+
+    // ============================================
+    // Periodic Orbits
+    // ============================================
+
+    /**
+     * Integrate a state starting on the x–z plane until it crosses y = 0
+     * again, then land exactly on the plane with Newton steps in time.
+     */
+    function halfOrbit(s0, mu) {
+        let s = s0.slice();
+        let t = 0;
+        for (let k = 0; k < 100000; k++) {
+            const next = rk4Step(s, mu, CORRECTOR_STEP);
+            t += CORRECTOR_STEP;
+            if (t > 0.05 && s[1] * next[1] <= 0) {
+                let c = next;
+                for (let iter = 0; iter < 4; iter++) {
+                    const dt = -c[1] / derivatives(c, mu)[1];
+                    c = rk4Step(c, mu, dt);
+                    t += dt;
+                }
+                return { state: c, t: t };
+            }
+            s = next;
+        }
+        return null;
+    }
+
+    /**
+     * Single-shooting differential corrector for orbits symmetric about
+     * the x–z plane: start at (x₀, 0, z₀, 0, ẏ₀, 0) and adjust x₀ and ẏ₀
+     * (ẏ₀ alone for planar orbits) until ẋ = ż = 0 at the next y = 0
+     * crossing. The Jacobian is taken by finite differences.
+     */
+    function correctPeriodicOrbit(x0, z0, vy0, mu) {
+        const planar = z0 === 0;
+        const residual = function(x, vy) {
+            const half = halfOrbit([x, 0, z0, 0, vy, 0], mu);
+            return half ? [half.state[3], half.state[5], half.t] : null;
+        };
+
+        for (let iter = 0; iter < 30; iter++) {
+            const F = residual(x0, vy0);
+            if (!F) return null;
+            if (Math.hypot(F[0], F[1]) < CORRECTOR_TOLERANCE) {
+                return { state: [x0, 0, z0, 0, vy0, 0], period: 2 * F[2] };
+            }
+
+            const eps = 1e-7;
+            const Fv = residual(x0, vy0 + eps);
+            if (!Fv) return null;
+            if (planar) {
+                vy0 -= F[0] * eps / (Fv[0] - F[0]);
+                continue;
+            }
+            const Fx = residual(x0 + eps, vy0);
+            if (!Fx) return null;
+            const a = (Fx[0] - F[0]) / eps, b = (Fv[0] - F[0]) / eps;
+            const c = (Fx[1] - F[1]) / eps, d = (Fv[1] - F[1]) / eps;
+            const det = a * d - b * c;
+            x0 -= (d * F[0] - b * F[1]) / det;
+            vy0 -= (-c * F[0] + a * F[1]) / det;
+        }
+        return null;
+    }
+
+    // ============================================
+    // Particles
+    // ============================================
+
+    function addParticle(state) {
+        const particle = {
+            s: state,
+            trail: [],
+            color: COLORS[particles.length % COLORS.length],
+            C0: jacobiConstant(state, system.mu),
+            alive: true
+        };
+        particles.push(particle);
+        if (particles.length > MAX_PARTICLES) particles.shift();
+        setJacobiLevel(particle.C0);
+        return particle;
+    }
+
+    function advanceParticle(p, duration) {
+        const mu = system.mu;
+        let elapsed = 0;
+        while (elapsed < duration && p.alive) {
+            const h = Math.min(stepSize(p.s, mu), duration - elapsed);
+            p.s = rk4Step(p.s, mu, h);
+            elapsed += h;
+
+            const [r1, r2] = primaryDistances(p.s, mu);
+            if (r1 < system.radius1 || r2 < system.radius2) {
+                p.alive = false;
+            }
+        }
+        p.trail.push([p.s[0], p.s[1], p.s[2]]);
+        if (p.trail.length > TRAIL_LENGTH) p.trail.shift();
+    }
+
+    // ============================================
+    // Presets
+    // ============================================
+
+    function setSystem(key) {
+        system = SYSTEMS[key];
+        document.getElementById('cr3bp-system').value = key;
+        document.getElementById('cr3bp-mu').textContent = system.mu.toPrecision(6);
+        document.getElementById('cr3bp-days').textContent = system.days.toFixed(3);
+        lagrangePoints = computeLagrangePoints(system.mu);
+        particles = [];
+        time = 0;
+        setJacobiLevel(null);
+        updateLagrangeTable();
+    }
+
+    function setSpeed(value) {
+        speed = value;
+        document.getElementById('cr3bp-speed-slider').value = value;
+        document.getElementById('cr3bp-speed-value').textContent = value.toFixed(1);
+    }
+
+    function setView(center, extent) {
+        view.center = center;
+        view.extent = extent;
+        field = null;
+    }
+
+    /**
+     * Place a preset orbit. Halo orbits are Earth–Moon examples, the
+     * horseshoe uses Sun–Jupiter where the secondary is light enough.
+     */
+    function applyPreset(key) {
+        particles = [];
+        time = 0;
+
+        if (key === 'horseshoe') {
+            setSystem('sun-jupiter');
+            setSpeed(10);
+            // Circular heliocentric orbit just inside Jupiter's, behind L3
+            const r = 0.992;
+            addParticle([-r, 0, 0, 0, -(Math.sqrt((1 - system.mu) / r) - r), 0]);
+            setView([0, 0, 0], 1.4);
+            return 'Horseshoe: 木星の前後を行き来しながら、L3 を挟んで折り返します';
+        }
+
+        if (key === 'tadpole') {
+            const L4 = lagrangePoints[3];
+            setSpeed(5);
+            addParticle([L4.x + 0.02, L4.y, 0, 0, 0, 0]);
+            setView([0, 0, 0], 1.4);
+            return system.mu < 0.0385
+                ? 'Tadpole: L4 の周りを秤動します'
+                : 'μ > 0.0385 (Routh の臨界値) のため L4 は不安定です';
+        }
+
+        const guess = ORBIT_GUESSES[key];
+        if (key !== 'lyapunov-l1') setSystem('earth-moon');
+        const L = lagrangePoints[guess.point];
+        const gamma = Math.abs(1 - system.mu - L.x);
+        const orbit = correctPeriodicOrbit(L.x + guess.dx * gamma, guess.z * gamma, guess.vy * gamma, system.mu);
+        if (!orbit) {
+            return '微分補正が収束しませんでした';
+        }
+        setSpeed(1);
+        addParticle(orbit.state);
+        setView([L.x, 0, 0], 0.35);
+        return (key === 'lyapunov-l1' ? 'Lyapunov' : 'Halo') + ' 軌道: 周期 T = '
+            + orbit.period.toFixed(4) + ' (' + (orbit.period * system.days).toFixed(2) + ' 日)';
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /** Axis indices shown horizontally and vertically for each view. */
+    function viewAxes() {
+        return { xy: [0, 1], xz: [0, 2], yz: [1, 2] }[view.plane];
+    }
+
+    function pixelsPerUnit() {
+        return canvas.width / 2 / view.extent;
+    }
+
+    function toScreen(p) {
+        const [u, v] = viewAxes();
+        const s = pixelsPerUnit();
+        return [
+            canvas.width / 2 + (p[u] - view.center[u]) * s,
+            canvas.height / 2 - (p[v] - view.center[v]) * s
+        ];
+    }
+
+    /** World point under a canvas pixel (the hidden axis is taken as 0). */
+    function toWorld(px, py) {
+        const [u, v] = viewAxes();
+        const s = pixelsPerUnit();
+        const p = [0, 0, 0];
+        p[u] = view.center[u] + (px - canvas.width / 2) / s;
+        p[v] = view.center[v] - (py - canvas.height / 2) / s;
+        return p;
+    }
+
+    /**
+     * Zero-velocity field in the x–y plane. Motion is only possible where
+     * 2Ω ≥ C, so the region 2Ω < C for the latest particle is shaded and
+     * the curves 2Ω = C_Li are traced where neighbouring pixels straddle
+     * a level.
+     */
+    function buildField() {
+        const w = canvas.width;
+        const h = canvas.height;
+        const image = ctx.createImageData(w, h);
+        const data = image.data;
+        const values = new Float32Array(w * h);
+        const mu = system.mu;
+
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const p = toWorld(i + 0.5, j + 0.5);
+                values[j * w + i] = twiceOmega(p[0], p[1], 0, mu);
+            }
+        }
+
+        const levels = lagrangePoints.map(L => L.C);
+        for (let j = 0; j < h; j++) {
+            for (let i = 0; i < w; i++) {
+                const k = j * w + i;
+                const f = values[k];
+                let color = jacobiLevel !== null && f < jacobiLevel ? [45, 55, 72] : [11, 17, 32];
+
+                const right = i < w - 1 ? values[k + 1] : f;
+                const down = j < h - 1 ? values[k + w] : f;
+                for (const c of levels) {
+                    if ((f - c) * (right - c) < 0 || (f - c) * (down - c) < 0) {
+                        color = [74, 85, 104];
+                    }
+                }
+                if (jacobiLevel !== null
+                    && ((f - jacobiLevel) * (right - jacobiLevel) < 0 || (f - jacobiLevel) * (down - jacobiLevel) < 0)) {
+                    color = [160, 174, 192];
+                }
+
+                data[4 * k] = color[0];
+                data[4 * k + 1] = color[1];
+                data[4 * k + 2] = color[2];
+                data[4 * k + 3] = 255;
+            }
+        }
+        return image;
+    }
+
+    function drawPrimary(x, radius, color, label) {
+        const [px, py] = toScreen([x, 0, 0]);
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(px, py, Math.max(radius * pixelsPerUnit(), 4), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillText(label, px + 8, py + 14);
+    }
+
+    function render() {
+        const w = canvas.width;
+        const h = canvas.height;
+        ctx.font = '12px sans-serif';
+
+        if (view.plane === 'xy') {
+            if (!field) field = buildField();
+            ctx.putImageData(field, 0, 0);
+        } else {
+            ctx.fillStyle = '#0b1120';
+            ctx.fillRect(0, 0, w, h);
+        }
+
+        drawPrimary(-system.mu, system.radius1, '#3182ce', 'm₁');
+        drawPrimary(1 - system.mu, system.radius2, '#a0aec0', 'm₂');
+
+        ctx.fillStyle = '#fc8181';
+        lagrangePoints.forEach(function(L, k) {
+            const [px, py] = toScreen([L.x, L.y, 0]);
+            ctx.fillRect(px - 2, py - 2, 5, 5);
+            ctx.fillText('L' + (k + 1), px + 5, py - 5);
+        });
+
+        particles.forEach(function(p) {
+            ctx.strokeStyle = p.color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            p.trail.forEach(function(point, k) {
+                const [px, py] = toScreen(point);
+                if (k === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+
+            const [px, py] = toScreen(p.s);
+            ctx.fillStyle = p.alive ? p.color : '#718096';
+            ctx.beginPath();
+            ctx.arc(px, py, 3.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Velocity being dragged out for a new particle
+        if (drag) {
+            const [x0, y0] = toScreen(drag.start);
+            const [x1, y1] = toScreen(drag.current);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(x0, y0);
+            ctx.lineTo(x1, y1);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#e2e8f0';
+        ctx.fillText('Rotating frame (' + view.plane.toUpperCase().split('').join('–') + ')', 16, 20);
+    }
+
+    // ============================================
+    // UI Update
+    // ============================================
+
+    function setStatus(text) {
+        document.getElementById('cr3bp-status').textContent = text;
+    }
+
+    function setJacobiLevel(C) {
+        jacobiLevel = C;
+        field = null;
+    }
+
+    function updateLagrangeTable() {
+        lagrangePoints.forEach(function(L, k) {
+            document.getElementById('lagrange-l' + (k + 1)).textContent =
+                '(' + L.x.toFixed(5) + ', ' + L.y.toFixed(5) + ')  C = ' + L.C.toFixed(5);
+        });
+    }
+
+    function updateStateDisplay() {
+        const latest = particles[particles.length - 1];
+        document.getElementById('cr3bp-time').textContent = time.toFixed(2);
+        document.getElementById('cr3bp-count').textContent = particles.filter(p => p.alive).length;
+        document.getElementById('cr3bp-jacobi').textContent = latest ? latest.C0.toFixed(6) : '–';
+        document.getElementById('cr3bp-drift').textContent = latest
+            ? (jacobiConstant(latest.s, system.mu) - latest.C0).toExponential(2)
+            : '–';
+    }
+
+    function refresh() {
+        render();
+        updateStateDisplay();
+    }
+
+    // ============================================
+    // Animation Loop
+    // ============================================
+
+    function simulate() {
+        if (!isRunning) return;
+
+        const duration = speed / 60;
+        particles.forEach(function(p) {
+            if (p.alive) advanceParticle(p, duration);
+        });
+        time += duration;
+
+        refresh();
+
+        if (isRunning) {
+            animationId = requestAnimationFrame(simulate);
+        }
+    }
+
+    function stop() {
+        isRunning = false;
+        if (animationId) {
+            cancelAnimationFrame(animationId);
+        }
+        document.getElementById('cr3bp-start-btn').textContent = 'Start';
+    }
+
+    // ============================================
+    // Event Handlers
+    // ============================================
+
+    function eventPoint(e) {
+        const rect = canvas.getBoundingClientRect();
+        return toWorld(
+            (e.clientX - rect.left) * canvas.width / rect.width,
+            (e.clientY - rect.top) * canvas.height / rect.height
+        );
+    }
+
+    // Press to place a particle, drag to give it a rotating-frame velocity
+    canvas.addEventListener('pointerdown', function(e) {
+        if (view.plane !== 'xy') {
+            setStatus('粒子の配置は X–Y 表示で行ってください');
+            return;
+        }
+        const p = eventPoint(e);
+        drag = { start: p, current: p };
+        canvas.setPointerCapture(e.pointerId);
+    });
+
+    canvas.addEventListener('pointermove', function(e) {
+        if (!drag) return;
+        drag.current = eventPoint(e);
+        render();
+    });
+
+    canvas.addEventListener('pointerup', function() {
+        if (!drag) return;
+        const { start, current } = drag;
+        drag = null;
+        addParticle([start[0], start[1], 0, current[0] - start[0], current[1] - start[1], 0]);
+        setStatus('粒子を追加しました (C = ' + jacobiLevel.toFixed(4) + ')');
+        refresh();
+    });
+
+    // Zoom about the cursor
+    canvas.addEventListener('wheel', function(e) {
+        e.preventDefault();
+        const before = eventPoint(e);
+        view.extent *= e.deltaY < 0 ? 1 / 1.2 : 1.2;
+        const after = eventPoint(e);
+        const [u, v] = viewAxes();
+        view.center[u] += before[u] - after[u];
+        view.center[v] += before[v] - after[v];
+        field = null;
+        refresh();
+    }, { passive: false });
+
+    document.getElementById('cr3bp-system').addEventListener('change', function(e) {
+        stop();
+        setSystem(e.target.value);
+        setView([0, 0, 0], 1.5);
+        setStatus('');
+        refresh();
+    });
+
+    document.getElementById('cr3bp-place-btn').addEventListener('click', function() {
+        const key = document.getElementById('cr3bp-preset').value;
+        setStatus(applyPreset(key));
+        refresh();
+    });
+
+    document.getElementById('cr3bp-view').addEventListener('change', function(e) {
+        view.plane = e.target.value;
+        refresh();
+    });
+
+    document.getElementById('cr3bp-speed-slider').addEventListener('input', function(e) {
+        speed = parseFloat(e.target.value);
+        document.getElementById('cr3bp-speed-value').textContent = speed.toFixed(1);
+    });
+
+    // Button handlers
+    document.getElementById('cr3bp-start-btn').addEventListener('click', function() {
+        if (isRunning) {
+            stop();
+        } else {
+            isRunning = true;
+            this.textContent = 'Pause';
+            animationId = requestAnimationFrame(simulate);
+        }
+    });
+
+    document.getElementById('cr3bp-clear-btn').addEventListener('click', function() {
+        particles = [];
+        time = 0;
+        setJacobiLevel(null);
+        setStatus('');
+        refresh();
+    });
+
+    document.getElementById('cr3bp-view-btn').addEventListener('click', function() {
+        setView([0, 0, 0], 1.5);
+        refresh();
+    });
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        setSystem('earth-moon');
+        refresh();
+    }
+
+    init();
+
+})();
@@ -0,0 +1,819 @@
+/**
+ * Orbital Mechanics Simulation
+ * Two-body / patched-conic propagation with a leapfrog integrator,
+ * impulsive burns and a Hohmann transfer planner
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================
+    // Physical Constants
+    // ============================================
+    const EARTH = {
+        name: 'Earth',
+        mu: 398600.4418,  // Gravitational parameter [km^3/s^2]
+        radius: 6378.137  // Equatorial radius [km]
+    };
+
+    const MOON = {
+        name: 'Moon',
+        mu: 4902.800,     // [km^3/s^2]
+        radius: 1737.4,   // [km]
+        distance: 384400  // Circular orbit radius about the Earth [km]
+    };
+    // Laplace sphere of influence r_SOI = a (μ_moon / μ_earth)^(2/5)
+    MOON.soi = MOON.distance * Math.pow(MOON.mu / EARTH.mu, 0.4);
+    MOON.meanMotion = Math.sqrt(EARTH.mu / Math.pow(MOON.distance, 3));
+
+    const DEG = Math.PI / 180;
+
+    // Leapfrog step as a fraction of the periapsis time scale r_p / v_p
+    const STEP_FRACTION = 0.01;
+    const MAX_STEPS_PER_FRAME = 20000;
+    const TRAIL_LENGTH = 3000;
+    const NODE_PICK_RADIUS = 15; // [px]
+
+    // ============================================
+    // State Variables
+    // ============================================
+    let craft = {
+        r: [0, 0, 0],     // Position relative to the central body [km]
+        v: [0, 0, 0],     // Velocity relative to the central body [km/s]
+        central: EARTH
+    };
+
+    let time = 0;          // Mission elapsed time [s]
+    let dt = 1;            // Current leapfrog step [s]
+    let energy0 = 0;       // Specific energy at the start of the current conic
+    let trail = [];        // Earth-frame positions
+    let crashed = false;
+
+    let moon = {
+        enabled: false,
+        phase0: 60 * DEG   // Moon's angle at t = 0
+    };
+
+    // Selected maneuver node: a direction in the central-body frame
+    let node = null;       // { direction, scheduled }
+    let burn = { prograde: 0, normal: 0, radial: 0 }; // [km/s]
+    let target = null;     // Hohmann target orbit radius [km]
+
+    let view = {
+        plane: 'xy',       // 'xy' (top) | 'xz' (side)
+        extent: 20000,     // Half-width of the view [km]
+        zoom: 1
+    };
+
+    let timeWarp = 300;
+    let isRunning = false;
+    let animationId = null;
+
+    // ============================================
+    // Canvas Setup
+    // ============================================
+    const canvas = document.getElementById('orbitCanvas');
+    const ctx = canvas.getContext('2d');
+
+    // ============================================
+    // Vector Helpers
+    // ============================================
+
+    function add(a, b) { return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]; }
+    function sub(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+    function scale(a, s) { return [a[0] * s, a[1] * s, a[2] * s]; }
+    function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+    function norm(a) { return Math.sqrt(dot(a, a)); }
+    function unit(a) { return scale(a, 1 / norm(a)); }
+
+    function cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+
+    // ============================================
+    // Orbital Elements
+    // ============================================
+
+    /**
+     * Perifocal basis (P toward periapsis, Q 90° ahead in the orbit plane)
+     * from the 3-1-3 rotation R3(-Ω) R1(-i) R3(-ω).
+     */
+    function perifocalBasis(i, raan, argp) {
+        const cO = Math.cos(raan), sO = Math.sin(raan);
+        const ci = Math.cos(i), si = Math.sin(i);
+        const cw = Math.cos(argp), sw = Math.sin(argp);
+        return {
+            P: [cO * cw - sO * sw * ci, sO * cw + cO * sw * ci, sw * si],
+            Q: [-cO * sw - sO * cw * ci, -sO * sw + cO * cw * ci, cw * si]
+        };
+    }
+
+    /**
+     * Classical elements {a, e, i, raan, argp, nu} to position and velocity.
+     * p = a(1 - e²), r = p / (1 + e cos ν)
+     */
+    function elementsToState(el, mu) {
+        const { P, Q } = perifocalBasis(el.i, el.raan, el.argp);
+        const p = el.a * (1 - el.e * el.e);
+        const r = p / (1 + el.e * Math.cos(el.nu));
+        const vScale = Math.sqrt(mu / p);
+        return {
+            r: add(scale(P, r * Math.cos(el.nu)), scale(Q, r * Math.sin(el.nu))),
+            v: add(scale(P, -vScale * Math.sin(el.nu)), scale(Q, vScale * (el.e + Math.cos(el.nu))))
+        };
+    }
+
+    /**
+     * Position and velocity to classical elements. Circular and equatorial
+     * orbits fall back to the ascending node or the x axis as reference, so
+     * ω and ν stay defined. Also returns the perifocal basis for drawing.
+     */
+    function stateToElements(r, v, mu) {
+        const rMag = norm(r);
+        const vMag = norm(v);
+        const h = cross(r, v);
+        const hMag = norm(h);
+        const hHat = scale(h, 1 / hMag);
+        const nodeVec = cross([0, 0, 1], h);
+        const nMag = norm(nodeVec);
+
+        const eVec = scale(sub(scale(r, vMag * vMag - mu / rMag), scale(v, dot(r, v))), 1 / mu);
+        const e = norm(eVec);
+        const energy = vMag * vMag / 2 - mu / rMag;
+        const a = -mu / (2 * energy);
+        const i = Math.acos(Math.max(-1, Math.min(1, h[2] / hMag)));
+
+        const nHat = nMag > 1e-9 * hMag ? scale(nodeVec, 1 / nMag) : [1, 0, 0];
+        const P = e > 1e-9 ? scale(eVec, 1 / e) : nHat;
+        const Q = cross(hHat, P);
+
+        const raan = nMag > 1e-9 * hMag ? Math.atan2(nodeVec[1], nodeVec[0]) : 0;
+        const argp = Math.atan2(dot(cross(nHat, P), hHat), dot(nHat, P));
+        const nu = Math.atan2(dot(r, Q), dot(r, P));
+
+        return { a, e, i, raan, argp, nu, energy, p: hMag * hMag / mu, P, Q, h: hHat };
+    }
+
+    /** Orbital period [s], or Infinity for escape trajectories. */
+    function orbitalPeriod(el, mu) {
+        return el.e < 1 ? 2 * Math.PI * Math.sqrt(Math.pow(el.a, 3) / mu) : Infinity;
+    }
+
+    function periapsisRadius(el) {
+        return el.p / (1 + el.e);
+    }
+
+    function apoapsisRadius(el) {
+        return el.e < 1 ? el.p / (1 - el.e) : Infinity;
+    }
+
+    /**
+     * Sample the conic r(ν) = p / (1 + e cos ν). Open orbits are cut where
+     * they leave `maxRadius` so the asymptotes stay on screen.
+     */
+    function conicPoints(el, maxRadius, samples) {
+        const points = [];
+        let nuMin = -Math.PI;
+        let nuMax = Math.PI;
+        if (el.e >= 1) {
+            const nuInf = Math.acos(-1 / el.e);
+            nuMin = -nuInf + 1e-3;
+            nuMax = nuInf - 1e-3;
+        }
+        for (let k = 0; k <= samples; k++) {
+            const nu = nuMin + (nuMax - nuMin) * k / samples;
+            const r = el.p / (1 + el.e * Math.cos(nu));
+            if (r < 0 || r > maxRadius) continue;
+            points.push({
+                nu: nu,
+                pos: add(scale(el.P, r * Math.cos(nu)), scale(el.Q, r * Math.sin(nu)))
+            });
+        }
+        return points;
+    }
+
+    // ============================================
+    // Propagation
+    // ============================================
+
+    function moonState(t) {
+        const angle = moon.phase0 + MOON.meanMotion * t;
+        const speed = MOON.distance * MOON.meanMotion;
+        return {
+            r: [MOON.distance * Math.cos(angle), MOON.distance * Math.sin(angle), 0],
+            v: [-speed * Math.sin(angle), speed * Math.cos(angle), 0]
+        };
+    }
+
+    function acceleration(r, mu) {
+        const rMag = norm(r);
+        return scale(r, -mu / (rMag * rMag * rMag));
+    }
+
+    /**
+     * Leapfrog (kick-drift-kick). It is symplectic, so with a fixed step
+     * the energy error stays bounded instead of drifting like RK4's.
+     */
+    function leapfrogStep(state, mu, h) {
+        const vHalf = add(state.v, scale(acceleration(state.r, mu), h / 2));
+        const r = add(state.r, scale(vHalf, h));
+        const v = add(vHalf, scale(acceleration(r, mu), h / 2));
+        return { r, v };
+    }
+
+    /**
+     * Pick a fixed step for the current conic from its periapsis time scale.
+     * Called only when the conic changes (burns, SOI transitions), which
+     * keeps each arc a constant-step symplectic integration.
+     */
+    function startConic() {
+        const mu = craft.central.mu;
+        const el = stateToElements(craft.r, craft.v, mu);
+        const rp = periapsisRadius(el);
+        const vp = Math.sqrt(mu * (2 / rp - 1 / el.a));
+        dt = Math.max(0.05, STEP_FRACTION * rp / vp);
+        energy0 = el.energy;
+    }
+
+    /** Earth-centred position of the craft. */
+    function craftEarthPosition() {
+        return craft.central === MOON ? add(moonState(time).r, craft.r) : craft.r;
+    }
+
+    /**
+     * Patched conics: inside the Moon's sphere of influence only the Moon
+     * pulls, outside only the Earth. Crossing the boundary re-expresses the
+     * state relative to the new central body.
+     */
+    function checkSphereOfInfluence() {
+        if (!moon.enabled) return;
+        const m = moonState(time);
+        if (craft.central === EARTH && norm(sub(craft.r, m.r)) < MOON.soi) {
+            craft = { r: sub(craft.r, m.r), v: sub(craft.v, m.v), central: MOON };
+            startConic();
+            setStatus('月の影響圏に入りました');
+        } else if (craft.central === MOON && norm(craft.r) > MOON.soi) {
+            craft = { r: add(craft.r, m.r), v: add(craft.v, m.v), central: EARTH };
+            startConic();
+            setStatus('月の影響圏を出ました');
+        }
+    }
+
+    /**
+     * A scheduled node fires when the craft sweeps past its direction:
+     * the component of r × n̂ along h changes sign while r points at n̂.
+     */
+    function passedNode(rBefore, rAfter) {
+        const h = cross(craft.r, craft.v);
+        const before = dot(h, cross(rBefore, node.direction));
+        const after = dot(h, cross(rAfter, node.direction));
+        return before > 0 && after <= 0 && dot(rAfter, node.direction) > 0;
+    }
+
+    function advance(duration) {
+        let steps = Math.ceil(duration / dt);
+        if (steps > MAX_STEPS_PER_FRAME) steps = MAX_STEPS_PER_FRAME;
+
+        for (let s = 0; s < steps && !crashed; s++) {
+            const before = craft.r;
+            const next = leapfrogStep(craft, craft.central.mu, dt);
+            craft.r = next.r;
+            craft.v = next.v;
+            time += dt;
+
+            if (norm(craft.r) < craft.central.radius) {
+                crashed = true;
+                stop();
+                setStatus((craft.central === EARTH ? '地球' : '月') + 'の表面に衝突しました');
+                break;
+            }
+            if (node && node.scheduled && passedNode(before, craft.r)) {
+                applyBurn(burn);
+                node = null;
+                setStatus('予定していた噴射を実行しました');
+            }
+            checkSphereOfInfluence();
+        }
+        return steps * dt;
+    }
+
+    // ============================================
+    // Maneuvers
+    // ============================================
+
+    /**
+     * Local burn frame: prograde along v, normal along h = r × v,
+     * radial-out completing the right-handed set (v̂ × ĥ).
+     */
+    function burnVector(r, v, dv) {
+        const t = unit(v);
+        const n = unit(cross(r, v));
+        const rad = cross(t, n);
+        return add(add(scale(t, dv.prograde), scale(n, dv.normal)), scale(rad, dv.radial));
+    }
+
+    function applyBurn(dv) {
+        craft.v = add(craft.v, burnVector(craft.r, craft.v, dv));
+        startConic();
+    }
+
+    /** State at the selected node on the current conic. */
+    function nodeState() {
+        const mu = craft.central.mu;
+        const el = stateToElements(craft.r, craft.v, mu);
+        const nu = Math.atan2(dot(node.direction, el.Q), dot(node.direction, el.P));
+        return elementsToState(Object.assign({}, el, { nu: nu }), mu);
+    }
+
+    /** Conic that results from burning at the node (for the preview). */
+    function previewElements() {
+        if (!node) return null;
+        const s = nodeState();
+        const v = add(s.v, burnVector(s.r, s.v, burn));
+        return stateToElements(s.r, v, craft.central.mu);
+    }
+
+    // ============================================
+    // Hohmann Transfer
+    // ============================================
+
+    /**
+     * Two-impulse transfer between circular orbits r₁ → r₂:
+     * Δv₁ = √(μ/r₁)(√(2r₂/(r₁+r₂)) − 1), Δv₂ = √(μ/r₂)(1 − √(2r₁/(r₁+r₂))),
+     * time of flight π√(a_t³/μ) with a_t = (r₁+r₂)/2.
+     */
+    function hohmann(r1, r2, mu) {
+        const at = (r1 + r2) / 2;
+        const dv1 = Math.sqrt(mu / r1) * (Math.sqrt(2 * r2 / (r1 + r2)) - 1);
+        const dv2 = Math.sqrt(mu / r2) * (1 - Math.sqrt(2 * r1 / (r1 + r2)));
+        return { dv1, dv2, total: Math.abs(dv1) + Math.abs(dv2), tof: Math.PI * Math.sqrt(at * at * at / mu) };
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    function project(p) {
+        return view.plane === 'xy' ? [p[0], -p[1]] : [p[0], -p[2]];
+    }
+
+    function toScreen(p) {
+        const s = canvas.width / 2 / (view.extent / view.zoom);
+        const q = project(p);
+        return [canvas.width / 2 + q[0] * s, canvas.height / 2 + q[1] * s];
+    }
+
+    function pixelsPerKm() {
+        return canvas.width / 2 / (view.extent / view.zoom);
+    }
+
+    function drawPath(points, offset) {
+        if (points.length < 2) return;
+        ctx.beginPath();
+        points.forEach(function(point, k) {
+            const [x, y] = toScreen(add(point.pos || point, offset));
+            if (k === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+
+    function drawBody(position, radius, color) {
+        const [x, y] = toScreen(position);
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, Math.max(3, radius * pixelsPerKm()), 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    function drawApsis(el, nu, label, offset) {
+        const r = el.p / (1 + el.e * Math.cos(nu));
+        const pos = add(add(scale(el.P, r * Math.cos(nu)), scale(el.Q, r * Math.sin(nu))), offset);
+        const [x, y] = toScreen(pos);
+        ctx.fillStyle = '#2c5282';
+        ctx.beginPath();
+        ctx.arc(x, y, 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillText(label, x + 5, y - 5);
+    }
+
+    function render() {
+        const width = canvas.width;
+        const height = canvas.height;
+        const offset = craft.central === MOON ? moonState(time).r : [0, 0, 0];
+        const maxRadius = 4 * view.extent / view.zoom;
+
+        ctx.fillStyle = '#0b1120';
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = '12px sans-serif';
+
+        // Bodies
+        drawBody([0, 0, 0], EARTH.radius, '#3182ce');
+        if (moon.enabled) {
+            const m = moonState(time).r;
+            drawBody(m, MOON.radius, '#a0aec0');
+            const [mx, my] = toScreen(m);
+            ctx.strokeStyle = 'rgba(160, 174, 192, 0.5)';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.arc(mx, my, MOON.soi * pixelsPerKm(), 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Hohmann target orbit
+        if (target) {
+            ctx.strokeStyle = 'rgba(72, 187, 120, 0.8)';
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.arc(width / 2, height / 2, target * pixelsPerKm(), 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Trail
+        ctx.strokeStyle = 'rgba(237, 137, 54, 0.35)';
+        ctx.lineWidth = 1;
+        drawPath(trail, [0, 0, 0]);
+
+        // Current conic with apsides
+        const el = stateToElements(craft.r, craft.v, craft.central.mu);
+        ctx.strokeStyle = '#63b3ed';
+        ctx.lineWidth = 1.5;
+        drawPath(conicPoints(el, maxRadius, 360), offset);
+        drawApsis(el, 0, 'Pe', offset);
+        if (el.e < 1) drawApsis(el, Math.PI, 'Ap', offset);
+
+        // Maneuver node and preview
+        if (node) {
+            const preview = previewElements();
+            ctx.strokeStyle = '#f6ad55';
+            ctx.setLineDash([6, 4]);
+            drawPath(conicPoints(preview, maxRadius, 360), offset);
+            ctx.setLineDash([]);
+
+            const [nx, ny] = toScreen(add(nodeState().r, offset));
+            ctx.strokeStyle = node.scheduled ? '#f6ad55' : '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(nx, ny, 7, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Spacecraft with velocity direction
+        const pos = add(craft.r, offset);
+        const [cx, cy] = toScreen(pos);
+        const [vx, vy] = project(unit(craft.v));
+        ctx.strokeStyle = '#fc8181';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(cx + vx * 18, cy + vy * 18);
+        ctx.stroke();
+        ctx.fillStyle = crashed ? '#718096' : '#f56565';
+        ctx.beginPath();
+        ctx.arc(cx, cy, 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Scale bar
+        const barKm = niceLength(view.extent / view.zoom / 3);
+        const barPx = barKm * pixelsPerKm();
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.fillStyle = '#e2e8f0';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(16, height - 16);
+        ctx.lineTo(16 + barPx, height - 16);
+        ctx.stroke();
+        ctx.fillText(barKm.toLocaleString() + ' km', 16, height - 22);
+        ctx.fillText(view.plane === 'xy' ? 'Top view (X–Y)' : 'Side view (X–Z)', 16, 20);
+    }
+
+    /** Round a length down to 1, 2 or 5 × 10^k. */
+    function niceLength(x) {
+        const p = Math.pow(10, Math.floor(Math.log10(x)));
+        const m = x / p;
+        return (m >= 5 ? 5 : m >= 2 ? 2 : 1) * p;
+    }
+
+    // ============================================
+    // UI Update
+    // ============================================
+
+    function formatDuration(seconds) {
+        if (!Number.isFinite(seconds)) return '∞';
+        const days = Math.floor(seconds / 86400);
+        const rest = seconds - days * 86400;
+        const h = Math.floor(rest / 3600);
+        const m = Math.floor((rest % 3600) / 60);
+        const s = Math.floor(rest % 60);
+        const hms = [h, m, s].map(x => String(x).padStart(2, '0')).join(':');
+        return days > 0 ? days + ' d ' + hms : hms;
+    }
+
+    function formatAltitude(r, body) {
+        return Number.isFinite(r) ? Math.round(r - body.radius).toLocaleString() : '∞';
+    }
+
+    function setStatus(text) {
+        document.getElementById('orbit-status').textContent = text;
+    }
+
+    function updateReadout() {
+        const body = craft.central;
+        const el = stateToElements(craft.r, craft.v, body.mu);
+        const drift = energy0 !== 0 ? (el.energy - energy0) / Math.abs(energy0) : 0;
+
+        document.getElementById('readout-central').textContent = body === EARTH ? '地球' : '月';
+        document.getElementById('readout-time').textContent = formatDuration(time);
+        document.getElementById('readout-alt').textContent = formatAltitude(norm(craft.r), body);
+        document.getElementById('readout-speed').textContent = norm(craft.v).toFixed(3);
+        document.getElementById('readout-pe').textContent = formatAltitude(periapsisRadius(el), body);
+        document.getElementById('readout-ap').textContent = formatAltitude(apoapsisRadius(el), body);
+        document.getElementById('readout-period').textContent = formatDuration(orbitalPeriod(el, body.mu));
+        document.getElementById('readout-a').textContent = el.e < 1 ? Math.round(el.a).toLocaleString() : '–';
+        document.getElementById('readout-e').textContent = el.e.toFixed(4);
+        document.getElementById('readout-i').textContent = (el.i / DEG).toFixed(2);
+        document.getElementById('readout-energy').textContent = el.energy.toFixed(4);
+        document.getElementById('readout-drift').textContent = drift.toExponential(2);
+        document.getElementById('readout-dt').textContent = dt.toFixed(2);
+
+        const preview = previewElements();
+        document.getElementById('node-info').textContent = node
+            ? (node.scheduled ? '予定済み: ' : '選択中: ')
+              + 'Pe ' + formatAltitude(periapsisRadius(preview), body) + ' km / Ap '
+              + formatAltitude(apoapsisRadius(preview), body) + ' km / T '
+              + formatDuration(orbitalPeriod(preview, body.mu))
+            : '軌道上をクリックしてノードを選択';
+        document.getElementById('burn-total').textContent =
+            Math.sqrt(burn.prograde ** 2 + burn.normal ** 2 + burn.radial ** 2).toFixed(3);
+    }
+
+    /** Frame the view on the current orbit (and the Moon when it is on). */
+    function fitView() {
+        const el = stateToElements(craft.r, craft.v, craft.central.mu);
+        let extent = craft.central === EARTH
+            ? Math.min(apoapsisRadius(el), 4 * norm(craft.r))
+            : MOON.distance;
+        if (target) extent = Math.max(extent, target);
+        if (moon.enabled) extent = Math.max(extent, MOON.distance + MOON.soi);
+        view.extent = 1.15 * Math.max(extent, 2 * EARTH.radius);
+        view.zoom = 1;
+    }
+
+    // ============================================
+    // Animation Loop
+    // ============================================
+
+    function simulate() {
+        if (!isRunning) return;
+
+        const wanted = timeWarp / 60;
+        const covered = advance(wanted);
+        document.getElementById('warp-effective').textContent = Math.round(covered * 60).toLocaleString();
+
+        trail.push(craftEarthPosition());
+        if (trail.length > TRAIL_LENGTH) trail.shift();
+
+        render();
+        updateReadout();
+
+        if (isRunning) {
+            animationId = requestAnimationFrame(simulate);
+        }
+    }
+
+    function stop() {
+        isRunning = false;
+        if (animationId) {
+            cancelAnimationFrame(animationId);
+        }
+        document.getElementById('start-btn').textContent = 'Start';
+    }
+
+    function refresh() {
+        render();
+        updateReadout();
+    }
+
+    // ============================================
+    // Event Handlers
+    // ============================================
+
+    function readNumber(id) {
+        return parseFloat(document.getElementById(id).value);
+    }
+
+    /** Place the craft on the orbit described by the element inputs. */
+    function setOrbitFromInputs() {
+        const el = {
+            a: readNumber('el-a'),
+            e: readNumber('el-e'),
+            i: readNumber('el-i') * DEG,
+            raan: readNumber('el-raan') * DEG,
+            argp: readNumber('el-argp') * DEG,
+            nu: readNumber('el-nu') * DEG
+        };
+        if (!(el.a > 0) || !(el.e >= 0 && el.e < 1)) {
+            setStatus('a > 0, 0 ≤ e < 1 の楕円軌道を入力してください');
+            return false;
+        }
+        if (el.a * (1 - el.e) <= EARTH.radius) {
+            setStatus('近点が地表より下です (r_p = ' + Math.round(el.a * (1 - el.e)) + ' km)');
+            return false;
+        }
+        const s = elementsToState(el, EARTH.mu);
+        craft = { r: s.r, v: s.v, central: EARTH };
+        resetMission();
+        setStatus('軌道を設定しました');
+        return true;
+    }
+
+    function resetMission() {
+        time = 0;
+        trail = [];
+        crashed = false;
+        node = null;
+        startConic();
+        fitView();
+        refresh();
+    }
+
+    canvas.addEventListener('click', function(e) {
+        const rect = canvas.getBoundingClientRect();
+        const px = (e.clientX - rect.left) * canvas.width / rect.width;
+        const py = (e.clientY - rect.top) * canvas.height / rect.height;
+        const offset = craft.central === MOON ? moonState(time).r : [0, 0, 0];
+        const el = stateToElements(craft.r, craft.v, craft.central.mu);
+
+        let best = null;
+        let bestDist = NODE_PICK_RADIUS;
+        conicPoints(el, 4 * view.extent / view.zoom, 720).forEach(function(point) {
+            const [x, y] = toScreen(add(point.pos, offset));
+            const d = Math.hypot(x - px, y - py);
+            if (d < bestDist) {
+                bestDist = d;
+                best = point;
+            }
+        });
+
+        if (best) {
+            node = { direction: unit(best.pos), scheduled: false };
+            setStatus('ノードを選択しました。Δv を設定して予約または即時噴射してください');
+        }
+        refresh();
+    });
+
+    canvas.addEventListener('wheel', function(e) {
+        e.preventDefault();
+        view.zoom = Math.max(0.05, Math.min(50, view.zoom * (e.deltaY < 0 ? 1.2 : 1 / 1.2)));
+        refresh();
+    }, { passive: false });
+
+    ['prograde', 'normal', 'radial'].forEach(function(key) {
+        document.getElementById('burn-' + key).addEventListener('input', function(e) {
+            const value = parseFloat(e.target.value);
+            burn[key] = Number.isFinite(value) ? value : 0;
+            refresh();
+        });
+    });
+
+    document.getElementById('schedule-btn').addEventListener('click', function() {
+        if (!node) {
+            setStatus('先に軌道上をクリックしてノードを選択してください');
+            return;
+        }
+        node.scheduled = true;
+        setStatus('ノード通過時に噴射します');
+        refresh();
+    });
+
+    document.getElementById('burn-now-btn').addEventListener('click', function() {
+        if (crashed) return;
+        applyBurn(burn);
+        node = null;
+        setStatus('現在位置で噴射しました');
+        refresh();
+    });
+
+    document.getElementById('clear-node-btn').addEventListener('click', function() {
+        node = null;
+        refresh();
+    });
+
+    /** Departure and target radii from the planner inputs, or null if invalid. */
+    function readHohmannRadii() {
+        const r1 = EARTH.radius + readNumber('hohmann-h1');
+        const r2 = EARTH.radius + readNumber('hohmann-h2');
+        if (!(r1 > EARTH.radius) || !(r2 > EARTH.radius)) {
+            setStatus('高度は正の値を入力してください');
+            return null;
+        }
+        return { r1, r2 };
+    }
+
+    function showHohmannPlan(plan) {
+        document.getElementById('hohmann-dv1').textContent = plan.dv1.toFixed(4);
+        document.getElementById('hohmann-dv2').textContent = plan.dv2.toFixed(4);
+        document.getElementById('hohmann-total').textContent = plan.total.toFixed(4);
+        document.getElementById('hohmann-tof').textContent = formatDuration(plan.tof);
+    }
+
+    document.getElementById('hohmann-btn').addEventListener('click', function() {
+        const radii = readHohmannRadii();
+        if (radii) showHohmannPlan(hohmann(radii.r1, radii.r2, EARTH.mu));
+    });
+
+    /**
+     * Put the craft on the circular departure orbit, fire Δv₁ now and
+     * schedule Δv₂ at the opposite apsis of the transfer ellipse.
+     */
+    document.getElementById('hohmann-setup-btn').addEventListener('click', function() {
+        const radii = readHohmannRadii();
+        if (!radii) return;
+        const plan = hohmann(radii.r1, radii.r2, EARTH.mu);
+        showHohmannPlan(plan);
+
+        const s = elementsToState({ a: radii.r1, e: 0, i: 0, raan: 0, argp: 0, nu: 0 }, EARTH.mu);
+        craft = { r: s.r, v: s.v, central: EARTH };
+        target = radii.r2;
+        resetMission();
+
+        applyBurn({ prograde: plan.dv1, normal: 0, radial: 0 });
+        node = { direction: unit(scale(craft.r, -1)), scheduled: true };
+        burn = { prograde: plan.dv2, normal: 0, radial: 0 };
+        document.getElementById('burn-prograde').value = plan.dv2.toFixed(4);
+        document.getElementById('burn-normal').value = 0;
+        document.getElementById('burn-radial').value = 0;
+        setStatus('Δv₁ を噴射しました。Δv₂ は ' + formatDuration(plan.tof) + ' 後の遠点で噴射されます');
+        refresh();
+    });
+
+    document.getElementById('moon-toggle').addEventListener('change', function(e) {
+        moon.enabled = e.target.checked;
+        if (!moon.enabled && craft.central === MOON) {
+            const m = moonState(time);
+            craft = { r: add(craft.r, m.r), v: add(craft.v, m.v), central: EARTH };
+            startConic();
+        }
+        fitView();
+        refresh();
+    });
+
+    document.getElementById('moon-phase-slider').addEventListener('input', function(e) {
+        const deg = parseFloat(e.target.value);
+        document.getElementById('moon-phase-value').textContent = deg;
+        // Keep the Moon's current position consistent with the new phase
+        moon.phase0 = deg * DEG - MOON.meanMotion * time;
+        refresh();
+    });
+
+    document.getElementById('view-select').addEventListener('change', function(e) {
+        view.plane = e.target.value;
+        refresh();
+    });
+
+    // The warp slider is logarithmic: value v means 10^v
+    document.getElementById('warp-slider').addEventListener('input', function(e) {
+        timeWarp = Math.round(Math.pow(10, parseFloat(e.target.value)));
+        document.getElementById('warp-value').textContent = timeWarp.toLocaleString();
+    });
+
+    document.getElementById('set-orbit-btn').addEventListener('click', function() {
+        stop();
+        target = null;
+        setOrbitFromInputs();
+    });
+
+    // Button handlers
+    document.getElementById('start-btn').addEventListener('click', function() {
+        if (isRunning) {
+            stop();
+        } else if (!crashed) {
+            isRunning = true;
+            this.textContent = 'Pause';
+            animationId = requestAnimationFrame(simulate);
+        }
+    });
+
+    document.getElementById('reset-btn').addEventListener('click', function() {
+        stop();
+        target = null;
+        setOrbitFromInputs();
+    });
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        setOrbitFromInputs();
+    }
+
+    init();
+
+})();
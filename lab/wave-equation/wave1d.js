@@ -0,0 +1,731 @@
+/**
+ * 1D Wave Equation Simulation
+ * Explicit central-difference scheme on a fixed-end string
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================
+    // Parameters
+    // ============================================
+    const PARAMS = {
+        L: 1.0,       // String length [m]
+        c: 1.0,       // Wave speed [m/s]
+        dx: 0.01,     // Grid spacing [m]
+        dt: 0.005,    // Time step [s]
+        amplitude: 0.1, // Initial amplitude [m]
+        damping: 0    // Damping coefficient γ in u_tt + γu_t = c²u_xx [1/s]
+    };
+
+    // Boundary condition per end: 'fixed' | 'free' | 'periodic' | 'mur' | 'sponge'
+    let boundary = {
+        left: 'fixed',
+        right: 'fixed'
+    };
+
+    // Sponge layer width as a fraction of L
+    const SPONGE_FRACTION = 0.3;
+
+    // Number of standing-wave modes shown in the mode panel
+    const MODE_COUNT = 16;
+
+    // Initial shape selection
+    let shape = {
+        type: 'pluck', // 'pluck' | 'gaussian' | 'sine' | 'modes'
+        position: 0.3, // Pluck / pulse centre as a fraction of L
+        mode: 2,       // Sine mode number
+        modeAmplitudes: new Float64Array(MODE_COUNT) // b_n for the 'modes' shape
+    };
+    shape.modeAmplitudes[0] = PARAMS.amplitude;
+
+    // Amplitude beyond which the run is treated as diverged
+    const BLOWUP_LIMIT = 1e3;
+
+    // Cap on solver steps per animation frame
+    const MAX_STEPS_PER_FRAME = 200;
+
+    // ============================================
+    // State Variables
+    // ============================================
+    let grid = {
+        n: 0,         // Number of grid points including both ends
+        uPrev: null,  // u^{n-1}
+        u: null,      // u^n
+        uNext: null,  // u^{n+1}
+        damp: null,   // Per-node γΔt/2 (global damping plus sponge layers)
+        step: 0,
+        time: 0
+    };
+
+    let isRunning = false;
+    let animationId = null;
+    let diverged = false;
+
+    // ============================================
+    // Canvas Setup
+    // ============================================
+    const canvas = document.getElementById('waveCanvas');
+    const ctx = canvas.getContext('2d');
+
+    const MARGIN = 30;
+
+    // ============================================
+    // Solver
+    // ============================================
+
+    /** Grid points for the requested Δx, including both ends. */
+    function gridPoints() {
+        return Math.max(3, Math.round(PARAMS.L / PARAMS.dx) + 1);
+    }
+
+    /** Actual spacing h = L/(n−1); differs from PARAMS.dx when L/Δx is not an integer. */
+    function gridSpacing() {
+        return PARAMS.L / (gridPoints() - 1);
+    }
+
+    /** Courant number r = cΔt/h on the actual grid. */
+    function courantNumber() {
+        return PARAMS.c * PARAMS.dt / gridSpacing();
+    }
+
+    /** Initial displacement u(x, 0) for the selected shape. */
+    function initialDisplacement(x) {
+        const { L, amplitude } = PARAMS;
+        const x0 = shape.position * L;
+        switch (shape.type) {
+            case 'gaussian': {
+                const width = 0.04 * L;
+                return amplitude * Math.exp(-((x - x0) * (x - x0)) / (2 * width * width));
+            }
+            case 'sine':
+                return amplitude * Math.sin(shape.mode * Math.PI * x / L);
+            case 'modes': {
+                let u = 0;
+                for (let m = 0; m < MODE_COUNT; m++) {
+                    u += shape.modeAmplitudes[m] * Math.sin((m + 1) * Math.PI * x / L);
+                }
+                return u;
+            }
+            case 'pluck':
+            default:
+                return x <= x0 ? amplitude * x / x0 : amplitude * (L - x) / (L - x0);
+        }
+    }
+
+    /**
+     * Allocate the grid for the current Δx and load the initial shape.
+     * The string starts at rest, so u^{-1} follows from the Taylor step
+     * u^{-1} = u^0 + (r²/2)(u_{i+1} - 2u_i + u_{i-1}), which keeps the
+     * start second-order accurate instead of copying u^0.
+     */
+    function resetGrid() {
+        const n = gridPoints();
+        grid = {
+            n: n,
+            uPrev: new Float64Array(n),
+            u: new Float64Array(n),
+            uNext: new Float64Array(n),
+            damp: new Float64Array(n),
+            step: 0,
+            time: 0
+        };
+        updateDamping();
+
+        const h = gridSpacing();
+        for (let i = 0; i < n; i++) {
+            grid.u[i] = initialDisplacement(i * h);
+        }
+        // Only ends that applyEnd holds at zero start there; free and Mur ends
+        // keep the shape, and a periodic right end is the left node again
+        const pinned = (type) => type === 'fixed' || type === 'sponge';
+        if (pinned(boundary.left)) grid.u[0] = 0;
+        if (pinned(boundary.right)) grid.u[n - 1] = 0;
+        if (boundary.right === 'periodic') grid.u[n - 1] = grid.u[0];
+
+        const r2 = courantNumber() ** 2;
+        for (let i = 0; i < n; i++) {
+            const left = i > 0 ? grid.u[i - 1] : ghostValue('left', grid.u);
+            const right = i < n - 1 ? grid.u[i + 1] : ghostValue('right', grid.u);
+            grid.uPrev[i] = grid.u[i] + 0.5 * r2 * (right - 2 * grid.u[i] + left);
+        }
+        diverged = false;
+    }
+
+    /**
+     * Rebuild the per-node damping a_i = γ_iΔt/2. Sponge ends ramp γ up
+     * quadratically over SPONGE_FRACTION·L; the peak scales with r so the
+     * layer behaves the same for any Δt. A steeper or stronger ramp starts
+     * reflecting the wave itself, so a few percent always comes back.
+     */
+    function updateDamping() {
+        const { n, damp } = grid;
+        const base = 0.5 * PARAMS.damping * PARAMS.dt;
+        const width = Math.max(4, Math.round(SPONGE_FRACTION * (n - 1)));
+        const peak = Math.min(0.8, 0.8 * courantNumber());
+
+        damp.fill(base);
+        for (let d = 0; d < width; d++) {
+            const ramp = peak * ((width - d) / width) ** 2;
+            if (boundary.left === 'sponge') damp[d] += ramp;
+            if (boundary.right === 'sponge') damp[n - 1 - d] += ramp;
+        }
+    }
+
+    /**
+     * Value of the neighbour just outside an end:
+     * periodic wraps around (node n-1 is the same point as node 0),
+     * free (∂u/∂x = 0) mirrors the first interior node, and the others
+     * see zero (their end node is overwritten anyway).
+     */
+    function ghostValue(side, u) {
+        const n = grid.n;
+        const type = boundary[side];
+        if (type === 'periodic') return side === 'left' ? u[n - 2] : u[1];
+        if (type === 'free') return side === 'left' ? u[1] : u[n - 2];
+        return 0;
+    }
+
+    /**
+     * Damped update for one node:
+     * (1 + a)u^{n+1} = 2u^n - (1 - a)u^{n-1} + r²(u_{i+1} - 2u_i + u_{i-1})
+     */
+    function updateNode(i, left, right, r2) {
+        const { u, uPrev, uNext, damp } = grid;
+        const a = damp[i];
+        uNext[i] = (2 * u[i] - (1 - a) * uPrev[i] + r2 * (right - 2 * u[i] + left)) / (1 + a);
+    }
+
+    /**
+     * Overwrite an end node after the sweep. Mur's first-order absorbing
+     * condition passes a right/left-going wave out of the end:
+     * u_0^{n+1} = u_1^n + (r - 1)/(r + 1)(u_1^{n+1} - u_0^n)
+     */
+    function applyEnd(side, edge, inner) {
+        const { u, uNext } = grid;
+        const type = boundary[side];
+        if (type === 'fixed' || type === 'sponge') {
+            uNext[edge] = 0;
+        } else if (type === 'periodic' && side === 'right') {
+            uNext[edge] = uNext[0];
+        } else if (type === 'mur') {
+            const r = courantNumber();
+            uNext[edge] = u[inner] + (r - 1) / (r + 1) * (uNext[inner] - u[edge]);
+        }
+    }
+
+    /**
+     * Advance one time step:
+     * u_i^{n+1} = 2u_i^n - u_i^{n-1} + r²(u_{i+1}^n - 2u_i^n + u_{i-1}^n)
+     * with the damping term and the selected end conditions.
+     */
+    function step() {
+        const { n, uPrev, u, uNext } = grid;
+        const r2 = courantNumber() ** 2;
+
+        for (let i = 1; i < n - 1; i++) {
+            updateNode(i, u[i - 1], u[i + 1], r2);
+        }
+        updateNode(0, ghostValue('left', u), u[1], r2);
+        updateNode(n - 1, u[n - 2], ghostValue('right', u), r2);
+        applyEnd('left', 0, 1);
+        applyEnd('right', n - 1, n - 2);
+
+        // Rotate buffers instead of copying
+        grid.uPrev = u;
+        grid.u = uNext;
+        grid.uNext = uPrev;
+        grid.step++;
+        grid.time += PARAMS.dt;
+    }
+
+    function maxDisplacement() {
+        let max = 0;
+        for (let i = 0; i < grid.n; i++) {
+            const a = Math.abs(grid.u[i]);
+            if (!(a <= max)) max = a; // NaN propagates as divergence
+        }
+        return max;
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    function render() {
+        const width = canvas.width;
+        const height = canvas.height;
+        const midY = height / 2;
+        const xScale = (width - 2 * MARGIN) / PARAMS.L;
+        const yScale = (height / 2 - MARGIN) / (2 * PARAMS.amplitude);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+
+        // Equilibrium line
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.moveTo(MARGIN, midY);
+        ctx.lineTo(width - MARGIN, midY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // String
+        const h = PARAMS.L / (grid.n - 1);
+        ctx.strokeStyle = diverged ? '#c53030' : '#2c5282';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i < grid.n; i++) {
+            const px = MARGIN + i * h * xScale;
+            const value = Math.max(-1e4, Math.min(1e4, grid.u[i] * yScale));
+            const py = midY - (Number.isFinite(value) ? value : 0);
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        }
+        ctx.stroke();
+
+        // Grid points when coarse enough to see
+        if (grid.n <= 60) {
+            ctx.fillStyle = '#2c5282';
+            for (let i = 0; i < grid.n; i++) {
+                const px = MARGIN + i * h * xScale;
+                const py = midY - Math.max(-1e4, Math.min(1e4, grid.u[i] * yScale));
+                ctx.beginPath();
+                ctx.arc(px, py, 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        drawEnd('left', MARGIN, midY, xScale, yScale);
+        drawEnd('right', width - MARGIN, midY, xScale, yScale);
+
+        if (diverged) {
+            ctx.fillStyle = '#c53030';
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('数値解が発散しました (r > 1)', width / 2, MARGIN);
+        }
+    }
+
+    /**
+     * End markers: a clamp for fixed, a ring on a vertical rod for free,
+     * a dashed wrap for periodic and a shaded layer for absorbing ends
+     */
+    function drawEnd(side, x, midY, xScale, yScale) {
+        const dir = side === 'left' ? -1 : 1;
+        const type = boundary[side];
+
+        if (type === 'fixed') {
+            ctx.fillStyle = '#1a365d';
+            ctx.fillRect(side === 'left' ? x - 6 : x, midY - 20, 6, 40);
+        } else if (type === 'free') {
+            ctx.strokeStyle = '#718096';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, midY - 60);
+            ctx.lineTo(x, midY + 60);
+            ctx.stroke();
+            ctx.beginPath();
+            const endY = midY - grid.u[side === 'left' ? 0 : grid.n - 1] * yScale;
+            ctx.arc(x, endY, 4, 0, Math.PI * 2);
+            ctx.stroke();
+        } else if (type === 'periodic') {
+            ctx.strokeStyle = '#a0aec0';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, midY);
+            ctx.lineTo(x + dir * (MARGIN - 8), midY);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        } else {
+            // Absorbing: shade the sponge layer, or a thin strip for Mur
+            const layer = type === 'sponge' ? SPONGE_FRACTION * PARAMS.L * xScale : 8;
+            ctx.fillStyle = 'rgba(72, 187, 120, 0.15)';
+            ctx.fillRect(side === 'left' ? x : x - layer, MARGIN, layer, canvas.height - 2 * MARGIN);
+        }
+    }
+
+    // ============================================
+    // Normal Modes
+    // ============================================
+    const modeCanvas = document.getElementById('modeCanvas');
+    const modeCtx = modeCanvas.getContext('2d');
+
+    // Pixel height of the amplitude half of the mode chart
+    const MODE_BAR_SPLIT = 0.6;
+
+    /**
+     * Project the current string onto sin(nπx/L) with the discrete sine
+     * transform b_n = (2/N) Σ u_i sin(nπi/N). The same projection of
+     * (u^n - u^{n-1})/Δt gives ḃ_n, and the energy in mode n is
+     * E_n = (L/4)(ḃ_n² + ω_n² b_n²) with ω_n = nπc/L (unit linear density).
+     */
+    function computeModes() {
+        const { n, u, uPrev } = grid;
+        const N = n - 1;
+        const amplitude = new Float64Array(MODE_COUNT);
+        const energy = new Float64Array(MODE_COUNT);
+
+        for (let m = 0; m < MODE_COUNT; m++) {
+            let b = 0;
+            let bPrev = 0;
+            for (let i = 1; i < N; i++) {
+                const basis = Math.sin((m + 1) * Math.PI * i / N);
+                b += u[i] * basis;
+                bPrev += uPrev[i] * basis;
+            }
+            b *= 2 / N;
+            bPrev *= 2 / N;
+            const bDot = (b - bPrev) / PARAMS.dt;
+            const omega = (m + 1) * Math.PI * PARAMS.c / PARAMS.L;
+            amplitude[m] = b;
+            energy[m] = 0.25 * PARAMS.L * (bDot * bDot + omega * omega * b * b);
+        }
+        return { amplitude, energy };
+    }
+
+    /**
+     * Signed amplitude bars on top (draggable), energy share per mode below
+     */
+    function renderModes() {
+        const width = modeCanvas.width;
+        const height = modeCanvas.height;
+        const split = height * MODE_BAR_SPLIT;
+        const ampMid = split / 2;
+        const barWidth = width / MODE_COUNT;
+        const { amplitude, energy } = computeModes();
+        const total = energy.reduce((sum, e) => sum + e, 0);
+
+        modeCtx.fillStyle = '#ffffff';
+        modeCtx.fillRect(0, 0, width, height);
+
+        // Zero line and divider
+        modeCtx.strokeStyle = '#e2e8f0';
+        modeCtx.lineWidth = 1;
+        modeCtx.beginPath();
+        modeCtx.moveTo(0, ampMid);
+        modeCtx.lineTo(width, ampMid);
+        modeCtx.moveTo(0, split);
+        modeCtx.lineTo(width, split);
+        modeCtx.stroke();
+
+        modeCtx.font = '11px sans-serif';
+        modeCtx.textAlign = 'center';
+        for (let m = 0; m < MODE_COUNT; m++) {
+            const x = m * barWidth + barWidth * 0.15;
+            const w = barWidth * 0.7;
+
+            const a = Math.max(-1, Math.min(1, amplitude[m] / PARAMS.amplitude));
+            modeCtx.fillStyle = a >= 0 ? '#c53030' : '#2b6cb0';
+            modeCtx.fillRect(x, Math.min(ampMid, ampMid - a * (ampMid - 8)), w, Math.abs(a) * (ampMid - 8));
+
+            const share = total > 0 ? energy[m] / total : 0;
+            modeCtx.fillStyle = '#48bb78';
+            modeCtx.fillRect(x, height - 16 - share * (height - split - 24), w, share * (height - split - 24));
+
+            modeCtx.fillStyle = '#718096';
+            modeCtx.fillText(m + 1, x + w / 2, height - 4);
+        }
+
+        modeCtx.textAlign = 'left';
+        modeCtx.fillStyle = '#4a5568';
+        modeCtx.fillText('b_n', 4, 12);
+        modeCtx.fillText('E_n / E', 4, split + 12);
+
+        document.getElementById('mode-energy').textContent = total.toExponential(3);
+        document.getElementById('mode-f1').textContent = (PARAMS.c / (2 * PARAMS.L)).toFixed(2);
+        document.getElementById('mode-note').hidden = boundary.left === 'fixed' && boundary.right === 'fixed';
+    }
+
+    /**
+     * Start editing from the bars as displayed: the projection of the current
+     * string, so the modes the user is not dragging keep their amplitudes.
+     */
+    function seedModeAmplitudes() {
+        shape.modeAmplitudes.set(computeModes().amplitude);
+    }
+
+    /**
+     * Dragging over the amplitude bars sets b_n directly and switches the
+     * initial shape to the mode sum, so the string restarts from it.
+     */
+    function setModeFromPointer(e) {
+        const rect = modeCanvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * modeCanvas.width / rect.width;
+        const y = (e.clientY - rect.top) * modeCanvas.height / rect.height;
+        const ampMid = modeCanvas.height * MODE_BAR_SPLIT / 2;
+        const m = Math.floor(x / (modeCanvas.width / MODE_COUNT));
+        if (m < 0 || m >= MODE_COUNT) return;
+
+        const a = Math.max(-1, Math.min(1, (ampMid - y) / (ampMid - 8)));
+        // Snap near zero so modes can be switched off cleanly
+        shape.modeAmplitudes[m] = Math.abs(a) < 0.05 ? 0 : a * PARAMS.amplitude;
+
+        if (shape.type !== 'modes') {
+            shape.type = 'modes';
+            document.getElementById('shape-select').value = 'modes';
+            updateShapeControls();
+        }
+        stop();
+        resetState();
+    }
+
+    // ============================================
+    // Audio Playback
+    // ============================================
+    const AUDIO_DURATION = 2.5; // [s]
+    let audioContext = null;
+
+    /**
+     * Render the current modes as a plucked-string tone. Mode n sounds at
+     * n·f₁ (the simulated 1/2L Hz fundamental is mapped to the pitch
+     * slider), weighted by n because the bridge feels the end slope
+     * ∂u/∂x ∝ Σ n b_n. Higher modes decay faster, as on a real string.
+     */
+    function playString() {
+        const AudioCtor = window.AudioContext || window.webkitAudioContext;
+        const status = document.getElementById('audio-status');
+        if (!AudioCtor) {
+            status.textContent = 'このブラウザは Web Audio API に対応していません';
+            return;
+        }
+        if (!audioContext) audioContext = new AudioCtor();
+
+        const { energy } = computeModes();
+        const pitch = parseFloat(document.getElementById('pitch-slider').value);
+        const rate = audioContext.sampleRate;
+        const length = Math.floor(AUDIO_DURATION * rate);
+        const buffer = audioContext.createBuffer(1, length, rate);
+        const data = buffer.getChannelData(0);
+
+        for (let m = 0; m < MODE_COUNT; m++) {
+            const n = m + 1;
+            const omega = n * Math.PI * PARAMS.c / PARAMS.L;
+            // Amplitude of mode n including its velocity part: √(b² + (ḃ/ω)²)
+            const weight = n * Math.sqrt(4 * energy[m] / PARAMS.L) / omega;
+            if (weight === 0 || n * pitch > rate / 2) continue;
+            const w = 2 * Math.PI * n * pitch / rate;
+            const decay = (1 + 0.3 * n) / rate;
+            for (let k = 0; k < length; k++) {
+                data[k] += weight * Math.cos(w * k) * Math.exp(-decay * k);
+            }
+        }
+
+        let peak = 0;
+        for (let k = 0; k < length; k++) peak = Math.max(peak, Math.abs(data[k]));
+        if (peak === 0) {
+            status.textContent = '弦が静止しているため音が出ません';
+            return;
+        }
+        for (let k = 0; k < length; k++) data[k] *= 0.5 / peak;
+
+        const source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(audioContext.destination);
+        source.start();
+        status.textContent = 'f₁ = ' + pitch + ' Hz で再生中';
+    }
+
+    // ============================================
+    // UI Update
+    // ============================================
+
+    function updateCflDisplay() {
+        const r = courantNumber();
+        document.getElementById('cfl-value').textContent = r.toFixed(3);
+        document.getElementById('cfl-warning').hidden = r <= 1;
+    }
+
+    function updateStateDisplay() {
+        document.getElementById('state-time').textContent = grid.time.toFixed(3);
+        document.getElementById('state-step').textContent = grid.step;
+        document.getElementById('state-points').textContent = grid.n;
+        const max = maxDisplacement();
+        document.getElementById('state-max').textContent = Number.isFinite(max) ? max.toExponential(2) : '∞';
+    }
+
+    // ============================================
+    // Animation Loop
+    // ============================================
+
+    function simulate() {
+        if (!isRunning) return;
+
+        // Advance roughly one frame (1/60 s) of simulated time
+        const stepsPerFrame = Math.min(MAX_STEPS_PER_FRAME, Math.max(1, Math.round(1 / 60 / PARAMS.dt)));
+        for (let i = 0; i < stepsPerFrame; i++) {
+            step();
+        }
+
+        if (!(maxDisplacement() < BLOWUP_LIMIT)) {
+            diverged = true;
+            stop();
+        }
+
+        render();
+        renderModes();
+        updateStateDisplay();
+
+        if (isRunning) {
+            animationId = requestAnimationFrame(simulate);
+        }
+    }
+
+    function stop() {
+        isRunning = false;
+        if (animationId) {
+            cancelAnimationFrame(animationId);
+        }
+        document.getElementById('start-btn').textContent = 'Start';
+    }
+
+    // ============================================
+    // Event Handlers
+    // ============================================
+
+    function resetState() {
+        resetGrid();
+        render();
+        renderModes();
+        updateStateDisplay();
+        updateCflDisplay();
+    }
+
+    function updateShapeControls() {
+        document.getElementById('mode-group').hidden = shape.type !== 'sine';
+        document.getElementById('position-group').hidden = shape.type === 'sine' || shape.type === 'modes';
+    }
+
+    // Slider handlers
+    document.getElementById('c-slider').addEventListener('input', function(e) {
+        PARAMS.c = parseFloat(e.target.value);
+        document.getElementById('c-value').textContent = PARAMS.c.toFixed(2);
+        updateDamping();
+        updateCflDisplay();
+    });
+
+    document.getElementById('dx-slider').addEventListener('input', function(e) {
+        PARAMS.dx = parseFloat(e.target.value);
+        document.getElementById('dx-value').textContent = PARAMS.dx.toFixed(3);
+        // A new Δx means a new grid, so the string restarts from its initial shape
+        stop();
+        resetState();
+    });
+
+    document.getElementById('dt-slider').addEventListener('input', function(e) {
+        const dtOld = PARAMS.dt;
+        PARAMS.dt = parseFloat(e.target.value);
+        // Rescale u^{n-1} so the implied velocity (u^n - u^{n-1})/Δt is unchanged
+        for (let i = 0; i < grid.n; i++) {
+            grid.uPrev[i] = grid.u[i] - (grid.u[i] - grid.uPrev[i]) * PARAMS.dt / dtOld;
+        }
+        document.getElementById('dt-value').textContent = PARAMS.dt.toFixed(4);
+        updateDamping();
+        updateCflDisplay();
+    });
+
+    /**
+     * Periodic ends only make sense as a pair, so switching one end to or
+     * from periodic drags the other end along.
+     */
+    function setBoundary(side, type) {
+        const other = side === 'left' ? 'right' : 'left';
+        if (type === 'periodic' || boundary[other] === 'periodic') {
+            boundary[other] = type;
+            document.getElementById(other + '-bc-select').value = type;
+        }
+        boundary[side] = type;
+        updateDamping();
+    }
+
+    ['left', 'right'].forEach(function(side) {
+        document.getElementById(side + '-bc-select').addEventListener('change', function(e) {
+            setBoundary(side, e.target.value);
+            if (!isRunning) resetState();
+        });
+    });
+
+    document.getElementById('damping-slider').addEventListener('input', function(e) {
+        PARAMS.damping = parseFloat(e.target.value);
+        document.getElementById('damping-value').textContent = PARAMS.damping.toFixed(2);
+        updateDamping();
+    });
+
+    document.getElementById('shape-select').addEventListener('change', function(e) {
+        shape.type = e.target.value;
+        updateShapeControls();
+        if (!isRunning) resetState();
+    });
+
+    document.getElementById('position-slider').addEventListener('input', function(e) {
+        shape.position = parseFloat(e.target.value);
+        document.getElementById('position-value').textContent = shape.position.toFixed(2);
+        if (!isRunning) resetState();
+    });
+
+    document.getElementById('mode-slider').addEventListener('input', function(e) {
+        shape.mode = parseInt(e.target.value, 10);
+        document.getElementById('mode-value').textContent = shape.mode;
+        if (!isRunning) resetState();
+    });
+
+    // Mode panel handlers
+    let modeDragging = false;
+
+    modeCanvas.addEventListener('pointerdown', function(e) {
+        // Only the amplitude half of the chart is editable
+        const rect = modeCanvas.getBoundingClientRect();
+        const y = (e.clientY - rect.top) * modeCanvas.height / rect.height;
+        if (y > modeCanvas.height * MODE_BAR_SPLIT) return;
+        modeDragging = true;
+        modeCanvas.setPointerCapture(e.pointerId);
+        seedModeAmplitudes();
+        setModeFromPointer(e);
+    });
+
+    modeCanvas.addEventListener('pointermove', function(e) {
+        if (modeDragging) setModeFromPointer(e);
+    });
+
+    modeCanvas.addEventListener('pointerup', function() {
+        modeDragging = false;
+    });
+
+    document.getElementById('pitch-slider').addEventListener('input', function(e) {
+        document.getElementById('pitch-value').textContent = e.target.value;
+    });
+
+    document.getElementById('play-btn').addEventListener('click', playString);
+
+    // Button handlers
+    document.getElementById('start-btn').addEventListener('click', function() {
+        if (isRunning) {
+            stop();
+        } else {
+            if (diverged) resetState();
+            isRunning = true;
+            this.textContent = 'Pause';
+            animationId = requestAnimationFrame(simulate);
+        }
+    });
+
+    document.getElementById('reset-btn').addEventListener('click', function() {
+        stop();
+        resetState();
+    });
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        updateShapeControls();
+        resetState();
+    }
+
+    init();
+
+})();
@@ -0,0 +1,335 @@
+/**
+ * Headless equivalence check for the ripple-tank engines
+ * Loads the real page script (wave2d.js) twice in Node with a minimal DOM:
+ * one page gets a Worker shim that runs wave2d-worker.js in its own context,
+ * the other has no Worker, so its engine switches fall back to the CPU path.
+ * Both pages receive the same user actions (edits, drops, clears, presets,
+ * resizes and engine switches, some while a step or fetch is in flight)
+ * and their fields must agree after every action.
+ *
+ * Usage: node lab/wave-equation/wave2d-engine-check.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const DIR = __dirname;
+const HTML = fs.readFileSync(path.join(DIR, 'index.html'), 'utf8');
+const TOLERANCE = 1e-6;
+
+// ============================================
+// Environment Shims
+// ============================================
+
+function runScript(context, file) {
+    vm.runInContext(fs.readFileSync(path.join(DIR, file), 'utf8'), context, { filename: file });
+}
+
+/** Initial value of a control as written in index.html. */
+function initialValue(id) {
+    const select = HTML.match(new RegExp('<select[^>]*id="' + id + '"[^>]*>([\\s\\S]*?)</select>'));
+    if (select) {
+        const option = select[1].match(/<option value="([^"]*)"[^>]*selected/) || select[1].match(/<option value="([^"]*)"/);
+        return option[1];
+    }
+    const input = HTML.match(new RegExp('<input[^>]*id="' + id + '"[^>]*>'));
+    const value = input && input[0].match(/value="([^"]*)"/);
+    return value ? value[1] : '';
+}
+
+function createElement(id) {
+    const listeners = {};
+    return {
+        id: id,
+        value: initialValue(id),
+        textContent: '',
+        width: 0,
+        height: 0,
+        addEventListener(type, fn) {
+            (listeners[type] = listeners[type] || []).push(fn);
+        },
+        fire(type, props) {
+            const event = Object.assign({ target: this, pointerId: 1 }, props);
+            (listeners[type] || []).forEach(fn => fn.call(this, event));
+        },
+        getContext() {
+            return {
+                createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+                putImageData() {},
+                fillRect() {}
+            };
+        },
+        getBoundingClientRect() {
+            return { left: 0, top: 0, width: this.width, height: this.height };
+        },
+        setPointerCapture() {}
+    };
+}
+
+/**
+ * Web Worker stand-in. Messages in both directions are structured-cloned
+ * (honouring transfer lists) and queued, so `drain` decides when the
+ * worker runs, like the browser's event loop would.
+ */
+function createWorkerClass(queue, counts) {
+    return function Worker(url) {
+        const worker = this;
+        const scope = { console: console, Math: Math, Float32Array: Float32Array, Uint8Array: Uint8Array };
+        scope.self = scope;
+        scope.importScripts = function() {
+            Array.prototype.forEach.call(arguments, file => runScript(scope, file));
+        };
+        scope.postMessage = function(msg, transfer) {
+            const data = structuredClone(msg, { transfer: transfer || [] });
+            queue.push(() => {
+                if (!worker.terminated && worker.onmessage) worker.onmessage({ data: data });
+            });
+        };
+        vm.createContext(scope);
+        runScript(scope, url);
+
+        this.terminated = false;
+        this.postMessage = function(msg, transfer) {
+            counts[msg.type] = (counts[msg.type] || 0) + 1;
+            const data = structuredClone(msg, { transfer: transfer || [] });
+            queue.push(() => {
+                if (!worker.terminated) scope.onmessage({ data: data });
+            });
+        };
+        this.terminate = function() {
+            worker.terminated = true;
+        };
+    };
+}
+
+/**
+ * Load the ripple tank page. The page's tank is private, so it is captured
+ * by wrapping WaveSolver2D.createTank before wave2d.js reads it.
+ */
+function loadPage(withWorker) {
+    const elements = {};
+    const queue = [];
+    const counts = {};
+    let frames = [];
+    let tank = null;
+
+    const context = {
+        console: console,
+        Math: Math,
+        Float32Array: Float32Array,
+        Uint8Array: Uint8Array,
+        performance: { now: () => 0 },
+        document: {
+            getElementById: id => elements[id] || (elements[id] = createElement(id))
+        },
+        requestAnimationFrame: fn => frames.push(fn),
+        cancelAnimationFrame: () => {}
+    };
+    context.window = context;
+    context.self = context;
+    if (withWorker) context.Worker = createWorkerClass(queue, counts);
+    vm.createContext(context);
+
+    runScript(context, 'wave2d-solver.js');
+    const createTank = context.WaveSolver2D.createTank;
+    context.WaveSolver2D.createTank = function() {
+        tank = createTank.apply(null, arguments);
+        return tank;
+    };
+    runScript(context, 'wave2d.js');
+
+    const el = id => context.document.getElementById(id);
+    return {
+        counts: counts,
+        tank: () => tank,
+        status: () => el('engine-status').textContent,
+        /** Run one animation frame. */
+        frame() {
+            const pending = frames;
+            frames = [];
+            pending.forEach(fn => fn(0));
+        },
+        /** Deliver queued messages until both sides are idle. */
+        drain() {
+            while (queue.length) queue.shift()();
+        },
+        select(id, value) {
+            el(id).value = value;
+            el(id).fire('change');
+        },
+        slider(id, value) {
+            el(id).value = value;
+            el(id).fire('input');
+        },
+        click(id) {
+            el(id).fire('click');
+        },
+        /** Click (or drag through) cells with the current tool. */
+        pointer(cells) {
+            const canvas = el('rippleCanvas');
+            const at = c => ({ clientX: c[0] + 0.5, clientY: c[1] + 0.5 });
+            canvas.fire('pointerdown', at(cells[0]));
+            cells.slice(1).forEach(c => canvas.fire('pointermove', at(c)));
+            canvas.fire('pointerup');
+        }
+    };
+}
+
+// ============================================
+// Scenario
+// ============================================
+
+/** Step the running page until it reaches `target` (speed is one step per frame). */
+function advanceTo(page, target) {
+    for (let guard = 0; page.tank().step < target; guard++) {
+        if (guard > 10 * target + 100) throw new Error('page stopped stepping at ' + page.tank().step);
+        page.frame();
+        page.drain();
+    }
+}
+
+function advance(page, steps) {
+    advanceTo(page, page.tank().step + steps);
+}
+
+/**
+ * Each action runs on both pages. `inFlight` actions happen after a frame
+ * has been requested but before its reply arrives; `switching` actions
+ * happen between asking for the CPU engine and the worker's answer.
+ */
+const SCENARIO = [
+    { name: 'setup', run: p => {
+        p.select('tank-size-select', '100');
+        p.slider('tank-speed-slider', '1');
+        p.slider('tank-damping-slider', '0.004');
+        p.select('tank-right-bc-select', 'sponge');
+        p.select('tank-top-bc-select', 'free');
+        p.click('tank-start-btn');
+        advance(p, 20);
+    } },
+    { name: 'engine → worker', run: p => { p.select('tank-engine-select', 'worker'); advance(p, 20); } },
+    { name: 'drop', run: p => { p.pointer([[60, 50]]); advance(p, 10); } },
+    { name: 'drop in flight', inFlight: p => p.pointer([[70, 30]]) },
+    { name: 'wall in flight', inFlight: p => {
+        p.select('tank-tool-select', 'wall');
+        p.pointer([[50, 60], [55, 65], [60, 70]]);
+    } },
+    { name: 'medium + oscillator', run: p => {
+        p.select('tank-tool-select', 'medium');
+        p.pointer([[40, 40], [45, 40]]);
+        p.select('tank-tool-select', 'oscillator');
+        p.pointer([[80, 80]]);
+        p.select('tank-tool-select', 'drop');
+        advance(p, 10);
+    } },
+    { name: 'boundary + wavelength', run: p => {
+        p.select('tank-left-bc-select', 'periodic');
+        p.slider('wavelength-slider', '12');
+        advance(p, 10);
+    } },
+    { name: 'clear in flight', inFlight: p => p.click('tank-clear-btn') },
+    { name: 'drop after clear', run: p => { p.pointer([[30, 70]]); advance(p, 10); } },
+    { name: 'engine → cpu with drop and wall while switching', switching: p => {
+        p.pointer([[65, 45]]);
+        p.select('tank-tool-select', 'wall');
+        p.pointer([[62, 45], [62, 52]]);
+        p.select('tank-tool-select', 'drop');
+    } },
+    { name: 'engine → worker, step', run: p => { p.select('tank-engine-select', 'worker'); advance(p, 15); } },
+    { name: 'engine → cpu with clear while switching', switching: p => p.click('tank-clear-btn') },
+    { name: 'engine → worker, preset in flight', run: p => {
+        p.select('tank-engine-select', 'worker');
+        advance(p, 10);
+        p.frame();
+        p.select('tank-preset-select', 'refraction');
+        p.drain();
+        advance(p, 15);
+    } },
+    { name: 'engine → cpu with preset while switching', switching: p => p.select('tank-preset-select', 'lens') },
+    { name: 'engine → worker, step', run: p => { p.select('tank-engine-select', 'worker'); advance(p, 15); } },
+    { name: 'engine → cpu with resize while switching', switching: p => p.select('tank-size-select', '200') },
+    { name: 'engine → worker at 200², drop', run: p => {
+        p.select('tank-engine-select', 'worker');
+        advance(p, 10);
+        p.pointer([[120, 90]]);
+        advance(p, 20);
+    } },
+    { name: 'engine → cpu, step', switching: () => {} }
+];
+
+function runAction(page, action) {
+    if (action.run) {
+        action.run(page);
+    } else if (action.inFlight) {
+        page.frame();
+        action.inFlight(page);
+        page.drain();
+    } else {
+        page.select('tank-engine-select', 'cpu');
+        action.switching(page);
+        page.drain();
+    }
+    // One more step so the worker page's copy of u reflects everything it was sent
+    advance(page, 1);
+}
+
+// ============================================
+// Comparison
+// ============================================
+
+function compare(workerPage, cpuPage) {
+    const a = workerPage.tank();
+    const b = cpuPage.tank();
+    if (a.n !== b.n || a.u.length !== b.u.length) {
+        return { ok: false, detail: 'grid ' + a.n + ' vs ' + b.n };
+    }
+    let maxDiff = 0;
+    let maxAbs = 0;
+    let finite = true;
+    for (let k = 0; k < a.u.length; k++) {
+        if (!Number.isFinite(a.u[k])) finite = false;
+        maxDiff = Math.max(maxDiff, Math.abs(a.u[k] - b.u[k]));
+        maxAbs = Math.max(maxAbs, Math.abs(b.u[k]));
+    }
+    const ok = finite && a.step === b.step && maxDiff <= TOLERANCE * Math.max(1, maxAbs);
+    return {
+        ok: ok,
+        detail: 'step ' + a.step + '/' + b.step + ', max|Δu| = ' + maxDiff.toExponential(2)
+            + ', max|u| = ' + maxAbs.toFixed(3) + (finite ? '' : ', non-finite values')
+    };
+}
+
+function main() {
+    const workerPage = loadPage(true);
+    const cpuPage = loadPage(false);
+    let failures = 0;
+
+    SCENARIO.forEach(action => {
+        runAction(workerPage, action);
+        runAction(cpuPage, action);
+        const result = compare(workerPage, cpuPage);
+        if (!result.ok) failures++;
+        console.log((result.ok ? 'ok   ' : 'FAIL ') + action.name + ': ' + result.detail);
+    });
+
+    // The worker page must really have used the worker for every part of the protocol
+    ['init', 'sync', 'drop', 'clear', 'step', 'fetch'].forEach(type => {
+        if (!workerPage.counts[type]) {
+            failures++;
+            console.log('FAIL no "' + type + '" message was sent to the worker');
+        }
+    });
+    console.log('worker messages: ' + JSON.stringify(workerPage.counts));
+
+    if (failures) {
+        console.log(failures + ' check(s) failed');
+        process.exitCode = 1;
+    } else {
+        console.log('CPU and worker engines agree');
+    }
+}
+
+main();
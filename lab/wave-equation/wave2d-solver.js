@@ -0,0 +1,231 @@
+/**
+ * 2D wave-equation solver core for the ripple tank
+ * Shared by the page (reference CPU path) and wave2d-worker.js, so it
+ * attaches to `self`, which is the window on the page and the global
+ * scope inside the worker.
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================
+    // Tank Construction
+    // ============================================
+
+    /**
+     * Allocate an empty tank. r2 holds the local (cΔt/Δx)² per cell so a
+     * spatially varying wave speed costs nothing extra in the stencil;
+     * damp likewise holds the local γΔt/2 including sponge layers.
+     */
+    function createTank(n, courant) {
+        const r2 = new Float32Array(n * n);
+        r2.fill(courant * courant);
+        return {
+            n: n,
+            uPrev: new Float32Array(n * n),
+            u: new Float32Array(n * n),
+            uNext: new Float32Array(n * n),
+            r2: r2,
+            damp: new Float32Array(n * n),
+            wall: new Uint8Array(n * n),
+            oscillators: [],
+            step: 0
+        };
+    }
+
+    /** Sponge layer thickness in cells. */
+    function spongeWidth(n) {
+        return Math.max(10, Math.round(n / 10));
+    }
+
+    /**
+     * Rebuild the damping map: the global γΔt/2 plus a quadratic ramp
+     * on every sponge edge (peak 0.6·r₀, which attenuates the round trip
+     * through the layer by roughly e⁻⁸ at the default grid size).
+     */
+    function updateDamping(tank, boundary, damping, courant) {
+        const { n, damp } = tank;
+        const base = 0.5 * damping;
+        const width = spongeWidth(n);
+        const peak = 0.6 * courant;
+
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                let a = base;
+                const depths = {
+                    left: i,
+                    right: n - 1 - i,
+                    top: j,
+                    bottom: n - 1 - j
+                };
+                for (const side in depths) {
+                    if (boundary[side] === 'sponge' && depths[side] < width) {
+                        a += peak * ((width - depths[side]) / width) ** 2;
+                    }
+                }
+                damp[j * n + i] = a;
+            }
+        }
+    }
+
+    // ============================================
+    // Time Stepping
+    // ============================================
+
+    /**
+     * Field value at (i, j), resolving one cell outside the grid through
+     * the edge condition: periodic wraps, free (∂u/∂n = 0) mirrors, and
+     * the remaining types read zero since their edge cells are overwritten.
+     */
+    function sample(tank, boundary, u, i, j) {
+        const n = tank.n;
+        if (i < 0 || i >= n) {
+            const type = boundary[i < 0 ? 'left' : 'right'];
+            if (type === 'periodic') i = i < 0 ? n - 1 : 0;
+            else if (type === 'free') i = i < 0 ? 1 : n - 2;
+            else return 0;
+        }
+        if (j < 0 || j >= n) {
+            const type = boundary[j < 0 ? 'top' : 'bottom'];
+            if (type === 'periodic') j = j < 0 ? n - 1 : 0;
+            else if (type === 'free') j = j < 0 ? 1 : n - 2;
+            else return 0;
+        }
+        return u[j * n + i];
+    }
+
+    /** Stencil update for an edge cell, with neighbours resolved by sample(). */
+    function updateEdgeCell(tank, boundary, i, j) {
+        const { n, uPrev, u, uNext, r2, damp } = tank;
+        const k = j * n + i;
+        const lap = sample(tank, boundary, u, i + 1, j) + sample(tank, boundary, u, i - 1, j)
+                  + sample(tank, boundary, u, i, j + 1) + sample(tank, boundary, u, i, j - 1) - 4 * u[k];
+        const a = damp[k];
+        uNext[k] = (2 * u[k] - (1 - a) * uPrev[k] + r2[k] * lap) / (1 + a);
+    }
+
+    /**
+     * Overwrite one edge after the sweep. Mur's first-order absorbing
+     * condition uses the local Courant number r:
+     * u_edge^{n+1} = u_in^n + (r - 1)/(r + 1)(u_in^{n+1} - u_edge^n)
+     */
+    function applyEdge(tank, boundary, side) {
+        const { n, u, uNext, r2 } = tank;
+        const type = boundary[side];
+        if (type === 'periodic' || type === 'free') return;
+
+        for (let s = 0; s < n; s++) {
+            let k, inner;
+            if (side === 'left') { k = s * n; inner = k + 1; }
+            else if (side === 'right') { k = s * n + n - 1; inner = k - 1; }
+            else if (side === 'top') { k = s; inner = k + n; }
+            else { k = (n - 1) * n + s; inner = k - n; }
+
+            if (type === 'mur') {
+                const r = Math.sqrt(r2[k]);
+                uNext[k] = u[inner] + (r - 1) / (r + 1) * (uNext[inner] - u[k]);
+            } else {
+                uNext[k] = 0;
+            }
+        }
+    }
+
+    /**
+     * Advance one step:
+     * (1 + a)u^{n+1} = 2u^n - (1 - a)u^{n-1} + r²(u_E + u_W + u_N + u_S - 4u^n)
+     * with a = γΔt/2. Walls are held at u = 0; edges follow config.boundary
+     * and oscillators are driven at config.amplitude · sin(step · config.phaseStep).
+     */
+    function step(tank, config) {
+        const { n, uPrev, u, uNext, r2, damp, wall } = tank;
+        const boundary = config.boundary;
+
+        for (let j = 1; j < n - 1; j++) {
+            let k = j * n + 1;
+            for (let i = 1; i < n - 1; i++, k++) {
+                if (wall[k]) {
+                    uNext[k] = 0;
+                    continue;
+                }
+                const lap = u[k + 1] + u[k - 1] + u[k + n] + u[k - n] - 4 * u[k];
+                const a = damp[k];
+                uNext[k] = (2 * u[k] - (1 - a) * uPrev[k] + r2[k] * lap) / (1 + a);
+            }
+        }
+
+        for (let s = 0; s < n; s++) {
+            updateEdgeCell(tank, boundary, s, 0);
+            updateEdgeCell(tank, boundary, s, n - 1);
+            if (s > 0 && s < n - 1) {
+                updateEdgeCell(tank, boundary, 0, s);
+                updateEdgeCell(tank, boundary, n - 1, s);
+            }
+        }
+        // Absorbing edges first so fixed edges win at shared corners
+        const edges = Object.keys(boundary);
+        edges.filter(side => boundary[side] === 'mur').forEach(side => applyEdge(tank, boundary, side));
+        edges.filter(side => boundary[side] !== 'mur').forEach(side => applyEdge(tank, boundary, side));
+
+        // Hard sources: prescribe the displacement at each oscillator
+        const value = config.amplitude * Math.sin((tank.step + 1) * config.phaseStep);
+        for (const osc of tank.oscillators) {
+            uNext[osc.j * n + osc.i] = value;
+        }
+
+        tank.uPrev = u;
+        tank.u = uNext;
+        tank.uNext = uPrev;
+        tank.step++;
+    }
+
+    // ============================================
+    // Field Edits
+    // ============================================
+
+    /** Add a Gaussian bump at rest (same offset in u^n and u^{n-1}). */
+    function addDrop(tank, ci, cj, amplitude, radius) {
+        const { n, u, uPrev, wall } = tank;
+        const reach = radius * 3;
+        for (let j = Math.max(1, cj - reach); j <= Math.min(n - 2, cj + reach); j++) {
+            for (let i = Math.max(1, ci - reach); i <= Math.min(n - 2, ci + reach); i++) {
+                const k = j * n + i;
+                if (wall[k]) continue;
+                const d2 = (i - ci) * (i - ci) + (j - cj) * (j - cj);
+                const bump = amplitude * Math.exp(-d2 / (2 * radius * radius));
+                u[k] += bump;
+                uPrev[k] += bump;
+            }
+        }
+    }
+
+    /** Zero the field inside walls, e.g. after new walls arrive from the page. */
+    function clampWalls(tank) {
+        const { u, uPrev, wall } = tank;
+        for (let k = 0; k < wall.length; k++) {
+            if (wall[k]) {
+                u[k] = 0;
+                uPrev[k] = 0;
+            }
+        }
+    }
+
+    function clearField(tank) {
+        tank.uPrev.fill(0);
+        tank.u.fill(0);
+        tank.uNext.fill(0);
+        tank.step = 0;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    self.WaveSolver2D = {
+        createTank: createTank,
+        updateDamping: updateDamping,
+        step: step,
+        addDrop: addDrop,
+        clampWalls: clampWalls,
+        clearField: clearField
+    };
+
+})();
@@ -0,0 +1,77 @@
+/**
+ * Web Worker host for the ripple-tank solver
+ * Runs WaveSolver2D off the main thread. The page owns the static maps
+ * (walls, wave speed, damping, sources) and sends copies when they change;
+ * the worker owns the field and hands it back in a transferred buffer.
+ *
+ * Messages in:
+ *   init   {tank, config}              replace the whole tank
+ *   sync   {r2, wall, damp, oscillators, config}
+ *   drop   {i, j, radius}
+ *   clear  {}
+ *   step   {steps, buffer, generation} buffer is reused for the reply
+ *   fetch  {generation}                full state for handing back to the CPU path
+ * Messages out:
+ *   field  {buffer, step, generation} generation echoes the request
+ *   state  {u, uPrev, step, generation}
+ */
+
+importScripts('wave2d-solver.js');
+
+(function() {
+    'use strict';
+
+    let tank = null;
+    let config = null;
+
+    self.onmessage = function(e) {
+        const msg = e.data;
+        switch (msg.type) {
+            case 'init':
+                tank = msg.tank;
+                config = msg.config;
+                break;
+            case 'sync':
+                tank.r2 = msg.r2;
+                tank.wall = msg.wall;
+                tank.damp = msg.damp;
+                tank.oscillators = msg.oscillators;
+                config = msg.config;
+                WaveSolver2D.clampWalls(tank);
+                break;
+            case 'drop':
+                WaveSolver2D.addDrop(tank, msg.i, msg.j, config.amplitude, msg.radius);
+                break;
+            case 'clear':
+                WaveSolver2D.clearField(tank);
+                break;
+            case 'step': {
+                for (let i = 0; i < msg.steps; i++) {
+                    WaveSolver2D.step(tank, config);
+                }
+                // Reuse the page's buffer when it has the right size
+                const out = msg.buffer && msg.buffer.byteLength === tank.u.byteLength
+                    ? new Float32Array(msg.buffer)
+                    : new Float32Array(tank.u.length);
+                out.set(tank.u);
+                self.postMessage({
+                    type: 'field',
+                    buffer: out.buffer,
+                    step: tank.step,
+                    generation: msg.generation
+                }, [out.buffer]);
+                break;
+            }
+            case 'fetch':
+                self.postMessage({
+                    type: 'state',
+                    u: tank.u,
+                    uPrev: tank.uPrev,
+                    step: tank.step,
+                    generation: msg.generation
+                });
+                break;
+        }
+    };
+
+})();
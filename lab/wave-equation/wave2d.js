@@ -0,0 +1,723 @@
+/**
+ * 2D Wave Equation Simulation (Ripple Tank)
+ * Explicit five-point stencil with walls, sources and a wave-speed map.
+ * The stencil lives in wave2d-solver.js and runs either here on the main
+ * thread (the reference path) or in wave2d-worker.js.
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================
+    // Parameters
+    // ============================================
+    const PARAMS = {
+        size: 200,        // Grid points per side
+        courant: 0.5,     // Background r = c₀Δt/Δx (2D limit is 1/√2)
+        wavelength: 20,   // Oscillator wavelength in background medium [cells]
+        amplitude: 1.0,   // Oscillator / drop amplitude
+        index: 1.5,       // Refractive index painted by the medium tool (c = c₀/n)
+        stepsPerFrame: 3,
+        gain: 2.0,        // Colour-map gain
+        damping: 0        // γΔt: damping per step in u_tt + γu_t = c²∇²u
+    };
+
+    // Boundary condition per edge: 'fixed' | 'free' | 'periodic' | 'mur' | 'sponge'
+    let boundary = {
+        left: 'mur',
+        right: 'mur',
+        top: 'mur',
+        bottom: 'mur'
+    };
+
+    const OPPOSITE_EDGE = { left: 'right', right: 'left', top: 'bottom', bottom: 'top' };
+
+    const DROP_RADIUS = 3;
+    const BRUSH_RADIUS = 1;
+
+    // ============================================
+    // State Variables
+    // ============================================
+    let tank = null;
+
+    let tool = 'drop'; // 'drop' | 'oscillator' | 'wall' | 'erase' | 'medium'
+    let isRunning = false;
+    let animationId = null;
+
+    // Solver engine: the main-thread CPU path or a Web Worker
+    let engine = {
+        mode: 'cpu',      // 'cpu' | 'worker' | 'switching'
+        worker: null,
+        pending: false,   // A step request is in flight
+        dirty: false,     // Static maps or config changed since the last sync
+        buffer: null,     // Field buffer passed back and forth with the worker
+        generation: 0,    // Bumped on every re-init so stale replies are dropped
+        queuedDrops: [],  // Drops made while switching back, replayed on the fetched field
+        rate: 0,          // Measured steps per second
+        rateSteps: 0,
+        rateStart: 0
+    };
+
+    // ============================================
+    // Canvas Setup
+    // ============================================
+    const canvas = document.getElementById('rippleCanvas');
+    const ctx = canvas.getContext('2d');
+    let image = null;
+
+    // ============================================
+    // Solver
+    // ============================================
+    const Solver = window.WaveSolver2D;
+
+    /** Phase advance per step for the chosen wavelength: ω Δt = 2π r / λ. */
+    function oscillatorPhaseStep() {
+        return 2 * Math.PI * PARAMS.courant / PARAMS.wavelength;
+    }
+
+    /** Everything the solver needs besides the tank itself. */
+    function solverConfig() {
+        return {
+            boundary: Object.assign({}, boundary),
+            courant: PARAMS.courant,
+            phaseStep: oscillatorPhaseStep(),
+            amplitude: PARAMS.amplitude
+        };
+    }
+
+    function updateDamping() {
+        Solver.updateDamping(tank, boundary, PARAMS.damping, PARAMS.courant);
+        engine.dirty = true;
+    }
+
+    function addDrop(ci, cj) {
+        Solver.addDrop(tank, ci, cj, PARAMS.amplitude, DROP_RADIUS);
+        if (engine.mode === 'switching') {
+            // The worker has already answered the fetch, so it would never apply this drop
+            engine.queuedDrops.push({ i: ci, j: cj });
+        } else if (engine.worker) {
+            engine.worker.postMessage({ type: 'drop', i: ci, j: cj, radius: DROP_RADIUS });
+        }
+    }
+
+    /** Place an oscillator, or remove one already within two cells. */
+    function toggleOscillator(ci, cj) {
+        const near = tank.oscillators.findIndex(o => Math.abs(o.i - ci) <= 2 && Math.abs(o.j - cj) <= 2);
+        if (near >= 0) {
+            tank.oscillators.splice(near, 1);
+        } else {
+            tank.oscillators.push({ i: ci, j: cj });
+        }
+        engine.dirty = true;
+    }
+
+    /** Paint walls, erase, or set the refractive index in a small brush. */
+    function paintCell(ci, cj) {
+        const { n, wall, r2, u, uPrev } = tank;
+        const background = PARAMS.courant * PARAMS.courant;
+        for (let j = cj - BRUSH_RADIUS; j <= cj + BRUSH_RADIUS; j++) {
+            for (let i = ci - BRUSH_RADIUS; i <= ci + BRUSH_RADIUS; i++) {
+                if (i < 1 || j < 1 || i > n - 2 || j > n - 2) continue;
+                const k = j * n + i;
+                if (tool === 'wall') {
+                    wall[k] = 1;
+                    u[k] = 0;
+                    uPrev[k] = 0;
+                } else if (tool === 'erase') {
+                    wall[k] = 0;
+                    r2[k] = background;
+                } else if (tool === 'medium') {
+                    r2[k] = background / (PARAMS.index * PARAMS.index);
+                }
+            }
+        }
+        engine.dirty = true;
+    }
+
+    /** Paint along the segment between two cells so fast drags leave no gaps. */
+    function paintLine(from, to) {
+        const steps = Math.max(Math.abs(to.i - from.i), Math.abs(to.j - from.j), 1);
+        for (let s = 0; s <= steps; s++) {
+            paintCell(
+                Math.round(from.i + (to.i - from.i) * s / steps),
+                Math.round(from.j + (to.j - from.j) * s / steps)
+            );
+        }
+    }
+
+    function clearField() {
+        Solver.clearField(tank);
+        if (engine.worker) {
+            engine.generation++;
+            engine.worker.postMessage({ type: 'clear' });
+        }
+    }
+    // ============================================
+    // Presets
+    // ============================================
+
+    /** A column of oscillators near the left edge acts as a plane-wave source. */
+    function addLineSource(column) {
+        for (let j = 1; j < tank.n - 1; j++) {
+            tank.oscillators.push({ i: column, j: j });
+        }
+    }
+
+    /** Wall across the tank at `column` with openings centred on `slits`. */
+    function addBarrier(column, slits, halfWidth) {
+        const { n, wall } = tank;
+        for (let j = 1; j < n - 1; j++) {
+            const open = slits.some(c => Math.abs(j - c) <= halfWidth);
+            if (open) continue;
+            for (let i = column; i < column + 2; i++) {
+                wall[j * n + i] = 1;
+            }
+        }
+    }
+
+    function applyPreset(name) {
+        // Replies about the old tank, including a pending fetch, no longer apply
+        engine.generation++;
+        const n = PARAMS.size;
+        tank = Solver.createTank(n, PARAMS.courant);
+        const mid = Math.floor(n / 2);
+        const slitHalf = Math.max(1, Math.round(n / 100));
+        const background = PARAMS.courant * PARAMS.courant;
+
+        switch (name) {
+            case 'double-slit': {
+                const gap = Math.round(n / 10);
+                addLineSource(3);
+                addBarrier(Math.round(n / 4), [mid - gap, mid + gap], slitHalf);
+                break;
+            }
+            case 'single-slit':
+                addLineSource(3);
+                addBarrier(Math.round(n / 4), [mid], slitHalf * 3);
+                break;
+            case 'lens': {
+                // Biconvex lens: intersection of two discs
+                const radius = n * 0.4;
+                const half = n * 0.08;
+                const cx = Math.round(n * 0.4);
+                for (let j = 1; j < n - 1; j++) {
+                    for (let i = 1; i < n - 1; i++) {
+                        const dl = Math.hypot(i - (cx - radius + half), j - mid);
+                        const dr = Math.hypot(i - (cx + radius - half), j - mid);
+                        if (dl < radius && dr < radius) {
+                            tank.r2[j * n + i] = background / (PARAMS.index * PARAMS.index);
+                        }
+                    }
+                }
+                addLineSource(3);
+                break;
+            }
+            case 'refraction':
+                // Slanted interface into a slower medium
+                for (let j = 1; j < n - 1; j++) {
+                    for (let i = 1; i < n - 1; i++) {
+                        if (i - n * 0.4 > (j - mid) * 0.6) {
+                            tank.r2[j * n + i] = background / (PARAMS.index * PARAMS.index);
+                        }
+                    }
+                }
+                addLineSource(3);
+                break;
+            case 'empty':
+            default:
+                break;
+        }
+        updateDamping();
+        resizeCanvas();
+        if (engine.mode === 'worker') initWorker();
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    function resizeCanvas() {
+        canvas.width = tank.n;
+        canvas.height = tank.n;
+        image = ctx.createImageData(tank.n, tank.n);
+    }
+
+    /**
+     * Heat map: red for u > 0, blue for u < 0 over a white background.
+     * Walls are dark and slower media are tinted so refraction is visible.
+     */
+    function render() {
+        const { n, u, r2, wall } = tank;
+        const data = image.data;
+        const background = PARAMS.courant * PARAMS.courant;
+
+        for (let k = 0, p = 0; k < n * n; k++, p += 4) {
+            if (wall[k]) {
+                data[p] = 26;
+                data[p + 1] = 32;
+                data[p + 2] = 44;
+                data[p + 3] = 255;
+                continue;
+            }
+            // Slow medium: light amber base
+            const slow = r2[k] < background * 0.999;
+            const baseR = 255;
+            const baseG = slow ? 243 : 255;
+            const baseB = slow ? 205 : 255;
+
+            const v = Math.max(-1, Math.min(1, u[k] * PARAMS.gain));
+            if (v >= 0) {
+                data[p] = baseR;
+                data[p + 1] = baseG * (1 - v);
+                data[p + 2] = baseB * (1 - v);
+            } else {
+                data[p] = baseR * (1 + v);
+                data[p + 1] = baseG * (1 + v);
+                data[p + 2] = baseB;
+            }
+            data[p + 3] = 255;
+        }
+        ctx.putImageData(image, 0, 0);
+
+        // Oscillator markers
+        ctx.fillStyle = '#38a169';
+        for (const osc of tank.oscillators) {
+            ctx.fillRect(osc.i - 1, osc.j - 1, 2, 2);
+        }
+    }
+
+    // ============================================
+    // UI Update
+    // ============================================
+
+    function updateStateDisplay() {
+        document.getElementById('tank-step').textContent = tank.step;
+        document.getElementById('tank-rate').textContent = engine.rate ? Math.round(engine.rate) : '–';
+        document.getElementById('tank-size').textContent = tank.n + ' × ' + tank.n;
+        document.getElementById('tank-sources').textContent = tank.oscillators.length;
+    }
+
+    // ============================================
+    // Animation Loop
+    // ============================================
+
+    function simulate() {
+        if (!isRunning) return;
+
+        if (engine.mode === 'cpu') {
+            const config = solverConfig();
+            for (let i = 0; i < PARAMS.stepsPerFrame; i++) {
+                Solver.step(tank, config);
+            }
+            countSteps(PARAMS.stepsPerFrame);
+            render();
+            updateStateDisplay();
+        } else if (engine.mode === 'worker' && !engine.pending) {
+            // The reply renders the frame; at most one request is in flight
+            requestWorkerStep();
+        }
+
+        if (isRunning) {
+            animationId = requestAnimationFrame(simulate);
+        }
+    }
+
+    function stop() {
+        isRunning = false;
+        if (animationId) {
+            cancelAnimationFrame(animationId);
+        }
+        document.getElementById('tank-start-btn').textContent = 'Start';
+    }
+
+    function refresh() {
+        render();
+        updateStateDisplay();
+    }
+
+    /** Solver throughput over roughly the last second. */
+    function countSteps(steps) {
+        const now = performance.now();
+        if (!engine.rateStart) engine.rateStart = now;
+        engine.rateSteps += steps;
+        if (now - engine.rateStart >= 1000) {
+            engine.rate = engine.rateSteps * 1000 / (now - engine.rateStart);
+            engine.rateSteps = 0;
+            engine.rateStart = now;
+        }
+    }
+
+    // ============================================
+    // Worker Engine
+    // ============================================
+
+    function setEngineStatus(text) {
+        document.getElementById('engine-status').textContent = text;
+    }
+
+    /**
+     * Create a solver worker. Browsers refuse workers on file:// pages,
+     * so failure is reported and the caller stays on the CPU path.
+     */
+    function createWorker() {
+        if (typeof Worker === 'undefined') {
+            throw new Error('Web Worker に対応していません');
+        }
+        return new Worker('wave2d-worker.js');
+    }
+
+    /** Hand the whole tank to the worker, which then owns the field. */
+    function initWorker() {
+        engine.generation++;
+        engine.pending = false;
+        engine.dirty = false;
+        engine.buffer = new Float32Array(tank.n * tank.n).buffer;
+        engine.worker.postMessage({
+            type: 'init',
+            tank: {
+                n: tank.n,
+                uPrev: tank.uPrev,
+                u: tank.u,
+                uNext: tank.uNext,
+                r2: tank.r2,
+                damp: tank.damp,
+                wall: tank.wall,
+                oscillators: tank.oscillators,
+                step: tank.step
+            },
+            config: solverConfig()
+        });
+    }
+
+    /** Send changed walls, media, damping, sources and config before stepping. */
+    function syncWorker() {
+        engine.worker.postMessage({
+            type: 'sync',
+            r2: tank.r2,
+            wall: tank.wall,
+            damp: tank.damp,
+            oscillators: tank.oscillators,
+            config: solverConfig()
+        });
+        engine.dirty = false;
+    }
+
+    function requestWorkerStep() {
+        if (engine.dirty) syncWorker();
+        const buffer = engine.buffer;
+        engine.buffer = null;
+        engine.pending = true;
+        engine.worker.postMessage({
+            type: 'step',
+            steps: PARAMS.stepsPerFrame,
+            buffer: buffer,
+            generation: engine.generation
+        }, buffer ? [buffer] : []);
+    }
+
+    function onWorkerMessage(e) {
+        const msg = e.data;
+        if (msg.type === 'field') {
+            engine.pending = false;
+            if (msg.generation !== engine.generation) return;
+            // Keep the page's copy of u current for rendering and edits
+            tank.u.set(new Float32Array(msg.buffer));
+            engine.buffer = msg.buffer;
+            countSteps(msg.step - tank.step);
+            tank.step = msg.step;
+            render();
+            updateStateDisplay();
+        } else if (msg.type === 'state') {
+            // After a preset, resize or clear during the switch the page's tank is the current one
+            if (msg.generation === engine.generation && msg.u.length === tank.u.length) {
+                tank.u = msg.u;
+                tank.uPrev = msg.uPrev;
+                tank.step = msg.step;
+                // Re-apply edits made while the fetch was in flight
+                Solver.clampWalls(tank);
+                engine.queuedDrops.forEach(d => Solver.addDrop(tank, d.i, d.j, PARAMS.amplitude, DROP_RADIUS));
+            }
+            engine.queuedDrops = [];
+            stopWorker();
+            engine.mode = 'cpu';
+            setEngineStatus('CPU (メインスレッド) で計算中');
+            refresh();
+        }
+    }
+
+    function stopWorker() {
+        if (engine.worker) {
+            engine.worker.terminate();
+            engine.worker = null;
+        }
+        engine.pending = false;
+        engine.buffer = null;
+    }
+
+    /**
+     * Switch engines. Going to the worker copies the tank across; coming
+     * back fetches u and u^{n-1} so the run continues without a jump.
+     */
+    function setEngine(mode) {
+        if (mode === engine.mode) return;
+        if (engine.mode === 'switching') {
+            document.getElementById('tank-engine-select').value = 'cpu';
+            return;
+        }
+        engine.rate = 0;
+        engine.rateSteps = 0;
+        engine.rateStart = 0;
+
+        if (mode === 'worker') {
+            try {
+                engine.worker = createWorker();
+            } catch (err) {
+                document.getElementById('tank-engine-select').value = 'cpu';
+                setEngineStatus('Worker を起動できません: ' + err.message);
+                return;
+            }
+            engine.worker.onmessage = onWorkerMessage;
+            engine.worker.onerror = function(err) {
+                // Field history is lost with the worker; restart from the page's last copy at rest
+                stopWorker();
+                tank.uPrev.set(tank.u);
+                engine.mode = 'cpu';
+                document.getElementById('tank-engine-select').value = 'cpu';
+                setEngineStatus('Worker でエラーが発生したため CPU に戻しました: ' + (err.message || ''));
+            };
+            engine.mode = 'worker';
+            initWorker();
+            setEngineStatus('Web Worker で計算中');
+        } else if (engine.worker) {
+            engine.mode = 'switching';
+            engine.generation++;
+            engine.queuedDrops = [];
+            engine.worker.postMessage({ type: 'fetch', generation: engine.generation });
+        }
+    }
+
+    // ============================================
+    // Engine Self-Check
+    // ============================================
+    const SELF_CHECK_SIZE = 96;
+    const SELF_CHECK_STEPS = 300;
+
+    /**
+     * Build a small tank that exercises every solver feature: walls,
+     * a slow medium, an oscillator, a drop, damping and mixed edges.
+     */
+    function selfCheckTank(config) {
+        const n = SELF_CHECK_SIZE;
+        const test = Solver.createTank(n, PARAMS.courant);
+        for (let j = 1; j < n - 1; j++) {
+            if (Math.abs(j - n / 2) > 4) test.wall[j * n + 30] = 1;
+            for (let i = 60; i < 80; i++) {
+                test.r2[j * n + i] = PARAMS.courant * PARAMS.courant / 2.25;
+            }
+        }
+        test.oscillators.push({ i: 10, j: 40 });
+        Solver.updateDamping(test, config.boundary, 0.002, PARAMS.courant);
+        Solver.addDrop(test, 20, 60, 1, DROP_RADIUS);
+        return test;
+    }
+
+    /**
+     * Run the same tank for SELF_CHECK_STEPS on the CPU reference and in a
+     * fresh worker, then compare the fields cell by cell. The page↔worker
+     * protocol (edits, drops, engine switches) is covered headlessly by
+     * wave2d-engine-check.js.
+     */
+    function runSelfCheck() {
+        let worker;
+        try {
+            worker = createWorker();
+        } catch (err) {
+            setEngineStatus('Self-check: Worker を起動できません: ' + err.message);
+            return;
+        }
+
+        const config = {
+            boundary: { left: 'mur', right: 'sponge', top: 'free', bottom: 'fixed' },
+            courant: PARAMS.courant,
+            phaseStep: 2 * Math.PI * PARAMS.courant / 12,
+            amplitude: 1
+        };
+        const reference = selfCheckTank(config);
+        worker.postMessage({ type: 'init', tank: reference, config: config });
+        worker.postMessage({ type: 'step', steps: SELF_CHECK_STEPS, buffer: null, generation: 0 });
+        setEngineStatus('Self-check 実行中…');
+
+        const start = performance.now();
+        for (let i = 0; i < SELF_CHECK_STEPS; i++) {
+            Solver.step(reference, config);
+        }
+        const cpuTime = performance.now() - start;
+
+        worker.onmessage = function(e) {
+            const field = new Float32Array(e.data.buffer);
+            let maxDiff = 0;
+            let maxAbs = 0;
+            for (let k = 0; k < field.length; k++) {
+                maxDiff = Math.max(maxDiff, Math.abs(field[k] - reference.u[k]));
+                maxAbs = Math.max(maxAbs, Math.abs(reference.u[k]));
+            }
+            worker.terminate();
+            const pass = e.data.step === reference.step && maxDiff <= 1e-6 * Math.max(1, maxAbs);
+            setEngineStatus(
+                'Self-check ' + (pass ? 'PASS' : 'FAIL') + ': ' + SELF_CHECK_STEPS + ' steps, '
+                + SELF_CHECK_SIZE + '², max|Δu| = ' + maxDiff.toExponential(2)
+                + ' (max|u| = ' + maxAbs.toFixed(3) + ', CPU ' + cpuTime.toFixed(0) + ' ms)'
+            );
+        };
+        worker.onerror = function(err) {
+            worker.terminate();
+            setEngineStatus('Self-check FAIL: ' + (err.message || 'worker error'));
+        };
+    }
+
+    // ============================================
+    // Event Handlers
+    // ============================================
+
+    function cellAt(e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            i: Math.floor((e.clientX - rect.left) * tank.n / rect.width),
+            j: Math.floor((e.clientY - rect.top) * tank.n / rect.height)
+        };
+    }
+
+    let lastCell = null;
+
+    canvas.addEventListener('pointerdown', function(e) {
+        const cell = cellAt(e);
+        if (cell.i < 1 || cell.j < 1 || cell.i > tank.n - 2 || cell.j > tank.n - 2) return;
+
+        if (tool === 'drop') {
+            addDrop(cell.i, cell.j);
+        } else if (tool === 'oscillator') {
+            toggleOscillator(cell.i, cell.j);
+        } else {
+            lastCell = cell;
+            paintCell(cell.i, cell.j);
+            canvas.setPointerCapture(e.pointerId);
+        }
+        refresh();
+    });
+
+    canvas.addEventListener('pointermove', function(e) {
+        if (!lastCell) return;
+        const cell = cellAt(e);
+        paintLine(lastCell, cell);
+        lastCell = cell;
+        if (!isRunning) refresh();
+    });
+
+    canvas.addEventListener('pointerup', function() {
+        lastCell = null;
+    });
+
+    document.getElementById('tank-engine-select').addEventListener('change', function(e) {
+        setEngine(e.target.value);
+    });
+
+    document.getElementById('self-check-btn').addEventListener('click', runSelfCheck);
+
+    document.getElementById('tank-tool-select').addEventListener('change', function(e) {
+        tool = e.target.value;
+    });
+
+    document.getElementById('tank-preset-select').addEventListener('change', function(e) {
+        applyPreset(e.target.value);
+        refresh();
+    });
+
+    document.getElementById('tank-size-select').addEventListener('change', function(e) {
+        PARAMS.size = parseInt(e.target.value, 10);
+        applyPreset(document.getElementById('tank-preset-select').value);
+        refresh();
+    });
+
+    /**
+     * Periodic edges only make sense in opposite pairs, so switching one
+     * edge to or from periodic drags the opposite edge along.
+     */
+    function setBoundary(side, type) {
+        const other = OPPOSITE_EDGE[side];
+        if (type === 'periodic' || boundary[other] === 'periodic') {
+            boundary[other] = type;
+            document.getElementById('tank-' + other + '-bc-select').value = type;
+        }
+        boundary[side] = type;
+        updateDamping();
+    }
+
+    ['left', 'right', 'top', 'bottom'].forEach(function(side) {
+        document.getElementById('tank-' + side + '-bc-select').addEventListener('change', function(e) {
+            setBoundary(side, e.target.value);
+            if (!isRunning) refresh();
+        });
+    });
+
+    document.getElementById('tank-damping-slider').addEventListener('input', function(e) {
+        PARAMS.damping = parseFloat(e.target.value);
+        document.getElementById('tank-damping-value').textContent = PARAMS.damping.toFixed(3);
+        updateDamping();
+    });
+
+    document.getElementById('wavelength-slider').addEventListener('input', function(e) {
+        PARAMS.wavelength = parseFloat(e.target.value);
+        document.getElementById('wavelength-value').textContent = PARAMS.wavelength;
+        engine.dirty = true;
+    });
+
+    document.getElementById('index-slider').addEventListener('input', function(e) {
+        PARAMS.index = parseFloat(e.target.value);
+        document.getElementById('index-value').textContent = PARAMS.index.toFixed(2);
+    });
+
+    document.getElementById('tank-speed-slider').addEventListener('input', function(e) {
+        PARAMS.stepsPerFrame = parseInt(e.target.value, 10);
+        document.getElementById('tank-speed-value').textContent = PARAMS.stepsPerFrame;
+    });
+
+    document.getElementById('gain-slider').addEventListener('input', function(e) {
+        PARAMS.gain = parseFloat(e.target.value);
+        document.getElementById('gain-value').textContent = PARAMS.gain.toFixed(1);
+        if (!isRunning) refresh();
+    });
+
+    // Button handlers
+    document.getElementById('tank-start-btn').addEventListener('click', function() {
+        if (isRunning) {
+            stop();
+        } else {
+            isRunning = true;
+            this.textContent = 'Pause';
+            animationId = requestAnimationFrame(simulate);
+        }
+    });
+
+    document.getElementById('tank-clear-btn').addEventListener('click', function() {
+        clearField();
+        refresh();
+    });
+
+    document.getElementById('tank-reset-btn').addEventListener('click', function() {
+        stop();
+        applyPreset(document.getElementById('tank-preset-select').value);
+        refresh();
+    });
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        applyPreset(document.getElementById('tank-preset-select').value);
+        refresh();
+    }
+
+    init();
+
+})();